@@ -0,0 +1,577 @@
+// Trade analytics shared by the MySQL and mock database code paths.
+// Routes fetch the matching trade rows and hand them to these helpers so both
+// modes produce exactly the same numbers.
+const { TAG_CATEGORIES } = require('./tags');
+const { ADHERENCE_BANDS, adherenceBand } = require('./checklists');
+
+// Helper: MySQL returns DECIMAL columns as strings and mock trades may hold numbers
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+// Helper: Round to 2 decimals for R values and percentages
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Helper: Format a Date as 'YYYY-MM-DD HH:MM:SS' (same format used for created_at)
+const toDbDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Helper: created_at may be a Date (mysql2) or a string (mock DB)
+const createdAtString = (trade) => {
+  const value = trade.created_at ?? trade.createdAt;
+  if (!value) return null;
+  return value instanceof Date ? toDbDateTime(value) : String(value);
+};
+
+// Parse a date query param. Date-only values cover the whole day when used as an upper bound.
+const parseDateParam = (value, endOfDay) => {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  return toDbDateTime(date);
+};
+
+// Both spellings of a side: the web app sends Buy/Sell, the API and seed data use long/short
+const DIRECTION_SPELLINGS = { long: ['long', 'Buy'], short: ['short', 'Sell'] };
+
+// Free-text search: up to this many words, each of which must appear in the feedback or a comment
+const MAX_SEARCH_TERMS = 10;
+
+// Parse filters shared by the trades listing/export and the stats endpoints: from, to, asset, direction,
+// strategy, emotion, status, account_id, reviewed_by, min/max planned and actual R, min/max adherence
+// score, tags (tag ids, a trade needs all of them), q (free text)
+const parseTradeFilters = (query = {}) => {
+  const from = parseDateParam(query.from, false);
+  const to = parseDateParam(query.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: 'Invalid date filter. Use YYYY-MM-DD or an ISO date.' };
+  }
+
+  const direction = query.direction ? String(query.direction).toLowerCase() : null;
+  const terms = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return {
+    filters: {
+      from,
+      to,
+      asset: query.asset || null,
+      direction: { buy: 'long', sell: 'short' }[direction] || direction,
+      strategy: query.strategy || null,
+      emotion: query.emotion || null,
+      status: query.status || null,
+      accountId: query.account_id || null,
+      reviewedBy: query.reviewed_by || null,
+      minPlannedR: toNumber(query.min_planned_r),
+      maxPlannedR: toNumber(query.max_planned_r),
+      minActualR: toNumber(query.min_actual_r),
+      maxActualR: toNumber(query.max_actual_r),
+      minAdherence: toNumber(query.min_adherence),
+      maxAdherence: toNumber(query.max_adherence),
+      tags: query.tags && query.tags.length > 0 ? query.tags : null,
+      search: terms.length > 0 ? [...new Set(terms)].slice(0, MAX_SEARCH_TERMS) : null,
+    },
+  };
+};
+
+// Range checks (R multiples, adherence score): a trade without the value never matches a range
+const RANGE_FILTERS = [
+  ['planned_r', 'minPlannedR', '>='],
+  ['planned_r', 'maxPlannedR', '<='],
+  ['actual_r', 'minActualR', '>='],
+  ['actual_r', 'maxActualR', '<='],
+  ['adherence_score', 'minAdherence', '>='],
+  ['adherence_score', 'maxAdherence', '<='],
+];
+
+// Mock mode: apply the parsed filters in memory. comments (the bodies of the trade's comments) are
+// only needed for a search, tagIds (the ids of its tags) for a tags filter.
+const matchesTradeFilters = (trade, filters, { comments = [], tagIds = [] } = {}) => {
+  const createdAt = createdAtString(trade);
+  if (filters.from && (!createdAt || createdAt < filters.from)) return false;
+  if (filters.to && (!createdAt || createdAt > filters.to)) return false;
+  if (filters.asset && trade.asset !== filters.asset) return false;
+  if (filters.direction && !DIRECTION_SPELLINGS[filters.direction].includes(trade.direction)) return false;
+  if (filters.strategy && trade.strategy !== filters.strategy) return false;
+  if (filters.emotion && trade.emotion !== filters.emotion) return false;
+  if (filters.status && trade.status !== filters.status) return false;
+  if (filters.accountId && trade.account_id !== filters.accountId) return false;
+  if (filters.reviewedBy && trade.reviewed_by !== filters.reviewedBy) return false;
+  const outOfRange = RANGE_FILTERS.some(([column, key, operator]) => {
+    if (filters[key] === null || filters[key] === undefined) return false;
+    const value = toNumber(trade[column]);
+    if (value === null) return true;
+    return operator === '>=' ? value < filters[key] : value > filters[key];
+  });
+  if (outOfRange) return false;
+  if (filters.tags && !filters.tags.every((id) => tagIds.includes(id))) return false;
+  if (filters.search) {
+    const texts = [trade.feedback, ...comments].filter(Boolean).map((text) => String(text).toLowerCase());
+    if (!filters.search.every((term) => texts.some((text) => text.includes(term)))) return false;
+  }
+  return true;
+};
+
+// LIKE pattern for "contains term", with ! as the escape character (the same in MySQL and SQLite)
+const containsPattern = (term) => `%${term.replace(/[!%_]/g, '!$&')}%`;
+
+// MySQL mode: build WHERE conditions for the parsed filters
+const buildTradeFilterSql = (filters) => {
+  const conditions = [];
+  const params = [];
+
+  if (filters.from) {
+    conditions.push('created_at >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('created_at <= ?');
+    params.push(filters.to);
+  }
+  if (filters.asset) {
+    conditions.push('asset = ?');
+    params.push(filters.asset);
+  }
+  if (filters.direction) {
+    conditions.push('direction IN (?, ?)');
+    params.push(...DIRECTION_SPELLINGS[filters.direction]);
+  }
+  if (filters.strategy) {
+    conditions.push('strategy = ?');
+    params.push(filters.strategy);
+  }
+  if (filters.emotion) {
+    conditions.push('emotion = ?');
+    params.push(filters.emotion);
+  }
+  if (filters.status) {
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  if (filters.accountId) {
+    conditions.push('account_id = ?');
+    params.push(filters.accountId);
+  }
+  if (filters.reviewedBy) {
+    conditions.push('reviewed_by = ?');
+    params.push(filters.reviewedBy);
+  }
+  RANGE_FILTERS.forEach(([column, key, operator]) => {
+    if (filters[key] === null || filters[key] === undefined) return;
+    conditions.push(`${column} ${operator} ?`);
+    params.push(filters[key]);
+  });
+  (filters.tags || []).forEach((tagId) => {
+    conditions.push('id IN (SELECT trade_id FROM trade_tags WHERE tag_id = ?)');
+    params.push(tagId);
+  });
+  (filters.search || []).forEach((term) => {
+    conditions.push(`(feedback LIKE ? ESCAPE '!' OR id IN (SELECT trade_id FROM trade_comments WHERE body LIKE ? ESCAPE '!'))`);
+    params.push(containsPattern(term), containsPattern(term));
+  });
+
+  return { conditions, params };
+};
+
+// Oldest first, ties broken by id so the equity curve is stable
+const sortChronologically = (trades) =>
+  [...trades].sort((a, b) => {
+    const aDate = createdAtString(a) || '';
+    const bDate = createdAtString(b) || '';
+    if (aDate !== bDate) return aDate < bDate ? -1 : 1;
+    return String(a.id).localeCompare(String(b.id));
+  });
+
+// Compute dashboard metrics from trade rows.
+// Only trades with an actual R are counted as closed; open trades are reported separately.
+const computeTradeStats = (trades) => {
+  const ordered = sortChronologically(trades);
+  const closed = ordered
+    .map((t) => ({
+      trade: t,
+      actualR: toNumber(t.actual_r ?? t.actualR),
+      plannedR: toNumber(t.planned_r ?? t.plannedR),
+    }))
+    .filter((t) => t.actualR !== null);
+
+  let totalR = 0;
+  let grossWinR = 0;
+  let grossLossR = 0;
+  let wins = 0;
+  let losses = 0;
+  let breakeven = 0;
+  let plannedSum = 0;
+  let plannedCount = 0;
+
+  let peakR = 0;
+  let maxDrawdownR = 0;
+  let winStreak = 0;
+  let lossStreak = 0;
+  let longestWinStreak = 0;
+  let longestLossStreak = 0;
+  const equityCurve = [];
+
+  closed.forEach(({ trade, actualR, plannedR }) => {
+    totalR += actualR;
+
+    if (actualR > 0) {
+      wins += 1;
+      grossWinR += actualR;
+      winStreak += 1;
+      lossStreak = 0;
+    } else if (actualR < 0) {
+      losses += 1;
+      grossLossR += Math.abs(actualR);
+      lossStreak += 1;
+      winStreak = 0;
+    } else {
+      // Breakeven trades end both streaks
+      breakeven += 1;
+      winStreak = 0;
+      lossStreak = 0;
+    }
+    longestWinStreak = Math.max(longestWinStreak, winStreak);
+    longestLossStreak = Math.max(longestLossStreak, lossStreak);
+
+    if (plannedR !== null) {
+      plannedSum += plannedR;
+      plannedCount += 1;
+    }
+
+    // Drawdown is measured from the running peak of cumulative R (starting at 0)
+    peakR = Math.max(peakR, totalR);
+    maxDrawdownR = Math.max(maxDrawdownR, peakR - totalR);
+
+    equityCurve.push({
+      tradeId: trade.id,
+      date: createdAtString(trade),
+      r: round2(actualR),
+      cumulativeR: round2(totalR),
+    });
+  });
+
+  const closedTrades = closed.length;
+  const winRate = closedTrades ? wins / closedTrades : 0;
+  const lossRate = closedTrades ? losses / closedTrades : 0;
+  const avgWinR = wins ? grossWinR / wins : 0;
+  const avgLossR = losses ? grossLossR / losses : 0;
+
+  return {
+    totalTrades: ordered.length,
+    closedTrades,
+    openTrades: ordered.length - closedTrades,
+    wins,
+    losses,
+    breakeven,
+    winRate: round2(winRate * 100),
+    totalR: round2(totalR),
+    avgR: closedTrades ? round2(totalR / closedTrades) : 0,
+    avgPlannedR: plannedCount ? round2(plannedSum / plannedCount) : 0,
+    avgWinR: round2(avgWinR),
+    avgLossR: round2(avgLossR),
+    // null when there are no losing trades (infinite profit factor)
+    profitFactor: grossLossR > 0 ? round2(grossWinR / grossLossR) : grossWinR > 0 ? null : 0,
+    expectancy: round2(winRate * avgWinR - lossRate * avgLossR),
+    maxDrawdownR: round2(maxDrawdownR),
+    longestWinStreak,
+    longestLossStreak,
+    equityCurve,
+  };
+};
+
+// ==================== Balance and equity ====================
+// Running account balance from a user's trades (rows need id, created_at, exit, net_pnl, commission,
+// swap, risk_amount). Closed trades with a net P&L move the balance in date order; closed trades
+// without one (no quantity, or a currency that can't be converted) are counted as unsized.
+// Each point carries the trade's risk as a percent of the balance it was taken on.
+const computeAccountLedger = (trades, startingBalance) => {
+  const start = toNumber(startingBalance) || 0;
+  let balance = start;
+  let peak = start;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let grossPnl = 0;
+  let fees = 0;
+  let unsizedTrades = 0;
+  let openTrades = 0;
+  let openRisk = 0;
+  const riskPercents = [];
+  const points = [];
+
+  sortChronologically(trades).forEach((trade) => {
+    const riskAmount = toNumber(trade.risk_amount);
+    const riskPercent = riskAmount !== null && balance > 0 ? (riskAmount / balance) * 100 : null;
+
+    if (toNumber(trade.exit) === null) {
+      openTrades += 1;
+      openRisk += riskAmount || 0;
+      return;
+    }
+    const netPnl = toNumber(trade.net_pnl);
+    if (netPnl === null) {
+      unsizedTrades += 1;
+      return;
+    }
+
+    const tradeFees = (toNumber(trade.commission) || 0) + (toNumber(trade.swap) || 0);
+    fees += tradeFees;
+    grossPnl += netPnl - tradeFees;
+    balance += netPnl;
+    if (riskPercent !== null) riskPercents.push(riskPercent);
+
+    // Drawdown is measured from the running peak balance (starting at the starting balance)
+    peak = Math.max(peak, balance);
+    maxDrawdown = Math.max(maxDrawdown, peak - balance);
+    if (peak > 0) maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - balance) / peak) * 100);
+
+    points.push({
+      tradeId: trade.id,
+      date: createdAtString(trade),
+      netPnl: round2(netPnl),
+      balance: round2(balance),
+      riskAmount: riskAmount === null ? null : round2(riskAmount),
+      riskPercent: riskPercent === null ? null : round2(riskPercent),
+      drawdown: round2(peak - balance),
+    });
+  });
+
+  return {
+    startingBalance: round2(start),
+    balance: round2(balance),
+    netPnl: round2(balance - start),
+    grossPnl: round2(grossPnl),
+    fees: round2(fees),
+    returnPercent: start > 0 ? round2(((balance - start) / start) * 100) : null,
+    closedTrades: points.length,
+    unsizedTrades,
+    openTrades,
+    openRisk: round2(openRisk),
+    openRiskPercent: balance > 0 ? round2((openRisk / balance) * 100) : null,
+    avgRiskPercent: riskPercents.length ? round2(riskPercents.reduce((sum, r) => sum + r, 0) / riskPercents.length) : null,
+    maxRiskPercent: riskPercents.length ? round2(Math.max(...riskPercents)) : null,
+    maxDrawdown: round2(maxDrawdown),
+    maxDrawdownPercent: round2(maxDrawdownPercent),
+    points,
+  };
+};
+
+// ==================== Breakdown reports ====================
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Trading week first, weekend last
+const WEEKDAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Tag names of a trade, optionally of one category. The route loads trade.tags ({ name, category })
+// before a breakdown by one of the TAG_DIMENSIONS.
+const tagNames = (category) => (t) => (t.tags || [])
+  .filter((tag) => !category || tag.category === category)
+  .map((tag) => tag.name);
+
+// Dimension name → function returning the bucket key for a trade, or a list of keys (tags): the trade
+// then counts once under each, and under null when the list is empty
+const BREAKDOWN_DIMENSIONS = {
+  strategy: (t) => t.strategy || null,
+  emotion: (t) => t.emotion || null,
+  asset: (t) => t.asset || null,
+  direction: (t) => t.direction || null,
+  weekday: (t) => {
+    const createdAt = createdAtString(t);
+    if (!createdAt) return null;
+    const [year, month, day] = createdAt.slice(0, 10).split('-').map(Number);
+    return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  },
+  tag: tagNames(null),
+  ...Object.fromEntries(TAG_CATEGORIES.map((category) => [category, tagNames(category)])),
+  adherence: (t) => adherenceBand(t.adherence_score),
+};
+
+const TAG_DIMENSIONS = ['tag', ...TAG_CATEGORIES];
+
+// Parse ?by=strategy,asset (defaults to every dimension)
+const parseBreakdownDimensions = (by) => {
+  if (!by) return { dimensions: Object.keys(BREAKDOWN_DIMENSIONS) };
+  const dimensions = String(by).split(',').map((d) => d.trim()).filter(Boolean);
+  const invalid = dimensions.filter((d) => !BREAKDOWN_DIMENSIONS[d]);
+  if (invalid.length > 0 || dimensions.length === 0) {
+    return { error: `Invalid breakdown dimension. Use: ${Object.keys(BREAKDOWN_DIMENSIONS).join(', ')}` };
+  }
+  return { dimensions };
+};
+
+// Group trades by one dimension and summarise each bucket
+const computeBreakdown = (trades, dimension) => {
+  const keyOf = BREAKDOWN_DIMENSIONS[dimension];
+  const buckets = new Map();
+
+  trades.forEach((trade) => {
+    const value = keyOf(trade);
+    const keys = Array.isArray(value) ? (value.length > 0 ? [...new Set(value)] : [null]) : [value];
+    const actualR = toNumber(trade.actual_r ?? trade.actualR);
+    const plannedR = toNumber(trade.planned_r ?? trade.plannedR);
+
+    keys.forEach((key) => {
+      if (!buckets.has(key)) {
+        buckets.set(key, { trades: 0, closed: 0, wins: 0, totalR: 0, plannedSum: 0, plannedCount: 0 });
+      }
+      const bucket = buckets.get(key);
+      bucket.trades += 1;
+      if (actualR !== null) {
+        bucket.closed += 1;
+        bucket.totalR += actualR;
+        if (actualR > 0) bucket.wins += 1;
+      }
+      if (plannedR !== null) {
+        bucket.plannedSum += plannedR;
+        bucket.plannedCount += 1;
+      }
+    });
+  });
+
+  const rows = [...buckets.entries()].map(([key, b]) => ({
+    key,
+    trades: b.trades,
+    closedTrades: b.closed,
+    wins: b.wins,
+    winRate: b.closed ? round2((b.wins / b.closed) * 100) : 0,
+    avgActualR: b.closed ? round2(b.totalR / b.closed) : 0,
+    avgPlannedR: b.plannedCount ? round2(b.plannedSum / b.plannedCount) : 0,
+    totalR: round2(b.totalR),
+  }));
+
+  if (dimension === 'weekday') {
+    return rows.sort((a, b) => WEEKDAY_ORDER.indexOf(a.key) - WEEKDAY_ORDER.indexOf(b.key));
+  }
+  // Best adherence first, trades without a checklist last
+  if (dimension === 'adherence') {
+    const rank = (key) => (key === null ? ADHERENCE_BANDS.length : ADHERENCE_BANDS.findIndex((band) => band.key === key));
+    return rows.sort((a, b) => rank(a.key) - rank(b.key));
+  }
+  // Most traded buckets first, unspecified values last
+  return rows.sort((a, b) => {
+    if (a.key === null) return 1;
+    if (b.key === null) return -1;
+    return b.trades - a.trades || String(a.key).localeCompare(String(b.key));
+  });
+};
+
+// ==================== Rule adherence ====================
+const ADHERENCE_INTERVALS = ['week', 'month'];
+
+// First day of the week (Monday) or month a trade falls in, as YYYY-MM-DD
+const periodStart = (createdAt, interval) => {
+  if (interval === 'month') return `${createdAt.slice(0, 7)}-01`;
+  const [year, month, day] = createdAt.slice(0, 10).split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+// Win rate and R of a set of actual R values (null for open trades)
+const summarizeResults = (results) => {
+  const closed = results.filter((r) => r !== null);
+  const wins = closed.filter((r) => r > 0).length;
+  const totalR = closed.reduce((sum, r) => sum + r, 0);
+  return {
+    trades: results.length,
+    closedTrades: closed.length,
+    wins,
+    winRate: closed.length ? round2((wins / closed.length) * 100) : 0,
+    avgActualR: closed.length ? round2(totalR / closed.length) : 0,
+    totalR: round2(totalR),
+  };
+};
+
+// Pearson correlation of paired values; null with fewer than 3 pairs or when either side doesn't vary
+const correlation = (pairs) => {
+  if (pairs.length < 3) return null;
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const meanX = mean(pairs.map(([x]) => x));
+  const meanY = mean(pairs.map(([, y]) => y));
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  return varianceX > 0 && varianceY > 0 ? round2(covariance / Math.sqrt(varianceX * varianceY)) : null;
+};
+
+// How following the checklist relates to results. trades need id, created_at, actual_r and
+// adherence_score; items are their checklist items ({ trade_id, rule_id, label, checked }).
+// Returns the average adherence and its correlation with actual R, one row per week or month (oldest
+// first), and per rule the results of the trades that followed it and of those that broke it.
+const computeAdherenceReport = (trades, items, interval = 'week') => {
+  const ordered = sortChronologically(trades);
+  const scored = ordered.filter((t) => toNumber(t.adherence_score) !== null);
+  const scores = scored.map((t) => toNumber(t.adherence_score));
+  const average = (values) => (values.length ? round2(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+  const periods = new Map();
+  ordered.forEach((trade) => {
+    const createdAt = createdAtString(trade);
+    if (!createdAt) return;
+    const key = periodStart(createdAt, interval);
+    if (!periods.has(key)) periods.set(key, []);
+    periods.get(key).push(trade);
+  });
+  const timeline = [...periods.entries()].map(([period, periodTrades]) => {
+    const periodScores = periodTrades.map((t) => toNumber(t.adherence_score)).filter((v) => v !== null);
+    return {
+      period,
+      scoredTrades: periodScores.length,
+      avgAdherence: average(periodScores),
+      ...summarizeResults(periodTrades.map((t) => toNumber(t.actual_r))),
+    };
+  });
+
+  // Rules are told apart by id; a renamed rule shows its label on the latest trade
+  const itemsByTrade = new Map();
+  items.forEach((item) => itemsByTrade.set(item.trade_id, [...(itemsByTrade.get(item.trade_id) || []), item]));
+  const rules = new Map();
+  ordered.forEach((trade) => {
+    (itemsByTrade.get(trade.id) || []).forEach((item) => {
+      if (!rules.has(item.rule_id)) rules.set(item.rule_id, { label: item.label, followed: [], broken: [] });
+      const rule = rules.get(item.rule_id);
+      rule.label = item.label;
+      rule[item.checked ? 'followed' : 'broken'].push(toNumber(trade.actual_r));
+    });
+  });
+
+  return {
+    scoredTrades: scored.length,
+    avgAdherence: average(scores),
+    correlation: correlation(scored
+      .map((t) => [toNumber(t.adherence_score), toNumber(t.actual_r)])
+      .filter(([, actualR]) => actualR !== null)),
+    timeline: timeline.sort((a, b) => (a.period < b.period ? -1 : 1)),
+    rules: [...rules.entries()].map(([ruleId, rule]) => ({
+      ruleId,
+      label: rule.label,
+      followed: summarizeResults(rule.followed),
+      broken: summarizeResults(rule.broken),
+    })),
+  };
+};
+
+module.exports = {
+  toNumber,
+  round2,
+  toDbDateTime,
+  createdAtString,
+  parseDateParam,
+  parseTradeFilters,
+  matchesTradeFilters,
+  buildTradeFilterSql,
+  sortChronologically,
+  computeTradeStats,
+  computeAccountLedger,
+  BREAKDOWN_DIMENSIONS,
+  TAG_DIMENSIONS,
+  parseBreakdownDimensions,
+  computeBreakdown,
+  ADHERENCE_INTERVALS,
+  computeAdherenceReport,
+};
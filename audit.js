@@ -0,0 +1,75 @@
+// Audit trail (audit_log): who changed which user, trade or comment, and every login attempt.
+// The log is append-only; nothing updates or deletes its rows, also not when the target is deleted.
+//
+// An entry has the actor (the signed-in user; the system for the image cleanup; null for failed logins
+// and reset links), the action, the target, and for changes a before/after diff of the columns that differ:
+//   { status: { from: 'pending', to: 'approved' }, role: { from: 'student', to: 'coach' } }
+// Password hashes never appear: a changed one is recorded as '[redacted]' on both sides.
+const { toDbDateTime } = require('./analytics');
+
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.password_reset',
+  'user.create',
+  'user.update',
+  'user.delete',
+  'trade.create',
+  'trade.update',
+  'trade.delete',
+  'comment.create',
+  'comment.update',
+  'comment.delete',
+];
+
+const AUDIT_TARGET_TYPES = ['user', 'trade', 'comment'];
+
+const REDACTED_COLUMNS = ['password_hash'];
+// The id is the entry's target_id, and updated_at is touched by every change
+const IGNORED_COLUMNS = ['id', 'updated_at'];
+
+const auditValue = (column, value) => {
+  if (value === undefined || value === null) return null;
+  if (REDACTED_COLUMNS.includes(column)) return '[redacted]';
+  return value instanceof Date ? toDbDateTime(value) : value;
+};
+
+// The columns that differ between two versions of a row. A created row has no before and a deleted
+// one no after; their columns with a value are all listed. Returns null when nothing changed.
+const diffRows = (before, after) => {
+  const columns = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter((column) => !IGNORED_COLUMNS.includes(column));
+  const changes = {};
+  columns.forEach((column) => {
+    const from = before ? before[column] : undefined;
+    const to = after ? after[column] : undefined;
+    const same = REDACTED_COLUMNS.includes(column)
+      ? (from ?? null) === (to ?? null)
+      : JSON.stringify(auditValue(column, from)) === JSON.stringify(auditValue(column, to));
+    if (!same) changes[column] = { from: auditValue(column, from), to: auditValue(column, to) };
+  });
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// An audit_log row. actor is { userId, role } (a verified token, or the role 'system' with no user for
+// the image cleanup) or null; context holds anything else
+// worth keeping, e.g. the email of a failed login.
+const buildAuditEntry = ({ id, actor, action, targetType = null, targetId = null, before = null, after = null, context = null, ip = null, now }) => ({
+  id,
+  actor_id: actor ? actor.userId : null,
+  actor_role: actor ? actor.role : null,
+  action,
+  target_type: targetType,
+  target_id: targetId,
+  changes: diffRows(before, after),
+  context,
+  ip,
+  created_at: now,
+});
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+  diffRows,
+  buildAuditEntry,
+};
@@ -0,0 +1,109 @@
+// Chart screenshot handling: validation, base64 data URL conversion and storage references.
+// Trades store a reference ("/api/files/<key>") in chart_before_url / chart_after_url instead of the image itself.
+const { randomUUID } = require('crypto');
+const storage = require('./storage');
+
+const FILE_URL_PREFIX = '/api/files/';
+
+// Accepted image types → file extension
+const ALLOWED_IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+const MAX_IMAGE_BYTES = Math.round((parseFloat(process.env.UPLOAD_MAX_MB) || 5) * 1024 * 1024);
+
+const STORED_FILES_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS stored_files (
+    storage_key VARCHAR(255) NOT NULL PRIMARY KEY,
+    content_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    uploaded_by VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL
+  )
+`;
+
+// Detect the real image type from the file signature (don't trust the client's content type)
+const sniffImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  return null;
+};
+
+// Validate size and type. Returns { contentType } or { error }
+const validateImage = (buffer, declaredType) => {
+  if (!buffer || buffer.length === 0) {
+    return { error: 'Image is empty' };
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    return { error: `Image is larger than ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB` };
+  }
+  const contentType = sniffImageType(buffer);
+  if (!contentType || !ALLOWED_IMAGE_TYPES[contentType]) {
+    return { error: `Unsupported image type. Use: ${Object.keys(ALLOWED_IMAGE_TYPES).join(', ')}` };
+  }
+  if (declaredType && declaredType !== contentType && !(declaredType === 'image/jpg' && contentType === 'image/jpeg')) {
+    return { error: 'Image content does not match its content type' };
+  }
+  return { contentType };
+};
+
+const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:');
+
+// Decode "data:image/png;base64,...." → { buffer, contentType } (null if malformed)
+const parseDataUrl = (value) => {
+  const match = /^data:([\w/+.-]+);base64,(.*)$/s.exec(value || '');
+  if (!match) return null;
+  return { contentType: match[1].toLowerCase(), buffer: Buffer.from(match[2], 'base64') };
+};
+
+const toReference = (key) => `${FILE_URL_PREFIX}${key}`;
+
+// "/api/files/charts/2024/01/x.png" (optionally absolute URL) → "charts/2024/01/x.png"
+const keyFromReference = (value) => {
+  if (typeof value !== 'string') return null;
+  const index = value.indexOf(FILE_URL_PREFIX);
+  if (index === -1) return null;
+  const key = value.slice(index + FILE_URL_PREFIX.length);
+  return storage.isValidKey(key) ? key : null;
+};
+
+// Validate and store an image. Returns { key, url, contentType, size } or { error }
+const saveImage = async (buffer, declaredType) => {
+  const { contentType, error } = validateImage(buffer, declaredType);
+  if (error) return { error };
+
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const key = `charts/${now.getUTCFullYear()}/${month}/${randomUUID()}.${ALLOWED_IMAGE_TYPES[contentType]}`;
+  await storage.put(key, buffer, contentType);
+
+  return { key, url: toReference(key), contentType, size: buffer.length };
+};
+
+// Store a base64 data URL. Returns the same shape as saveImage
+const saveDataUrl = async (value) => {
+  const parsed = parseDataUrl(value);
+  if (!parsed) return { error: 'Malformed image data URL' };
+  return saveImage(parsed.buffer, parsed.contentType);
+};
+
+module.exports = {
+  FILE_URL_PREFIX,
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  STORED_FILES_TABLE_SQL,
+  sniffImageType,
+  validateImage,
+  isDataUrl,
+  parseDataUrl,
+  toReference,
+  keyFromReference,
+  saveImage,
+  saveDataUrl,
+};
@@ -0,0 +1,50 @@
+// Pre-trade checklists: coaches keep a list of rules for each student group ("HTF trend aligned",
+// "Risk ≤ 1%", "No trade within 15 min of news") and students tick the rules they followed when they
+// log a trade. The trade keeps its own copy of the rules it was checked against (trade_checklist_items),
+// so renaming or archiving a rule later doesn't change past trades.
+//
+// The adherence score is the percent of those rules followed. A trade logged without the checklist has
+// no score (null), which is not the same as following none of the rules (0).
+
+// Rules the demo groups start with (see mock-db.js)
+const DEFAULT_CHECKLIST_RULES = [
+  'HTF trend aligned',
+  'Risk ≤ 1% of the account',
+  'No trade within 15 min of news',
+  'Entry at a planned level',
+];
+
+// Bands for reports, highest first; a score belongs to the first band it reaches
+const ADHERENCE_BANDS = [
+  { key: '100%', min: 100 },
+  { key: '75-99%', min: 75 },
+  { key: '50-74%', min: 50 },
+  { key: '0-49%', min: 0 },
+];
+
+const adherenceBand = (score) => {
+  if (score === null || score === undefined || score === '') return null;
+  const band = ADHERENCE_BANDS.find(({ min }) => Number(score) >= min);
+  return band ? band.key : null;
+};
+
+// Tick checkedIds on a checklist. rules are { id, label, position } in order. Returns
+// { items, score } with one { rule_id, label, position, checked } item per rule, or { unknown } with
+// the checked ids that aren't on the checklist.
+const scoreChecklist = (rules, checkedIds) => {
+  const ids = new Set(rules.map((rule) => rule.id));
+  const unknown = checkedIds.filter((id) => !ids.has(id));
+  if (unknown.length > 0) return { unknown };
+
+  const checked = new Set(checkedIds);
+  const items = rules.map((rule) => ({ rule_id: rule.id, label: rule.label, position: rule.position, checked: checked.has(rule.id) }));
+  const followed = items.filter((item) => item.checked).length;
+  return { items, score: items.length ? Math.round((followed / items.length) * 10000) / 100 : null };
+};
+
+module.exports = {
+  DEFAULT_CHECKLIST_RULES,
+  ADHERENCE_BANDS,
+  adherenceBand,
+  scoreChecklist,
+};
@@ -0,0 +1,46 @@
+// Database connection for the real (non-mock) code path, picked with DB_DRIVER:
+//   mysql (default) - mysql2 pool from DB_HOST/DB_USER/DB_PASS/DB_NAME/DB_PORT
+//   sqlite          - a local file at SQLITE_FILE (default data/trader.sqlite), no database server needed
+// Both return a pool with the same query()/getConnection() API, so the repositories and migrations
+// don't care which one they get.
+const fs = require('fs');
+const path = require('path');
+
+// Read lazily: this module may be required before dotenv has run
+const driver = () => (process.env.DB_DRIVER || 'mysql').toLowerCase();
+
+const sqliteFile = () => path.resolve(__dirname, process.env.SQLITE_FILE || path.join('data', 'trader.sqlite'));
+
+const createPool = (options = {}) => {
+  const name = driver();
+  if (name === 'sqlite') {
+    const filename = sqliteFile();
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    return require('./sqlite').createPool({ filename });
+  }
+  if (name !== 'mysql') {
+    throw new Error(`Unknown DB_DRIVER "${name}". Use: mysql, sqlite`);
+  }
+
+  const mysql = require('mysql2/promise');
+  return mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+    database: process.env.DB_NAME,
+    port: process.env.DB_PORT,
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    // DATETIME values are written as UTC 'YYYY-MM-DD HH:MM:SS' strings; read them back (and write
+    // Dates) as UTC too, not host-local time, so they round-trip through toISOString (cursor keys,
+    // version snapshots) whatever TZ the server runs in
+    timezone: 'Z',
+    ...options,
+  });
+};
+
+// For log lines: "trader @ localhost" or the SQLite file
+const describe = () => (driver() === 'sqlite' ? `SQLite ${sqliteFile()}` : `${process.env.DB_NAME} @ ${process.env.DB_HOST}`);
+
+module.exports = { driver, createPool, describe };
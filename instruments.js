@@ -0,0 +1,111 @@
+// Instrument catalog: the symbols trades can use, with the sizes the pip/point and P&L maths need.
+// Rows live in the instruments table (admins edit them through /api/instruments); a trade's asset is
+// resolved against the catalog and stored as the catalog symbol, so "eurusd", "EUR/USD" and a
+// broker alias all group under EURUSD.
+//
+//   pip_size        price move of one pip (used when display_unit is pips)
+//   tick_size       smallest price increment (points and ticks)
+//   contract_size   units per lot, e.g. 100000 for forex, 100 oz for gold
+//   quote_currency  currency the price (and so the P&L per unit) is in
+
+const ASSET_CLASSES = ['forex', 'metal', 'crypto', 'index', 'commodity', 'stock'];
+
+const forex = (symbol, aliases = []) => ({
+  symbol,
+  aliases,
+  asset_class: 'forex',
+  pip_size: symbol.endsWith('JPY') ? 0.01 : 0.0001,
+  tick_size: symbol.endsWith('JPY') ? 0.001 : 0.00001,
+  contract_size: 100000,
+  quote_currency: symbol.slice(3),
+});
+
+const index = (symbol, aliases, quoteCurrency) => ({
+  symbol,
+  aliases,
+  asset_class: 'index',
+  pip_size: 1,
+  tick_size: 1,
+  contract_size: 1,
+  quote_currency: quoteCurrency,
+});
+
+const stock = (symbol) => ({
+  symbol,
+  aliases: [],
+  asset_class: 'stock',
+  pip_size: 0.01,
+  tick_size: 0.01,
+  contract_size: 1,
+  quote_currency: 'USD',
+});
+
+// Seeded by migration 011 and the mock database; covers the web app's instrument list and the demo data
+const DEFAULT_INSTRUMENTS = [
+  ...['EURUSD', 'GBPUSD', 'AUDUSD', 'NZDUSD', 'USDCAD', 'USDCHF', 'EURGBP', 'EURAUD', 'EURNZD', 'AUDCAD', 'GBPAUD', 'USDCNH', 'USDZAR']
+    .map((symbol) => forex(symbol)),
+  forex('USDMXN', ['USDMEX']),
+  ...['USDJPY', 'EURJPY', 'GBPJPY', 'AUDJPY', 'CADJPY', 'CHFJPY'].map((symbol) => forex(symbol)),
+  { symbol: 'XAUUSD', aliases: ['GOLD'], asset_class: 'metal', pip_size: 0.1, tick_size: 0.01, contract_size: 100, quote_currency: 'USD' },
+  { symbol: 'XAGUSD', aliases: ['SILVER'], asset_class: 'metal', pip_size: 0.01, tick_size: 0.001, contract_size: 5000, quote_currency: 'USD' },
+  { symbol: 'BTCUSD', aliases: ['BTC', 'BTCUSDT'], asset_class: 'crypto', pip_size: 1, tick_size: 1, contract_size: 1, quote_currency: 'USD' },
+  { symbol: 'ETHUSD', aliases: ['ETH', 'ETHUSDT'], asset_class: 'crypto', pip_size: 0.1, tick_size: 0.01, contract_size: 1, quote_currency: 'USD' },
+  { symbol: 'LTCUSD', aliases: ['LTC', 'LTCUSDT'], asset_class: 'crypto', pip_size: 0.1, tick_size: 0.01, contract_size: 1, quote_currency: 'USD' },
+  { symbol: 'WTI', aliases: ['USOIL', 'XTIUSD'], asset_class: 'commodity', pip_size: 0.01, tick_size: 0.01, contract_size: 1000, quote_currency: 'USD' },
+  { symbol: 'BRENT', aliases: ['UKOIL', 'XBRUSD'], asset_class: 'commodity', pip_size: 0.01, tick_size: 0.01, contract_size: 1000, quote_currency: 'USD' },
+  { symbol: 'NATGAS', aliases: ['XNGUSD'], asset_class: 'commodity', pip_size: 0.001, tick_size: 0.001, contract_size: 10000, quote_currency: 'USD' },
+  index('US30', ['DJ30', 'DOW', 'WS30'], 'USD'),
+  index('NAS100', ['USTEC', 'NDX', 'US100'], 'USD'),
+  index('SPX500', ['US500', 'SPX'], 'USD'),
+  index('GER40', ['DE40', 'DAX'], 'EUR'),
+  index('UK100', ['FTSE'], 'GBP'),
+  index('JPN225', ['JP225', 'NIKKEI'], 'JPY'),
+  index('HK50', ['HSI'], 'HKD'),
+  ...['AAPL', 'MSFT', 'NVDA', 'AMZN', 'TSLA', 'META', 'GOOGL'].map(stock),
+];
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'NZD', 'CAD', 'CHF', 'CNH', 'ZAR', 'MXN', 'SEK', 'NOK', 'SGD', 'HKD'];
+
+// "eurusd", "EUR/USD" and "EURUSD" are the same symbol
+const normalizeSymbol = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Find the catalog entry for an asset by symbol or alias; null when it isn't listed
+const resolveInstrument = (instruments, asset) => {
+  const symbol = normalizeSymbol(asset);
+  if (!symbol) return null;
+  return instruments.find((i) => normalizeSymbol(i.symbol) === symbol)
+    || instruments.find((i) => (i.aliases || []).some((alias) => normalizeSymbol(alias) === symbol))
+    || null;
+};
+
+// Sizes for an asset that isn't in the catalog (trades saved before it existed): the default list,
+// then currency pairs, then stock-style prices
+const guessInstrument = (asset) => {
+  const listed = resolveInstrument(DEFAULT_INSTRUMENTS, asset);
+  if (listed) return listed;
+
+  const symbol = normalizeSymbol(asset);
+  const pair = /^([A-Z]{3})([A-Z]{3})$/.exec(symbol);
+  if (pair && CURRENCIES.includes(pair[1]) && CURRENCIES.includes(pair[2])) {
+    return forex(symbol);
+  }
+  return stock(symbol);
+};
+
+// The symbols and aliases of `instrument` that another catalog entry already uses
+const conflictingNames = (instruments, instrument) => {
+  const names = [instrument.symbol, ...(instrument.aliases || [])].map(normalizeSymbol);
+  return instruments
+    .filter((other) => other.id !== instrument.id)
+    .flatMap((other) => [other.symbol, ...(other.aliases || [])])
+    .filter((name) => names.includes(normalizeSymbol(name)));
+};
+
+module.exports = {
+  ASSET_CLASSES,
+  DEFAULT_INSTRUMENTS,
+  normalizeSymbol,
+  resolveInstrument,
+  guessInstrument,
+  conflictingNames,
+};
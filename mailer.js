@@ -0,0 +1,58 @@
+// Pluggable mail delivery.
+// The transport is chosen with MAIL_TRANSPORT:
+//   outbox (default) - write each message as a .eml file into MAIL_OUTBOX_DIR (default data/outbox;
+//                      the messages hold live reset links, so keep it out of anything served)
+//   log              - print the message to the server log
+// Other transports (SMTP, API providers) can be plugged in with registerTransport().
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const transports = {
+  outbox: {
+    async send(message) {
+      const dir = path.resolve(__dirname, process.env.MAIL_OUTBOX_DIR || path.join('data', 'outbox'));
+      await fs.promises.mkdir(dir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const file = path.join(dir, `${stamp}-${randomUUID()}.eml`);
+      const content = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text,
+      ].join('\r\n');
+      await fs.promises.writeFile(file, content, 'utf8');
+      return { transport: 'outbox', file };
+    },
+  },
+
+  log: {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { transport: 'log' };
+    },
+  },
+};
+
+// Register a custom transport: an object with an async send({ from, to, subject, text })
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  }
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  const from = process.env.MAIL_FROM || 'UPTrader Journal <no-reply@localhost>';
+  return transport.send({ from, to, subject, text });
+};
+
+module.exports = { sendMail, registerTransport };
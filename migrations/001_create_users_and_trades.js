@@ -0,0 +1,43 @@
+// Base schema. IF NOT EXISTS so databases created by hand before migrations existed are adopted as-is;
+// the columns added later are brought in by the following migrations.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'student',
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      created_at DATETIME NULL,
+      updated_at DATETIME NULL,
+      UNIQUE KEY uniq_users_email (email)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS trades (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      user_id VARCHAR(64) NOT NULL,
+      asset VARCHAR(50) NOT NULL,
+      direction VARCHAR(10) NOT NULL,
+      entry DECIMAL(20, 8) NOT NULL,
+      sl DECIMAL(20, 8) NOT NULL,
+      tp DECIMAL(20, 8) NULL,
+      \`exit\` DECIMAL(20, 8) NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      strategy VARCHAR(100) NULL,
+      emotion VARCHAR(100) NULL,
+      planned_r DECIMAL(10, 2) NULL,
+      actual_r DECIMAL(10, 2) NULL,
+      display_unit VARCHAR(20) NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS trades');
+  await db.query('DROP TABLE IF EXISTS users');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Chart screenshots, reviewer and timestamps on trades (formerly ensureTradeColumns on every boot)
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'trades', {
+    chart_before_url: 'LONGTEXT NULL',
+    chart_after_url: 'LONGTEXT NULL',
+    reviewed_by: 'VARCHAR(255) NULL',
+    created_at: 'DATETIME NULL',
+    updated_at: 'DATETIME NULL',
+  });
+
+  // Older databases created these as TEXT, which is too small for base64 images
+  const [cols] = await db.query("SHOW COLUMNS FROM trades WHERE Field IN ('chart_before_url', 'chart_after_url')");
+  const small = cols.filter((c) => /^(tinytext|text|mediumtext)$/i.test(c.Type));
+  if (small.length > 0) {
+    await db.query(`ALTER TABLE trades ${small.map((c) => `MODIFY COLUMN ${c.Field} LONGTEXT NULL`).join(', ')}`);
+  }
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'trades', ['chart_before_url', 'chart_after_url', 'reviewed_by', 'created_at', 'updated_at']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Indexes for the common user/trade listings (formerly tmp/database-optimization.sql, run by hand)
+const { indexExists } = require('../migrator');
+
+const INDEXES = [
+  ['trades', 'idx_trades_user_id', '(user_id)'],
+  ['trades', 'idx_trades_status', '(status)'],
+  ['trades', 'idx_trades_created_at', '(created_at DESC)'],
+  ['trades', 'idx_trades_user_status', '(user_id, status)'],
+  ['users', 'idx_users_status', '(status)'],
+  ['users', 'idx_users_role', '(role)'],
+  ['users', 'idx_users_created_at', '(created_at DESC)'],
+  ['users', 'idx_users_role_status', '(role, status)'],
+];
+
+const up = async (db) => {
+  for (const [table, name, columns] of INDEXES) {
+    if (!(await indexExists(db, table, name))) {
+      await db.query(`CREATE INDEX ${name} ON ${table} ${columns}`);
+    }
+  }
+};
+
+const down = async (db) => {
+  for (const [table, name] of INDEXES) {
+    if (await indexExists(db, table, name)) {
+      await db.query(`DROP INDEX ${name} ON ${table}`);
+    }
+  }
+};
+
+module.exports = { up, down };
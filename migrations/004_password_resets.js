@@ -0,0 +1,21 @@
+// Single-use password reset tokens (only the SHA-256 hash is stored)
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      user_id VARCHAR(64) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      created_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_password_resets_token (token_hash),
+      INDEX idx_password_resets_user (user_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS password_resets');
+};
+
+module.exports = { up, down };
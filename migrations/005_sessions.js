@@ -0,0 +1,29 @@
+// Refresh tokens and users.token_version (bumped to revoke every session of a user)
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'users', {
+    token_version: 'INT NOT NULL DEFAULT 0',
+  });
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      user_id VARCHAR(64) NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      replaced_by VARCHAR(64) NULL,
+      created_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_refresh_tokens_token (token_hash),
+      INDEX idx_refresh_tokens_user (user_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS refresh_tokens');
+  await dropColumns(db, 'users', ['token_version']);
+};
+
+module.exports = { up, down };
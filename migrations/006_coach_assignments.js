@@ -0,0 +1,29 @@
+// Student groups and coach assignments (a row links a coach to either one student or a whole group)
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'users', {
+    group_name: 'VARCHAR(100) NULL',
+  });
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS coach_assignments (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      coach_id VARCHAR(64) NOT NULL,
+      student_id VARCHAR(64) NULL,
+      group_name VARCHAR(100) NULL,
+      created_by VARCHAR(64) NULL,
+      created_at DATETIME NOT NULL,
+      INDEX idx_coach_assignments_coach (coach_id),
+      INDEX idx_coach_assignments_student (student_id),
+      INDEX idx_coach_assignments_group (group_name)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS coach_assignments');
+  await dropColumns(db, 'users', ['group_name']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Coach review: feedback, reviewed_at and threaded trade comments
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'trades', {
+    feedback: 'TEXT NULL',
+    reviewed_at: 'DATETIME NULL',
+  });
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS trade_comments (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      trade_id VARCHAR(64) NOT NULL,
+      author_id VARCHAR(64) NOT NULL,
+      author_role VARCHAR(20) NOT NULL,
+      body TEXT NOT NULL,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      INDEX idx_trade_comments_trade (trade_id, created_at)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS trade_comments');
+  await dropColumns(db, 'trades', ['feedback', 'reviewed_at']);
+};
+
+module.exports = { up, down };
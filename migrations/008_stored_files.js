@@ -0,0 +1,12 @@
+// Index of uploaded chart images kept in file storage
+const chartImages = require('../chart-images');
+
+const up = async (db) => {
+  await db.query(chartImages.STORED_FILES_TABLE_SQL);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS stored_files');
+};
+
+module.exports = { up, down };
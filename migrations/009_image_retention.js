@@ -0,0 +1,45 @@
+// Chart image retention policies, cleanup run history and the starred flag that exempts a trade
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'trades', {
+    starred: 'TINYINT(1) NOT NULL DEFAULT 0',
+    starred_by: 'VARCHAR(64) NULL',
+  });
+
+  // scope_value: NULL for global, a role name or a user id
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS retention_policies (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      scope VARCHAR(20) NOT NULL,
+      scope_value VARCHAR(64) NULL,
+      retention_days INT NULL,
+      updated_by VARCHAR(64) NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_retention_scope (scope, scope_value)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS image_cleanup_runs (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      \`trigger\` VARCHAR(20) NOT NULL,
+      triggered_by VARCHAR(64) NULL,
+      status VARCHAR(20) NOT NULL,
+      trades_affected INT NOT NULL DEFAULT 0,
+      images_deleted INT NOT NULL DEFAULT 0,
+      bytes_freed BIGINT NOT NULL DEFAULT 0,
+      error TEXT NULL,
+      started_at DATETIME NOT NULL,
+      finished_at DATETIME NOT NULL,
+      INDEX idx_image_cleanup_runs_started (started_at)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS image_cleanup_runs');
+  await db.query('DROP TABLE IF EXISTS retention_policies');
+  await dropColumns(db, 'trades', ['starred', 'starred_by']);
+};
+
+module.exports = { up, down };
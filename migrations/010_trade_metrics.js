@@ -0,0 +1,38 @@
+// Server-computed R multiples and pip/point result stored next to the (possibly manual) planned_r / actual_r
+const { addMissingColumns, dropColumns } = require('../migrator');
+const { planMetrics } = require('../trade-metrics');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'trades', {
+    planned_r_calc: 'DECIMAL(10, 2) NULL',
+    actual_r_calc: 'DECIMAL(10, 2) NULL',
+    planned_r_manual: 'TINYINT(1) NOT NULL DEFAULT 0',
+    actual_r_manual: 'TINYINT(1) NOT NULL DEFAULT 0',
+    result_distance: 'DECIMAL(14, 1) NULL',
+  });
+
+  // Backfill: R values that were typed in and don't match the prices become manual overrides
+  const [trades] = await db.query('SELECT id, asset, direction, entry, sl, tp, `exit`, display_unit, planned_r, actual_r FROM trades');
+  for (const trade of trades) {
+    const metrics = planMetrics(trade, { planned_r: trade.planned_r, actual_r: trade.actual_r });
+    await db.query(
+      'UPDATE trades SET planned_r = ?, actual_r = ?, planned_r_calc = ?, actual_r_calc = ?, planned_r_manual = ?, actual_r_manual = ?, result_distance = ? WHERE id = ?',
+      [
+        metrics.planned_r,
+        metrics.actual_r,
+        metrics.planned_r_calc,
+        metrics.actual_r_calc,
+        metrics.planned_r_manual,
+        metrics.actual_r_manual,
+        metrics.result_distance,
+        trade.id,
+      ],
+    );
+  }
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'trades', ['planned_r_calc', 'actual_r_calc', 'planned_r_manual', 'actual_r_manual', 'result_distance']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,63 @@
+// Instrument catalog, seeded with the default instruments; existing trade assets are renamed to the
+// catalog symbol they resolve to ("eurusd" → EURUSD). Rollback drops the catalog but keeps the renames.
+const { randomUUID } = require('crypto');
+const { DEFAULT_INSTRUMENTS, resolveInstrument } = require('../instruments');
+
+const up = async (db) => {
+  // aliases: JSON array of strings
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS instruments (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      symbol VARCHAR(30) NOT NULL,
+      aliases TEXT NULL,
+      asset_class VARCHAR(20) NOT NULL,
+      description VARCHAR(255) NULL,
+      pip_size DOUBLE NOT NULL,
+      tick_size DOUBLE NOT NULL,
+      contract_size DOUBLE NOT NULL DEFAULT 1,
+      quote_currency VARCHAR(3) NOT NULL,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_instruments_symbol (symbol)
+    )
+  `);
+
+  const [[{ total }]] = await db.query('SELECT COUNT(*) AS total FROM instruments');
+  if (Number(total) === 0) {
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    for (const instrument of DEFAULT_INSTRUMENTS) {
+      await db.query(
+        'INSERT INTO instruments (id, symbol, aliases, asset_class, description, pip_size, tick_size, contract_size, quote_currency, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [
+          randomUUID(),
+          instrument.symbol,
+          JSON.stringify(instrument.aliases),
+          instrument.asset_class,
+          null,
+          instrument.pip_size,
+          instrument.tick_size,
+          instrument.contract_size,
+          instrument.quote_currency,
+          now,
+          now,
+        ]
+      );
+    }
+  }
+
+  // Also run for assets already spelled like the symbol: MySQL's DISTINCT and = ignore case,
+  // so "EURUSD" may stand for "eurusd" rows too
+  const [assets] = await db.query('SELECT DISTINCT asset FROM trades');
+  for (const { asset } of assets) {
+    const instrument = resolveInstrument(DEFAULT_INSTRUMENTS, asset);
+    if (instrument) {
+      await db.query('UPDATE trades SET asset = ? WHERE asset = ?', [instrument.symbol, asset]);
+    }
+  }
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS instruments');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+// Position size, fees and server-computed P&L on trades; starting balance and account currency on users
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'users', {
+    starting_balance: 'DECIMAL(14, 2) NOT NULL DEFAULT 10000',
+    account_currency: "VARCHAR(3) NOT NULL DEFAULT 'USD'",
+  });
+
+  // quantity is in lots; commission/swap are signed amounts in the account currency
+  await addMissingColumns(db, 'trades', {
+    quantity: 'DECIMAL(14, 4) NULL',
+    commission: 'DECIMAL(12, 2) NULL',
+    swap: 'DECIMAL(12, 2) NULL',
+    fx_rate: 'DECIMAL(18, 8) NULL',
+    account_currency: 'VARCHAR(3) NULL',
+    gross_pnl: 'DECIMAL(14, 2) NULL',
+    net_pnl: 'DECIMAL(14, 2) NULL',
+    risk_amount: 'DECIMAL(14, 2) NULL',
+  });
+
+  await db.query('UPDATE trades SET account_currency = (SELECT account_currency FROM users WHERE users.id = trades.user_id) WHERE account_currency IS NULL');
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'trades', ['quantity', 'commission', 'swap', 'fx_rate', 'account_currency', 'gross_pnl', 'net_pnl', 'risk_amount']);
+  await dropColumns(db, 'users', ['starting_balance', 'account_currency']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,69 @@
+// Trading accounts (live, demo, prop-firm challenge) per user. Every user with trades gets a "Main"
+// account holding their existing trades, and the starting balance / currency move from users to accounts.
+const { randomUUID } = require('crypto');
+const { addMissingColumns, dropColumns, columnExists, indexExists } = require('../migrator');
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS accounts (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      user_id VARCHAR(64) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      broker VARCHAR(100) NULL,
+      type VARCHAR(20) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      starting_balance DECIMAL(14, 2) NOT NULL,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      INDEX idx_accounts_user (user_id, created_at)
+    )
+  `);
+  await addMissingColumns(db, 'trades', {
+    account_id: 'VARCHAR(64) NULL',
+  });
+  if (!(await indexExists(db, 'trades', 'idx_trades_account'))) {
+    await db.query('CREATE INDEX idx_trades_account ON trades (account_id, created_at)');
+  }
+
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const [owners] = await db.query(`
+    SELECT u.id, u.starting_balance, u.account_currency FROM users u
+    WHERE EXISTS (SELECT 1 FROM trades t WHERE t.user_id = u.id AND t.account_id IS NULL)
+  `);
+  for (const owner of owners) {
+    const accountId = randomUUID();
+    await db.query(
+      'INSERT INTO accounts (id, user_id, name, broker, type, currency, starting_balance, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [accountId, owner.id, 'Main', null, 'live', owner.account_currency || 'USD', owner.starting_balance ?? 10000, now, now]
+    );
+    await db.query('UPDATE trades SET account_id = ? WHERE user_id = ? AND account_id IS NULL', [accountId, owner.id]);
+  }
+
+  await dropColumns(db, 'users', ['starting_balance', 'account_currency']);
+};
+
+// Users get back the balance and currency of their oldest account
+const down = async (db) => {
+  if (!(await columnExists(db, 'users', 'starting_balance'))) {
+    await addMissingColumns(db, 'users', {
+      starting_balance: 'DECIMAL(14, 2) NOT NULL DEFAULT 10000',
+      account_currency: "VARCHAR(3) NOT NULL DEFAULT 'USD'",
+    });
+    const [accounts] = await db.query('SELECT user_id, currency, starting_balance FROM accounts ORDER BY created_at DESC');
+    for (const account of accounts) {
+      await db.query('UPDATE users SET starting_balance = ?, account_currency = ? WHERE id = ?', [
+        account.starting_balance,
+        account.currency,
+        account.user_id,
+      ]);
+    }
+  }
+
+  if (await indexExists(db, 'trades', 'idx_trades_account')) {
+    await db.query('DROP INDEX idx_trades_account ON trades');
+  }
+  await dropColumns(db, 'trades', ['account_id']);
+  await db.query('DROP TABLE IF EXISTS accounts');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Broker ticket (position id) on trades, so importing the same statement twice doesn't duplicate them.
+// Unique per account; trades entered by hand leave it NULL.
+const { addMissingColumns, dropColumns, indexExists } = require('../migrator');
+
+const up = async (db) => {
+  await addMissingColumns(db, 'trades', {
+    broker_ticket: 'VARCHAR(64) NULL',
+  });
+  if (!(await indexExists(db, 'trades', 'idx_trades_ticket'))) {
+    await db.query('CREATE UNIQUE INDEX idx_trades_ticket ON trades (account_id, broker_ticket)');
+  }
+};
+
+const down = async (db) => {
+  if (await indexExists(db, 'trades', 'idx_trades_ticket')) {
+    await db.query('DROP INDEX idx_trades_ticket ON trades');
+  }
+  await dropColumns(db, 'trades', ['broker_ticket']);
+};
+
+module.exports = { up, down };
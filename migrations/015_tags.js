@@ -0,0 +1,32 @@
+// Trade tags (see tags.js): shared tags have no user_id, private ones belong to the student who made them.
+// trade_tags links them to trades, one row per tag on a trade.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      name VARCHAR(50) NOT NULL,
+      category VARCHAR(20) NOT NULL,
+      user_id VARCHAR(64) NULL,
+      created_by VARCHAR(64) NOT NULL,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      INDEX idx_tags_user (user_id, category)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS trade_tags (
+      trade_id VARCHAR(64) NOT NULL,
+      tag_id VARCHAR(64) NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (trade_id, tag_id),
+      INDEX idx_trade_tags_tag (tag_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS trade_tags');
+  await db.query('DROP TABLE IF EXISTS tags');
+};
+
+module.exports = { up, down };
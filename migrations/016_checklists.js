@@ -0,0 +1,43 @@
+// Pre-trade checklists (see checklists.js): rules per student group, the copy of them each trade was
+// checked against, and the trade's adherence score (percent of the rules followed)
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  // Archived rules stay for the trades that were checked against them
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS checklist_rules (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      group_name VARCHAR(100) NOT NULL,
+      label VARCHAR(200) NOT NULL,
+      position INT NOT NULL,
+      created_by VARCHAR(64) NOT NULL,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      archived_at DATETIME NULL,
+      INDEX idx_checklist_rules_group (group_name, position)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS trade_checklist_items (
+      trade_id VARCHAR(64) NOT NULL,
+      rule_id VARCHAR(64) NOT NULL,
+      label VARCHAR(200) NOT NULL,
+      position INT NOT NULL,
+      checked TINYINT(1) NOT NULL DEFAULT 0,
+      PRIMARY KEY (trade_id, rule_id),
+      INDEX idx_trade_checklist_items_rule (rule_id)
+    )
+  `);
+
+  await addMissingColumns(db, 'trades', {
+    adherence_score: 'DECIMAL(5, 2) NULL',
+  });
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'trades', ['adherence_score']);
+  await db.query('DROP TABLE IF EXISTS trade_checklist_items');
+  await db.query('DROP TABLE IF EXISTS checklist_rules');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Audit trail of user, trade and comment changes and of logins (see audit.js); rows are only ever added.
+// changes and context are JSON.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      actor_id VARCHAR(64) NULL,
+      actor_role VARCHAR(20) NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(20) NULL,
+      target_id VARCHAR(64) NULL,
+      changes TEXT NULL,
+      context TEXT NULL,
+      ip VARCHAR(45) NULL,
+      created_at DATETIME NOT NULL,
+      INDEX idx_audit_log_created (created_at),
+      INDEX idx_audit_log_actor (actor_id, created_at),
+      INDEX idx_audit_log_target (target_type, target_id)
+    )
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS audit_log');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Trade edit history (see trade-history.js): the trade row after each change, numbered per trade, and
+// the mark on a trade its owner changed after a coach reviewed it. snapshot is JSON.
+const { addMissingColumns, dropColumns } = require('../migrator');
+
+const up = async (db) => {
+  // LONGTEXT like the trade's chart columns, which older rows hold inline
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS trade_versions (
+      id VARCHAR(64) NOT NULL PRIMARY KEY,
+      trade_id VARCHAR(64) NOT NULL,
+      version INT NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      snapshot LONGTEXT NOT NULL,
+      changed_by VARCHAR(64) NULL,
+      changed_by_role VARCHAR(20) NULL,
+      after_review TINYINT(1) NOT NULL DEFAULT 0,
+      restored_from INT NULL,
+      created_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_trade_versions_version (trade_id, version)
+    )
+  `);
+
+  await addMissingColumns(db, 'trades', {
+    edited_after_review_at: 'DATETIME NULL',
+  });
+};
+
+const down = async (db) => {
+  await dropColumns(db, 'trades', ['edited_after_review_at']);
+  await db.query('DROP TABLE IF EXISTS trade_versions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,154 @@
+// Versioned schema migrations.
+// Each file in migrations/ is named <version>_<name>.js and exports async up(db) / down(db),
+// where db is a single connection from database.js (not a pool: the run lock is per connection).
+// Migrations are written in MySQL; on SQLite the driver translates them (see sqlite.js).
+// Applied versions are recorded in schema_migrations.
+//
+//   npm run migrate             # apply pending migrations
+//   npm run migrate:rollback    # undo the last one (-- --steps=N for more)
+//   npm run migrate:status
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Only one process may migrate at a time (e.g. several instances booting together)
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .map((file) => MIGRATION_FILE.exec(file))
+  .filter(Boolean)
+  .map(([file, version, name]) => ({ version, name, file, ...require(path.join(MIGRATIONS_DIR, file)) }))
+  .sort((a, b) => Number(a.version) - Number(b.version));
+
+const ensureMigrationsTable = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) NOT NULL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME NOT NULL
+    )
+  `);
+};
+
+const appliedVersions = async (db) => {
+  const [rows] = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+const withLock = async (db, fn) => {
+  const [[{ locked }]] = await db.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (Number(locked) !== 1) {
+    throw new Error('Timed out waiting for another migration run to finish');
+  }
+  try {
+    return await fn();
+  } finally {
+    await db.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+};
+
+// Apply every pending migration in version order. Returns the applied migrations.
+const migrate = async (db, { log = console.log } = {}) => {
+  await ensureMigrationsTable(db);
+  return withLock(db, async () => {
+    const done = new Set((await appliedVersions(db)).map((m) => m.version));
+    const applied = [];
+
+    for (const migration of loadMigrations()) {
+      if (done.has(migration.version)) continue;
+      log(`⬆️  ${migration.version}_${migration.name}`);
+      await migration.up(db);
+      await db.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [
+        migration.version,
+        migration.name,
+        new Date().toISOString().slice(0, 19).replace('T', ' '),
+      ]);
+      applied.push(migration);
+    }
+    return applied;
+  });
+};
+
+// Undo the last `steps` applied migrations, newest first. Returns the rolled back migrations.
+const rollback = async (db, { steps = 1, log = console.log } = {}) => {
+  await ensureMigrationsTable(db);
+  return withLock(db, async () => {
+    const byVersion = new Map(loadMigrations().map((m) => [m.version, m]));
+    const targets = (await appliedVersions(db)).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const { version, name } of targets) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration ${version}_${name} is applied but its file is missing`);
+      }
+      log(`⬇️  ${version}_${name}`);
+      await migration.down(db);
+      await db.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      rolledBack.push(migration);
+    }
+    return rolledBack;
+  });
+};
+
+// Every known migration with its applied_at (null when pending)
+const status = async (db) => {
+  await ensureMigrationsTable(db);
+  const applied = new Map((await appliedVersions(db)).map((m) => [m.version, m]));
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: applied.has(version) ? applied.get(version).applied_at : null,
+  }));
+};
+
+// Helpers for migrations that must also run against databases created before migrations existed
+const columnExists = async (db, table, column) => {
+  const [rows] = await db.query(`SHOW COLUMNS FROM \`${table}\` LIKE ?`, [column]);
+  return rows.length > 0;
+};
+
+const indexExists = async (db, table, index) => {
+  const [rows] = await db.query(`SHOW INDEX FROM \`${table}\` WHERE Key_name = ?`, [index]);
+  return rows.length > 0;
+};
+
+// Add the given columns ({ name: 'definition' }) that are missing, in one ALTER
+const addMissingColumns = async (db, table, columns) => {
+  const alters = [];
+  for (const [column, definition] of Object.entries(columns)) {
+    if (!(await columnExists(db, table, column))) {
+      alters.push(`ADD COLUMN \`${column}\` ${definition}`);
+    }
+  }
+  if (alters.length > 0) {
+    await db.query(`ALTER TABLE \`${table}\` ${alters.join(', ')}`);
+  }
+};
+
+const dropColumns = async (db, table, columns) => {
+  const drops = [];
+  for (const column of columns) {
+    if (await columnExists(db, table, column)) {
+      drops.push(`DROP COLUMN \`${column}\``);
+    }
+  }
+  if (drops.length > 0) {
+    await db.query(`ALTER TABLE \`${table}\` ${drops.join(', ')}`);
+  }
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  columnExists,
+  indexExists,
+  addMissingColumns,
+  dropColumns,
+};
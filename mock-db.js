@@ -1,15 +1,155 @@
-// Mock in-memory database for development/testing without MySQL
+// Mock database for development/testing without MySQL.
+// Holds the collections and demo seed data; queries live in repositories/memory.js.
+//
+// By default everything lives in memory and is re-seeded on every start. With a data file
+// (MOCK_DB_FILE) the collections are loaded from JSON on start and written back after each
+// change, so a prepared demo dataset survives restarts. See scripts/mock-db.js for
+// seed/reset/snapshot/restore.
+const fs = require('fs');
+const path = require('path');
 const bcrypt = require('bcryptjs');
 const { randomUUID } = require('crypto');
+const { planMetrics } = require('./trade-metrics');
+const { DEFAULT_INSTRUMENTS } = require('./instruments');
+const { DEFAULT_TAGS } = require('./tags');
+const { DEFAULT_CHECKLIST_RULES, scoreChecklist } = require('./checklists');
+
+const COLLECTIONS = [
+  'users',
+  'trades',
+  'passwordResets',
+  'refreshTokens',
+  'coachAssignments',
+  'accounts',
+  'instruments',
+  'tags',
+  'tradeTags',
+  'checklistRules',
+  'tradeChecklistItems',
+  'tradeVersions',
+  'tradeComments',
+  'storedFiles',
+  'retentionPolicies',
+  'cleanupRuns',
+  'auditLog',
+];
+
+const FILE_VERSION = 1;
+
+// Write to a temp file in the same directory, then rename over the target, so a crash
+// mid-write leaves the previous file intact instead of half a JSON document
+const writeFileAtomic = (file, contents) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+  try {
+    fs.writeFileSync(tmp, contents);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
+};
 
 class MockDatabase {
-  constructor() {
-    this.users = [];
-    this.trades = [];
+  constructor({ file = null } = {}) {
+    this.file = file ? path.resolve(__dirname, file) : null;
+    this.pendingSave = null;
+    this.clear();
+  }
+
+  // Open the mock database: load the data file if there is one, otherwise seed the demo data
+  // (and write it out when a data file is configured)
+  static open({ file = null } = {}) {
+    const db = new MockDatabase({ file });
+    if (!db.load()) {
+      db.reset();
+      if (db.file) db.save();
+    }
+    return db;
+  }
+
+  clear() {
+    COLLECTIONS.forEach((name) => {
+      this[name] = [];
+    });
+  }
+
+  // Replace everything with the demo dataset
+  reset() {
+    this.clear();
     this.initializeDefaultData();
   }
 
+  toJSON() {
+    const data = { version: FILE_VERSION, saved_at: new Date().toISOString() };
+    COLLECTIONS.forEach((name) => {
+      data[name] = this[name];
+    });
+    return data;
+  }
+
+  fromJSON(data) {
+    if (!data || typeof data !== 'object' || data.version !== FILE_VERSION) {
+      throw new Error(`Unsupported mock database file (expected version ${FILE_VERSION})`);
+    }
+    this.clear();
+    COLLECTIONS.forEach((name) => {
+      if (Array.isArray(data[name])) this[name] = data[name];
+    });
+    // Files saved before the instrument catalog existed get the default one
+    if (!Array.isArray(data.instruments)) this.seedInstruments();
+  }
+
+  seedInstruments() {
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    this.instruments = DEFAULT_INSTRUMENTS.map((instrument) => ({
+      id: randomUUID(),
+      ...instrument,
+      aliases: [...instrument.aliases],
+      description: null,
+      created_at: now,
+      updated_at: now,
+    }));
+  }
+
+  // Returns false when there is no data file to load from
+  load(file = this.file) {
+    if (!file || !fs.existsSync(file)) return false;
+    try {
+      this.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`Cannot load mock database from ${file}: ${error.message}`);
+    }
+    return true;
+  }
+
+  save(file = this.file) {
+    if (!file) return;
+    writeFileAtomic(file, JSON.stringify(this.toJSON()));
+  }
+
+  // Called by the repositories after every write. Saves are batched per tick so a request
+  // that touches several collections writes the file once.
+  changed() {
+    if (!this.file || this.pendingSave) return;
+    this.pendingSave = setImmediate(() => this.flush());
+  }
+
+  flush() {
+    if (this.pendingSave) {
+      clearImmediate(this.pendingSave);
+      this.pendingSave = null;
+    }
+    try {
+      this.save();
+    } catch (error) {
+      console.error('❌ Failed to save mock database:', error.message);
+    }
+  }
+
   initializeDefaultData() {
+    this.seedInstruments();
+
     // Create default admin user
     const adminPasswordHash = bcrypt.hashSync('admin123', 10);
     this.users.push({
@@ -19,6 +159,8 @@ class MockDatabase {
       password_hash: adminPasswordHash,
       role: 'admin',
       status: 'approved',
+      group_name: null,
+      token_version: 0,
       created_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
       updated_at: new Date().toISOString().slice(0, 19).replace('T', ' ')
     });
@@ -32,41 +174,133 @@ class MockDatabase {
       password_hash: studentPasswordHash,
       role: 'student',
       status: 'approved',
+      group_name: null,
+      token_version: 0,
+      created_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
+      updated_at: new Date().toISOString().slice(0, 19).replace('T', ' ')
+    });
+
+    // Create default coach user (reviewer of the seeded trades)
+    const coachPasswordHash = bcrypt.hashSync('coach123', 10);
+    this.users.push({
+      id: 'coach-001',
+      name: 'Coach User',
+      email: 'coach@example.com',
+      password_hash: coachPasswordHash,
+      role: 'coach',
+      status: 'approved',
+      group_name: null,
+      token_version: 0,
       created_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
       updated_at: new Date().toISOString().slice(0, 19).replace('T', ' ')
     });
 
+    // Shared tags from the coach: every demo trade gets a session, some losing trades a mistake
+    const tagIds = {};
+    DEFAULT_TAGS.forEach((tag) => {
+      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+      tagIds[tag.name] = randomUUID();
+      this.tags.push({ id: tagIds[tag.name], ...tag, user_id: null, created_by: 'coach-001', created_at: now, updated_at: now });
+    });
+    const tagTrade = (trade, idx) => {
+      const names = [['London', 'New York', 'Asia'][Math.floor(idx / 2) % 3]];
+      const losing = idx % 3 !== 0;
+      if (losing && idx % 5 === 1) names.push('Moved SL');
+      if (losing && idx % 5 === 3) names.push('FOMO entry');
+      names.forEach((name) => this.tradeTags.push({ trade_id: trade.id, tag_id: tagIds[name], created_at: trade.created_at }));
+    };
+
+    // Groups A and B have a checklist. Winning trades mostly followed every rule, losing ones broke one
+    // or two (two when they also got a mistake tag); every tenth trade was logged without the checklist.
+    const groupRules = {};
+    ['Group A', 'Group B'].forEach((groupName) => {
+      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+      groupRules[groupName] = DEFAULT_CHECKLIST_RULES.map((label, i) => ({
+        id: randomUUID(),
+        group_name: groupName,
+        label,
+        position: i + 1,
+        created_by: groupName === 'Group A' ? 'coach-001' : 'admin-001',
+        created_at: now,
+        updated_at: now,
+        archived_at: null
+      }));
+      this.checklistRules.push(...groupRules[groupName]);
+    });
+    const checkTrade = (trade, idx, groupName) => {
+      const rules = groupRules[groupName];
+      if (!rules || idx % 10 === 9) return;
+      const broken = new Set();
+      if (idx % 3 !== 0) {
+        broken.add(idx % rules.length);
+        if (idx % 5 === 1 || idx % 5 === 3) broken.add((idx + 1) % rules.length);
+      } else if (idx % 7 === 0) {
+        broken.add(2);
+      }
+      const { items, score } = scoreChecklist(rules, rules.filter((rule, i) => !broken.has(i)).map((rule) => rule.id));
+      items.forEach((item) => this.tradeChecklistItems.push({ trade_id: trade.id, ...item, checked: item.checked ? 1 : 0 }));
+      trade.adherence_score = score;
+    };
+
     // Seed additional demo students with trades
     const demoStudents = [
-      { name: 'Alice Trader', email: 'alice@example.com' },
-      { name: 'Bob Trader', email: 'bob@example.com' },
-      { name: 'Carol Trader', email: 'carol@example.com' },
-      { name: 'Dave Trader', email: 'dave@example.com' },
-      { name: 'Eve Trader', email: 'eve@example.com' }
+      { name: 'Alice Trader', email: 'alice@example.com', group_name: 'Group A' },
+      { name: 'Bob Trader', email: 'bob@example.com', group_name: 'Group A' },
+      { name: 'Carol Trader', email: 'carol@example.com', group_name: 'Group B' },
+      { name: 'Dave Trader', email: 'dave@example.com', group_name: 'Group B' },
+      { name: 'Eve Trader', email: 'eve@example.com', group_name: 'Group C' }
     ];
 
-    const assets = ['EURUSD', 'GBPUSD', 'XAUUSD', 'BTCUSD', 'AAPL'];
+    // Typical price, stop distance and size per asset (about 1-2% risk on a 10,000 USD account)
+    const markets = {
+      EURUSD: { price: 1.08, risk: 0.003, quantity: 0.5 },
+      GBPUSD: { price: 1.27, risk: 0.004, quantity: 0.5 },
+      XAUUSD: { price: 2300, risk: 8, quantity: 0.1 },
+      BTCUSD: { price: 60000, risk: 800, quantity: 0.1 },
+      AAPL: { price: 190, risk: 2, quantity: 50 },
+    };
+    const assets = Object.keys(markets);
     const strategies = ['Breakout', 'Pullback', 'Trend follow', 'Reversal', 'Range'];
     const emotions = ['Calm', 'Focused', 'Nervous', 'Confident', 'Tired'];
 
-    const makeTrade = (userId, dayOffset, idx) => {
+    const makeAccount = (userId, name, type) => {
+      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+      const account = {
+        id: randomUUID(),
+        user_id: userId,
+        name,
+        broker: type === 'demo' ? 'Demo Broker' : 'Live Broker',
+        type,
+        currency: 'USD',
+        starting_balance: 10000,
+        created_at: now,
+        updated_at: now
+      };
+      this.accounts.push(account);
+      return account;
+    };
+
+    makeAccount('student-001', 'Main', 'live');
+
+    const makeTrade = (userId, accountId, dayOffset, idx) => {
       const created = new Date();
       created.setDate(created.getDate() - dayOffset);
       const createdAt = created.toISOString().slice(0, 19).replace('T', ' ');
 
       const asset = assets[idx % assets.length];
+      const { price, risk, quantity } = markets[asset];
       const direction = idx % 2 === 0 ? 'long' : 'short';
-      const entry = 100 + idx * 0.5;
-      const sl = entry - 0.3;
-      const tp = entry + 0.6;
-      const exit = direction === 'long' ? entry + (idx % 3 === 0 ? 0.4 : -0.2) : entry - (idx % 3 === 0 ? 0.4 : -0.2);
-      const plannedR = (idx % 3) + 1;
-      const actualR = Number(((exit - entry) / Math.abs(entry - sl)).toFixed(2));
-
-      return {
+      const sign = direction === 'long' ? 1 : -1;
+      const roundPrice = (value) => Number(value.toFixed(price < 10 ? 5 : 2));
+      const entry = roundPrice(price * (1 + (idx % 7) * 0.002));
+      const sl = roundPrice(entry - sign * risk);
+      const tp = roundPrice(entry + sign * risk * ((idx % 3) + 1));
+      const exit = roundPrice(entry + sign * risk * (idx % 3 === 0 ? 4 / 3 : -2 / 3));
+
+      const trade = {
         id: randomUUID(),
-        userId,
         user_id: userId,
+        account_id: accountId,
         asset,
         direction,
         entry,
@@ -76,15 +310,23 @@ class MockDatabase {
         status: idx % 4 === 0 ? 'reviewed' : 'pending',
         strategy: strategies[idx % strategies.length],
         emotion: emotions[idx % emotions.length],
-        planned_r: plannedR,
-        actual_r: actualR,
         display_unit: 'pips',
+        quantity,
+        commission: -3.5,
+        swap: 0,
+        account_currency: 'USD',
         chart_before_url: null,
         chart_after_url: null,
         reviewed_by: idx % 4 === 0 ? 'coach-001' : null,
+        reviewed_at: idx % 4 === 0 ? createdAt : null,
+        feedback: null,
+        starred: 0,
+        starred_by: null,
+        adherence_score: null,
         created_at: createdAt,
         updated_at: createdAt
       };
+      return { ...trade, ...planMetrics({}, trade) };
     };
 
     demoStudents.forEach((s, studentIdx) => {
@@ -98,89 +340,33 @@ class MockDatabase {
         password_hash,
         role: 'student',
         status: 'approved',
+        group_name: s.group_name,
+        token_version: 0,
         created_at: now,
         updated_at: now
       });
 
+      // Every fourth trade is on the demo account
+      const live = makeAccount(id, 'Live', 'live');
+      const demo = makeAccount(id, 'Demo', 'demo');
       for (let i = 0; i < 20; i++) {
-        const trade = makeTrade(id, i, studentIdx * 20 + i);
+        const trade = makeTrade(id, i % 4 === 3 ? demo.id : live.id, i, studentIdx * 20 + i);
         this.trades.push(trade);
+        tagTrade(trade, studentIdx * 20 + i);
+        checkTrade(trade, studentIdx * 20 + i, s.group_name);
       }
     });
-  }
-
-  // Users
-  async findUserByEmail(email) {
-    return this.users.find(u => u.email === email);
-  }
-
-  async findUserById(id) {
-    return this.users.find(u => u.id === id);
-  }
-
-  async createUser(userData) {
-    this.users.push(userData);
-    return userData;
-  }
-
-  async getAllUsers() {
-    return [...this.users];
-  }
 
-  async updateUser(id, updates) {
-    const index = this.users.findIndex(u => u.id === id);
-    if (index === -1) return null;
-    this.users[index] = { ...this.users[index], ...updates };
-    return this.users[index];
-  }
-
-  async deleteUser(id) {
-    const index = this.users.findIndex(u => u.id === id);
-    if (index === -1) return false;
-    this.users.splice(index, 1);
-    return true;
-  }
-
-  // Trades
-  async findTradeById(id) {
-    return this.trades.find(t => t.id === id);
-  }
-
-  async getTradeById(id) {
-    return this.trades.find(t => t.id === id);
-  }
-
-  async getAllTrades() {
-    return [...this.trades];
-  }
-
-  async getTradesByUserId(userId) {
-    return this.trades.filter(t => t.user_id === userId);
-  }
-
-  async createTrade(tradeData) {
-    this.trades.push(tradeData);
-    return tradeData;
-  }
-
-  async updateTrade(id, updates) {
-    const index = this.trades.findIndex(t => t.id === id);
-    if (index === -1) return null;
-    this.trades[index] = { ...this.trades[index], ...updates };
-    return this.trades[index];
-  }
-
-  async deleteTrade(id) {
-    const index = this.trades.findIndex(t => t.id === id);
-    if (index === -1) return false;
-    this.trades.splice(index, 1);
-    return true;
-  }
-
-  // Utility
-  async ping() {
-    return true;
+    // Demo coach looks after Group A
+    this.coachAssignments.push({
+      id: randomUUID(),
+      coach_id: 'coach-001',
+      student_id: null,
+      group_name: 'Group A',
+      created_by: 'admin-001',
+      created_at: new Date().toISOString().slice(0, 19).replace('T', ' ')
+    });
   }
 }
 
-module.exports = new MockDatabase();
+module.exports = { MockDatabase, COLLECTIONS, writeFileAtomic };
@@ -0,0 +1,72 @@
+// Cursor (keyset) pagination for the v2 list endpoints.
+// A page is the rows right after (or before) one row in the sort order, read with LIMIT only, so a
+// deep page costs the same as the first one. Rows are ordered by the sort column, then created_at,
+// then id; a cursor is opaque to clients (base64url JSON) and holds the sort, the direction and the
+// key values of the row the page continues from.
+const analytics = require('./analytics');
+
+const DIRECTIONS = ['next', 'prev'];
+
+// The ORDER BY columns for a sort column; id last so every row has a distinct key
+const keyColumns = (sort) => [...new Set([sort, 'created_at', 'id'])];
+
+// mysql2 returns DATETIME columns as Dates; keys are compared as 'YYYY-MM-DD HH:MM:SS' strings
+const keyValue = (value) => {
+  if (value === null || value === undefined) return null;
+  return value instanceof Date ? analytics.toDbDateTime(value) : value;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Returns { cursor } (null when none was sent) or { error }.
+// sortColumns are the sorts the listing accepts.
+const decodeCursor = (value, sortColumns) => {
+  if (!value) return { cursor: null };
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch (error) {
+    cursor = null;
+  }
+  const valid = cursor
+    && sortColumns.includes(cursor.sort)
+    && ['asc', 'desc'].includes(cursor.order)
+    && DIRECTIONS.includes(cursor.direction)
+    && Array.isArray(cursor.key)
+    && cursor.key.length === keyColumns(cursor.sort).length
+    && cursor.key.every((v) => v === null || ['string', 'number'].includes(typeof v))
+    && cursor.key.slice(-2).every((v) => typeof v === 'string');
+  return valid ? { cursor } : { error: 'cursor is not valid' };
+};
+
+// Read one page. list(options) is a repository list method bound to the filters; it receives
+// { sort, order, after, limit }. A cursor brings its own sort and order, so they stay the same while
+// paging. Returns { rows, next, prev } where next/prev are cursors, or null at either end.
+const readPage = async (list, { sort, order, limit, cursor }) => {
+  if (cursor) {
+    ({ sort, order } = cursor);
+  }
+  const keys = keyColumns(sort);
+  const backwards = cursor ? cursor.direction === 'prev' : false;
+  const after = cursor ? Object.fromEntries(keys.map((column, i) => [column, cursor.key[i]])) : undefined;
+
+  // One extra row tells whether there is anything beyond this page
+  const rows = await list({ sort, order: backwards ? (order === 'asc' ? 'desc' : 'asc') : order, after, limit: limit + 1 });
+  const more = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const cursorAt = (row, direction) => encodeCursor({ sort, order, direction, key: keys.map((column) => keyValue(row[column])) });
+  const first = page[0];
+  const last = page[page.length - 1];
+  return {
+    rows: page,
+    next: last && (backwards || more) ? cursorAt(last, 'next') : null,
+    prev: first && (backwards ? more : Boolean(cursor)) ? cursorAt(first, 'prev') : null,
+  };
+};
+
+module.exports = {
+  decodeCursor,
+  readPage,
+};
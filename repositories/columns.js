@@ -0,0 +1,126 @@
+// Column lists shared by the MySQL and in-memory repositories, so both accept and return the same fields.
+
+// Writable trade columns; anything else in a create/update is ignored
+const TRADE_COLUMNS = [
+  'user_id',
+  'account_id',
+  'broker_ticket',
+  'asset',
+  'direction',
+  'entry',
+  'sl',
+  'tp',
+  'exit',
+  'status',
+  'strategy',
+  'emotion',
+  'planned_r',
+  'actual_r',
+  'planned_r_calc',
+  'actual_r_calc',
+  'planned_r_manual',
+  'actual_r_manual',
+  'result_distance',
+  'display_unit',
+  'quantity',
+  'commission',
+  'swap',
+  'fx_rate',
+  'account_currency',
+  'gross_pnl',
+  'net_pnl',
+  'risk_amount',
+  'chart_before_url',
+  'chart_after_url',
+  'reviewed_by',
+  'reviewed_at',
+  'feedback',
+  'starred',
+  'starred_by',
+  'adherence_score',
+  'edited_after_review_at',
+  'created_at',
+  'updated_at',
+];
+
+// Enough for stats/reports without loading chart images
+const TRADE_SUMMARY_COLUMNS = [
+  'id',
+  'user_id',
+  'account_id',
+  'asset',
+  'direction',
+  'strategy',
+  'emotion',
+  'status',
+  'planned_r',
+  'actual_r',
+  'result_distance',
+  'exit',
+  'commission',
+  'swap',
+  'net_pnl',
+  'risk_amount',
+  'adherence_score',
+  'created_at',
+];
+
+// Trade listings can be sorted by these; ties go by created_at, then id, in the same direction
+const TRADE_SORT_COLUMNS = [
+  'created_at',
+  'updated_at',
+  'reviewed_at',
+  'asset',
+  'direction',
+  'strategy',
+  'emotion',
+  'status',
+  'planned_r',
+  'actual_r',
+  'result_distance',
+  'net_pnl',
+  'adherence_score',
+];
+
+const USER_COLUMNS = ['name', 'email', 'password_hash', 'role', 'status', 'group_name', 'token_version', 'created_at', 'updated_at'];
+
+// What user listings return (never password hashes or token versions)
+const USER_PUBLIC_COLUMNS = ['id', 'name', 'email', 'role', 'status', 'group_name', 'created_at'];
+
+const ACCOUNT_COLUMNS = ['user_id', 'name', 'broker', 'type', 'currency', 'starting_balance', 'created_at', 'updated_at'];
+
+const TAG_COLUMNS = ['name', 'category', 'user_id', 'created_by', 'created_at', 'updated_at'];
+
+const CHECKLIST_RULE_COLUMNS = ['group_name', 'label', 'position', 'created_by', 'created_at', 'updated_at', 'archived_at'];
+
+const INSTRUMENT_COLUMNS = [
+  'symbol',
+  'aliases',
+  'asset_class',
+  'description',
+  'pip_size',
+  'tick_size',
+  'contract_size',
+  'quote_currency',
+  'created_at',
+  'updated_at',
+];
+
+// Copy only the listed keys that are present
+const pick = (row, columns) => columns.reduce((acc, column) => {
+  if (row[column] !== undefined) acc[column] = row[column];
+  return acc;
+}, {});
+
+module.exports = {
+  TRADE_COLUMNS,
+  TRADE_SUMMARY_COLUMNS,
+  TRADE_SORT_COLUMNS,
+  USER_COLUMNS,
+  USER_PUBLIC_COLUMNS,
+  ACCOUNT_COLUMNS,
+  TAG_COLUMNS,
+  CHECKLIST_RULE_COLUMNS,
+  INSTRUMENT_COLUMNS,
+  pick,
+};
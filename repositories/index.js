@@ -0,0 +1,29 @@
+// Data access layer: routes only talk to these repositories, so MySQL/SQLite and mock mode share one code path.
+// repositories/mysql.js and repositories/memory.js implement the same interface:
+//
+//   users             findById, findByEmail, list, count, create, update, incrementTokenVersion, delete
+//   trades            findById, findTickets, list, count, create, update, delete, deleteForUser,
+//                     countChartReferences, chartUsage, chartStats
+//   comments          listForTrade, findById, create, update, delete
+//   coachAssignments  list, exists, create, delete, deleteForUser, hasStudent
+//   accounts          list, findById, create, update, delete, deleteForUser
+//   tags              list, findById, create, update, delete, deleteForUser, listForTrades, setForTrade
+//   checklistRules    list, findById, create, update
+//   tradeChecklists   listForTrades, setForTrade
+//   tradeVersions     listForTrade, findVersion, countForTrade, create
+//   instruments       list, findById, create, update, delete
+//   refreshTokens     create, findByHash, revoke, revokeForUser, deleteForUser
+//   passwordResets    create, findValidByHash, claim, invalidateForUser, deleteForUser
+//   storedFiles       create, findByKey, delete, stats
+//   retentionPolicies list, upsert, delete
+//   cleanupRuns       create, list
+//   auditLog          create, list, count (append-only)
+//
+// plus transaction(fn), which runs fn with repositories bound to one transaction, and ping().
+// Rows use the database column names (snake_case) in both modes.
+const createMysqlRepositories = require('./mysql');
+const createMemoryRepositories = require('./memory');
+
+const createRepositories = ({ useMock, pool, store }) => (useMock ? createMemoryRepositories(store) : createMysqlRepositories(pool));
+
+module.exports = { createRepositories };
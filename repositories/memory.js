@@ -0,0 +1,738 @@
+// In-memory implementation of the repositories (mock mode), backed by the collections in mock-db.js.
+// Mirrors repositories/mysql.js: same methods, same row shapes, and rows are copied in and out
+// so callers can't change stored data by mutating a result.
+const analytics = require('../analytics');
+const chartImages = require('../chart-images');
+const {
+  TRADE_COLUMNS,
+  TRADE_SUMMARY_COLUMNS,
+  TRADE_SORT_COLUMNS,
+  USER_COLUMNS,
+  USER_PUBLIC_COLUMNS,
+  ACCOUNT_COLUMNS,
+  TAG_COLUMNS,
+  CHECKLIST_RULE_COLUMNS,
+  INSTRUMENT_COLUMNS,
+  pick,
+} = require('./columns');
+
+const copy = (row) => (row ? { ...row } : null);
+
+// Newest first by default, ties broken by id like ORDER BY created_at, id
+const byCreatedAt = (order) => (a, b) => {
+  const left = `${analytics.createdAtString(a)} ${a.id}`;
+  const right = `${analytics.createdAtString(b)} ${b.id}`;
+  const result = left < right ? -1 : left > right ? 1 : 0;
+  return order === 'asc' ? result : -result;
+};
+
+// Trade listings sorted by one of TRADE_SORT_COLUMNS, then created_at and id, like the SQL ORDER BY:
+// NULL sorts first in ascending order and DECIMAL columns compare as numbers
+const NUMERIC_SORT_COLUMNS = new Set(['planned_r', 'actual_r', 'result_distance', 'net_pnl', 'adherence_score']);
+
+const sortValue = (trade, column) => {
+  if (column === 'created_at') return analytics.createdAtString(trade);
+  if (NUMERIC_SORT_COLUMNS.has(column)) return analytics.toNumber(trade[column]);
+  return trade[column] === null || trade[column] === undefined ? null : String(trade[column]);
+};
+
+const bySortColumn = (sort, order) => {
+  const columns = [...new Set([TRADE_SORT_COLUMNS.includes(sort) ? sort : 'created_at', 'created_at', 'id'])];
+  return (a, b) => {
+    for (const column of columns) {
+      const left = sortValue(a, column);
+      const right = sortValue(b, column);
+      if (left === right) continue;
+      const result = left === null ? -1 : right === null ? 1 : left < right ? -1 : 1;
+      return order === 'asc' ? result : -result;
+    }
+    return 0;
+  };
+};
+
+const paginate = (rows, { limit, offset = 0 }) => (limit === undefined ? rows : rows.slice(offset, offset + limit));
+
+const removeWhere = (store, collection, predicate) => {
+  const before = store[collection].length;
+  store[collection] = store[collection].filter((row) => !predicate(row));
+  return before - store[collection].length;
+};
+
+// Students assigned to a coach directly or through their group
+const coachStudentIds = (store, coachId) => {
+  const assignments = store.coachAssignments.filter((a) => a.coach_id === coachId);
+  const groups = new Set(assignments.filter((a) => a.group_name).map((a) => a.group_name));
+  const ids = new Set(assignments.filter((a) => a.student_id).map((a) => a.student_id));
+  store.users
+    .filter((u) => u.group_name && groups.has(u.group_name))
+    .forEach((u) => ids.add(u.id));
+  return ids;
+};
+
+const createUsersRepository = (store) => {
+  const matching = ({ status, role, coachId } = {}) => {
+    let users = store.users;
+    if (coachId) {
+      const ids = coachStudentIds(store, coachId);
+      users = users.filter((u) => ids.has(u.id));
+    }
+    if (status) users = users.filter((u) => u.status === status);
+    if (role) users = users.filter((u) => u.role === role);
+    return users;
+  };
+
+  return {
+    async findById(id) {
+      return copy(store.users.find((u) => u.id === id));
+    },
+
+    async findByEmail(email) {
+      return copy(store.users.find((u) => u.email === email));
+    },
+
+    async list(query = {}) {
+      const order = byCreatedAt(query.order === 'asc' ? 'asc' : 'desc');
+      let users = matching(query).sort(order);
+      if (query.after) users = users.filter((u) => order(u, query.after) > 0);
+      return paginate(users.map((u) => ({ group_name: null, ...pick(u, USER_PUBLIC_COLUMNS) })), query);
+    },
+
+    async count(query = {}) {
+      return matching(query).length;
+    },
+
+    async create(user) {
+      store.users.push({ token_version: 0, group_name: null, ...pick(user, ['id', ...USER_COLUMNS]) });
+      return user;
+    },
+
+    async update(id, changes) {
+      const user = store.users.find((u) => u.id === id);
+      if (!user) return false;
+      Object.assign(user, pick(changes, USER_COLUMNS));
+      return true;
+    },
+
+    async incrementTokenVersion(id) {
+      const user = store.users.find((u) => u.id === id);
+      if (user) user.token_version = (user.token_version || 0) + 1;
+    },
+
+    async delete(id) {
+      return removeWhere(store, 'users', (u) => u.id === id) > 0;
+    },
+  };
+};
+
+const createTradesRepository = (store) => {
+  const matching = ({ userId, group, coachId, accountId, status, filters } = {}) => {
+    let trades = store.trades;
+    if (userId) trades = trades.filter((t) => t.user_id === userId);
+    if (accountId) trades = trades.filter((t) => t.account_id === accountId);
+    if (group) {
+      const ids = new Set(store.users.filter((u) => u.group_name === group).map((u) => u.id));
+      trades = trades.filter((t) => ids.has(t.user_id));
+    }
+    if (coachId) {
+      const ids = coachStudentIds(store, coachId);
+      trades = trades.filter((t) => ids.has(t.user_id));
+    }
+    if (status) trades = trades.filter((t) => t.status === status);
+    if (filters) {
+      const comments = filters.search ? groupByTrade(store.tradeComments, 'body') : new Map();
+      const tags = filters.tags ? groupByTrade(store.tradeTags, 'tag_id') : new Map();
+      trades = trades.filter((t) => analytics.matchesTradeFilters(t, filters, {
+        comments: comments.get(t.id),
+        tagIds: tags.get(t.id),
+      }));
+    }
+    return trades;
+  };
+
+  // trade_id → the given field of each row (comment bodies for a search, tag ids for a tags filter)
+  const groupByTrade = (rows, field) => rows.reduce((map, row) => {
+    map.set(row.trade_id, [...(map.get(row.trade_id) || []), row[field]]);
+    return map;
+  }, new Map());
+
+  const chartsOf = (trade) => [trade.chart_before_url, trade.chart_after_url];
+
+  return {
+    async findById(id) {
+      return copy(store.trades.find((t) => t.id === id));
+    },
+
+    async list(query = {}) {
+      const columns = query.columns
+        ? ['id', ...query.columns.filter((c) => TRADE_COLUMNS.includes(c))]
+        : query.summary ? TRADE_SUMMARY_COLUMNS : null;
+      const order = bySortColumn(query.sort, query.order);
+      let trades = matching(query).sort(order);
+      if (query.after) trades = trades.filter((t) => order(t, query.after) > 0);
+      return paginate(trades.map((t) => (columns ? pick(t, columns) : copy(t))), query);
+    },
+
+    async count(query = {}) {
+      return matching(query).length;
+    },
+
+    async create(trade) {
+      const row = { id: trade.id };
+      TRADE_COLUMNS.forEach((column) => {
+        row[column] = trade[column] === undefined ? null : trade[column];
+      });
+      row.starred = row.starred || 0;
+      row.planned_r_manual = row.planned_r_manual || 0;
+      row.actual_r_manual = row.actual_r_manual || 0;
+      store.trades.push(row);
+      return copy(row);
+    },
+
+    async update(id, changes) {
+      const trade = store.trades.find((t) => t.id === id);
+      if (!trade) return null;
+      Object.assign(trade, pick(changes, TRADE_COLUMNS));
+      return copy(trade);
+    },
+
+    // The given broker tickets that already exist on an account
+    async findTickets(accountId, tickets) {
+      const wanted = new Set(tickets);
+      return store.trades
+        .filter((t) => t.account_id === accountId && wanted.has(t.broker_ticket))
+        .map((t) => t.broker_ticket);
+    },
+
+    async delete(id) {
+      removeWhere(store, 'tradeComments', (c) => c.trade_id === id);
+      removeWhere(store, 'tradeTags', (l) => l.trade_id === id);
+      removeWhere(store, 'tradeChecklistItems', (i) => i.trade_id === id);
+      removeWhere(store, 'tradeVersions', (v) => v.trade_id === id);
+      return removeWhere(store, 'trades', (t) => t.id === id) > 0;
+    },
+
+    async deleteForUser(userId) {
+      const trades = store.trades.filter((t) => t.user_id === userId);
+      const ids = new Set(trades.map((t) => t.id));
+      removeWhere(store, 'tradeComments', (c) => ids.has(c.trade_id));
+      removeWhere(store, 'tradeTags', (l) => ids.has(l.trade_id));
+      removeWhere(store, 'tradeChecklistItems', (i) => ids.has(i.trade_id));
+      removeWhere(store, 'tradeVersions', (v) => ids.has(v.trade_id));
+      removeWhere(store, 'trades', (t) => ids.has(t.id));
+      return trades.flatMap(chartsOf).filter((c) => chartImages.keyFromReference(c));
+    },
+
+    // How many trades show the stored file as a chart
+    async countChartReferences(key) {
+      return store.trades.filter((t) => chartsOf(t).some((c) => chartImages.keyFromReference(c) === key)).length;
+    },
+
+    async chartUsage() {
+      const sizes = new Map(store.storedFiles.map((f) => [chartImages.toReference(f.storage_key), f.size_bytes]));
+      const sizeOf = (value) => (chartImages.isDataUrl(value) ? value.length : sizes.get(value) || 0);
+      const reference = (value) => (typeof value === 'string' && value.startsWith(chartImages.FILE_URL_PREFIX) ? value : null);
+
+      return store.trades
+        .filter((t) => t.chart_before_url || t.chart_after_url)
+        .map((t) => ({
+          id: t.id,
+          user_id: t.user_id,
+          status: t.status,
+          starred: t.starred || 0,
+          created_at: t.created_at,
+          chart_before_ref: reference(t.chart_before_url),
+          chart_after_ref: reference(t.chart_after_url),
+          images: (t.chart_before_url ? 1 : 0) + (t.chart_after_url ? 1 : 0),
+          bytes: sizeOf(t.chart_before_url) + sizeOf(t.chart_after_url),
+        }));
+    },
+
+    async chartStats(cutoff) {
+      const inline = store.trades.flatMap(chartsOf).filter(chartImages.isDataUrl);
+      return {
+        totalTrades: store.trades.length,
+        planImages: store.trades.filter((t) => t.chart_before_url).length,
+        resultImages: store.trades.filter((t) => t.chart_after_url).length,
+        inlineImages: inline.length,
+        inlineBytes: inline.reduce((sum, c) => sum + c.length, 0),
+        recentTrades: store.trades.filter((t) => analytics.createdAtString(t) > cutoff).length,
+        oldTrades: store.trades.filter((t) => analytics.createdAtString(t) <= cutoff).length,
+      };
+    },
+  };
+};
+
+const createCommentsRepository = (store) => ({
+  async listForTrade(tradeId) {
+    const names = new Map(store.users.map((u) => [u.id, u.name]));
+    return store.tradeComments
+      .filter((c) => c.trade_id === tradeId)
+      .sort(byCreatedAt('asc'))
+      .map((c) => ({ ...c, author_name: names.get(c.author_id) || null }));
+  },
+
+  async findById(id) {
+    return copy(store.tradeComments.find((c) => c.id === id));
+  },
+
+  async create(comment) {
+    store.tradeComments.push({ ...comment });
+    return comment;
+  },
+
+  async update(id, changes) {
+    const comment = store.tradeComments.find((c) => c.id === id);
+    if (!comment) return null;
+    Object.assign(comment, pick(changes, ['body', 'updated_at']));
+    return copy(comment);
+  },
+
+  async delete(id) {
+    return removeWhere(store, 'tradeComments', (c) => c.id === id) > 0;
+  },
+});
+
+const createCoachAssignmentsRepository = (store) => ({
+  async list(coachId) {
+    const names = new Map(store.users.map((u) => [u.id, u.name]));
+    return store.coachAssignments
+      .filter((a) => !coachId || a.coach_id === coachId)
+      .sort(byCreatedAt('desc'))
+      .map((a) => ({
+        ...a,
+        coach_name: names.get(a.coach_id) || null,
+        student_name: a.student_id ? names.get(a.student_id) || null : null,
+      }));
+  },
+
+  async exists({ coachId, studentId, groupName }) {
+    return store.coachAssignments.some(
+      (a) => a.coach_id === coachId && (a.student_id ?? null) === studentId && (a.group_name ?? null) === groupName
+    );
+  },
+
+  async create(assignment) {
+    store.coachAssignments.push({ ...assignment });
+    return assignment;
+  },
+
+  async delete(id) {
+    return removeWhere(store, 'coachAssignments', (a) => a.id === id) > 0;
+  },
+
+  async deleteForUser(userId) {
+    removeWhere(store, 'coachAssignments', (a) => a.coach_id === userId || a.student_id === userId);
+  },
+
+  async hasStudent(coachId, studentId) {
+    return coachStudentIds(store, coachId).has(studentId);
+  },
+});
+
+const createAccountsRepository = (store) => ({
+  async list({ userId } = {}) {
+    return store.accounts
+      .filter((a) => !userId || a.user_id === userId)
+      .map(copy)
+      .sort((a, b) => `${a.user_id} ${a.created_at} ${a.id}`.localeCompare(`${b.user_id} ${b.created_at} ${b.id}`));
+  },
+
+  async findById(id) {
+    return copy(store.accounts.find((a) => a.id === id));
+  },
+
+  async create(account) {
+    store.accounts.push({ id: account.id, ...pick(account, ACCOUNT_COLUMNS) });
+    return account;
+  },
+
+  async update(id, changes) {
+    const account = store.accounts.find((a) => a.id === id);
+    if (!account) return null;
+    Object.assign(account, pick(changes, ACCOUNT_COLUMNS));
+    return copy(account);
+  },
+
+  async delete(id) {
+    return removeWhere(store, 'accounts', (a) => a.id === id) > 0;
+  },
+
+  async deleteForUser(userId) {
+    removeWhere(store, 'accounts', (a) => a.user_id === userId);
+  },
+});
+
+// Like ORDER BY category, name, id
+const byCategoryAndName = (a, b) => {
+  for (const column of ['category', 'name', 'id']) {
+    if (a[column] !== b[column]) return a[column] < b[column] ? -1 : 1;
+  }
+  return 0;
+};
+
+const createTagsRepository = (store) => ({
+  async list({ userId, category, ids } = {}) {
+    const wanted = ids ? new Set(ids) : null;
+    return store.tags
+      .filter((t) => (wanted ? wanted.has(t.id) : !t.user_id || t.user_id === userId))
+      .filter((t) => !category || t.category === category)
+      .map(copy)
+      .sort(byCategoryAndName);
+  },
+
+  async findById(id) {
+    return copy(store.tags.find((t) => t.id === id));
+  },
+
+  async create(tag) {
+    store.tags.push({ id: tag.id, ...pick(tag, TAG_COLUMNS) });
+    return tag;
+  },
+
+  async update(id, changes) {
+    const tag = store.tags.find((t) => t.id === id);
+    if (!tag) return null;
+    Object.assign(tag, pick(changes, TAG_COLUMNS));
+    return copy(tag);
+  },
+
+  async delete(id) {
+    removeWhere(store, 'tradeTags', (l) => l.tag_id === id);
+    return removeWhere(store, 'tags', (t) => t.id === id) > 0;
+  },
+
+  async deleteForUser(userId) {
+    const ids = new Set(store.tags.filter((t) => t.user_id === userId).map((t) => t.id));
+    removeWhere(store, 'tradeTags', (l) => ids.has(l.tag_id));
+    removeWhere(store, 'tags', (t) => ids.has(t.id));
+  },
+
+  async listForTrades(tradeIds) {
+    const wanted = new Set(tradeIds);
+    const tags = new Map(store.tags.map((t) => [t.id, t]));
+    return store.tradeTags
+      .filter((l) => wanted.has(l.trade_id) && tags.has(l.tag_id))
+      .map((l) => {
+        const { id, name, category, user_id: userId } = tags.get(l.tag_id);
+        return { trade_id: l.trade_id, id, name, category, user_id: userId };
+      })
+      .sort(byCategoryAndName);
+  },
+
+  async setForTrade(tradeId, tagIds, createdAt) {
+    const current = store.tradeTags.filter((l) => l.trade_id === tradeId).map((l) => l.tag_id);
+    removeWhere(store, 'tradeTags', (l) => l.trade_id === tradeId && !tagIds.includes(l.tag_id));
+    tagIds
+      .filter((id) => !current.includes(id))
+      .forEach((id) => store.tradeTags.push({ trade_id: tradeId, tag_id: id, created_at: createdAt }));
+  },
+});
+
+// Group, then checklist order, like ORDER BY group_name, position, created_at, id
+const byChecklistOrder = (a, b) => a.group_name.localeCompare(b.group_name)
+  || a.position - b.position
+  || byCreatedAt('asc')(a, b);
+
+const createChecklistRulesRepository = (store) => ({
+  async list({ groups, includeArchived = false } = {}) {
+    const wanted = groups ? new Set(groups) : null;
+    return store.checklistRules
+      .filter((r) => (!wanted || wanted.has(r.group_name)) && (includeArchived || !r.archived_at))
+      .map(copy)
+      .sort(byChecklistOrder);
+  },
+
+  async findById(id) {
+    return copy(store.checklistRules.find((r) => r.id === id));
+  },
+
+  async create(rule) {
+    store.checklistRules.push({ id: rule.id, ...pick(rule, CHECKLIST_RULE_COLUMNS) });
+    return rule;
+  },
+
+  async update(id, changes) {
+    const rule = store.checklistRules.find((r) => r.id === id);
+    if (!rule) return null;
+    Object.assign(rule, pick(changes, CHECKLIST_RULE_COLUMNS));
+    return copy(rule);
+  },
+});
+
+const createTradeChecklistsRepository = (store) => ({
+  async listForTrades(tradeIds) {
+    const wanted = new Set(tradeIds);
+    return store.tradeChecklistItems
+      .filter((i) => wanted.has(i.trade_id))
+      .map((i) => ({ ...i, checked: Boolean(i.checked) }))
+      .sort((a, b) => a.trade_id.localeCompare(b.trade_id) || a.position - b.position || a.rule_id.localeCompare(b.rule_id));
+  },
+
+  async setForTrade(tradeId, items) {
+    removeWhere(store, 'tradeChecklistItems', (i) => i.trade_id === tradeId);
+    items.forEach(({ rule_id: ruleId, label, position, checked }) => {
+      store.tradeChecklistItems.push({ trade_id: tradeId, rule_id: ruleId, label, position, checked: checked ? 1 : 0 });
+    });
+  },
+});
+
+// Snapshots are copied too
+const createTradeVersionsRepository = (store) => ({
+  async listForTrade(tradeId) {
+    return store.tradeVersions
+      .filter((v) => v.trade_id === tradeId)
+      .sort((a, b) => a.version - b.version)
+      .map((v) => JSON.parse(JSON.stringify(v)));
+  },
+
+  async findVersion(tradeId, version) {
+    const found = store.tradeVersions.find((v) => v.trade_id === tradeId && v.version === version);
+    return found ? JSON.parse(JSON.stringify(found)) : null;
+  },
+
+  async countForTrade(tradeId) {
+    return store.tradeVersions.filter((v) => v.trade_id === tradeId).length;
+  },
+
+  async create(version) {
+    store.tradeVersions.push(JSON.parse(JSON.stringify(version)));
+    return version;
+  },
+});
+
+// Aliases are copied too, so callers can't change a stored list
+const copyInstrument = (row) => (row ? { ...row, aliases: [...(row.aliases || [])] } : null);
+
+const createInstrumentsRepository = (store) => ({
+  async list({ assetClass } = {}) {
+    return store.instruments
+      .filter((i) => !assetClass || i.asset_class === assetClass)
+      .map(copyInstrument)
+      .sort((a, b) => (assetClass ? 0 : a.asset_class.localeCompare(b.asset_class)) || a.symbol.localeCompare(b.symbol));
+  },
+
+  async findById(id) {
+    return copyInstrument(store.instruments.find((i) => i.id === id));
+  },
+
+  async create(instrument) {
+    store.instruments.push(copyInstrument({ id: instrument.id, ...pick(instrument, INSTRUMENT_COLUMNS) }));
+    return instrument;
+  },
+
+  async update(id, changes) {
+    const instrument = store.instruments.find((i) => i.id === id);
+    if (!instrument) return null;
+    Object.assign(instrument, copyInstrument({ ...instrument, ...pick(changes, INSTRUMENT_COLUMNS) }));
+    return copyInstrument(instrument);
+  },
+
+  async delete(id) {
+    return removeWhere(store, 'instruments', (i) => i.id === id) > 0;
+  },
+});
+
+const createRefreshTokensRepository = (store) => ({
+  async create(record) {
+    store.refreshTokens.push({ ...record });
+    return record;
+  },
+
+  async findByHash(tokenHash, { now }) {
+    const record = store.refreshTokens.find((r) => r.token_hash === tokenHash);
+    if (!record) return null;
+    return { id: record.id, user_id: record.user_id, revoked_at: record.revoked_at, expired: record.expires_at <= now };
+  },
+
+  async revoke(id, revokedAt, replacedBy = null) {
+    const record = store.refreshTokens.find((r) => r.id === id);
+    if (record) Object.assign(record, { revoked_at: revokedAt, replaced_by: replacedBy });
+  },
+
+  async revokeForUser(userId, revokedAt) {
+    store.refreshTokens
+      .filter((r) => r.user_id === userId && !r.revoked_at)
+      .forEach((r) => { r.revoked_at = revokedAt; });
+  },
+
+  async deleteForUser(userId) {
+    removeWhere(store, 'refreshTokens', (r) => r.user_id === userId);
+  },
+});
+
+const createPasswordResetsRepository = (store) => ({
+  async create(reset) {
+    store.passwordResets.push({ ...reset });
+    return reset;
+  },
+
+  async findValidByHash(tokenHash, now) {
+    const reset = store.passwordResets.find((r) => r.token_hash === tokenHash && !r.used_at && r.expires_at > now);
+    return reset ? { id: reset.id, user_id: reset.user_id } : null;
+  },
+
+  async claim(id, usedAt) {
+    const reset = store.passwordResets.find((r) => r.id === id && !r.used_at);
+    if (!reset) return false;
+    reset.used_at = usedAt;
+    return true;
+  },
+
+  async invalidateForUser(userId, usedAt) {
+    store.passwordResets
+      .filter((r) => r.user_id === userId && !r.used_at)
+      .forEach((r) => { r.used_at = usedAt; });
+  },
+
+  async deleteForUser(userId) {
+    removeWhere(store, 'passwordResets', (r) => r.user_id === userId);
+  },
+});
+
+const createStoredFilesRepository = (store) => ({
+  async create(file) {
+    store.storedFiles.push({ ...file });
+    return file;
+  },
+
+  async findByKey(key) {
+    return copy(store.storedFiles.find((f) => f.storage_key === key));
+  },
+
+  async delete(key) {
+    removeWhere(store, 'storedFiles', (f) => f.storage_key === key);
+  },
+
+  async stats() {
+    return {
+      storedFiles: store.storedFiles.length,
+      storedBytes: store.storedFiles.reduce((sum, f) => sum + Number(f.size_bytes || 0), 0),
+    };
+  },
+});
+
+const createRetentionPoliciesRepository = (store) => ({
+  async list() {
+    return store.retentionPolicies
+      .map(copy)
+      .sort((a, b) => `${a.scope} ${a.scope_value || ''}`.localeCompare(`${b.scope} ${b.scope_value || ''}`));
+  },
+
+  async upsert(policy) {
+    const existing = store.retentionPolicies.find((p) => p.scope === policy.scope && p.scope_value === policy.scope_value);
+    if (existing) {
+      Object.assign(existing, { ...policy, id: existing.id });
+      return copy(existing);
+    }
+    store.retentionPolicies.push({ ...policy });
+    return policy;
+  },
+
+  async delete(id) {
+    return removeWhere(store, 'retentionPolicies', (p) => p.id === id) > 0;
+  },
+});
+
+const createCleanupRunsRepository = (store) => ({
+  async create(run) {
+    store.cleanupRuns.push({ ...run });
+    return run;
+  },
+
+  async list(limit) {
+    return store.cleanupRuns.map(copy).reverse().slice(0, limit);
+  },
+});
+
+// Append-only, like the table
+const createAuditLogRepository = (store) => {
+  const matching = ({ actorId, action, targetType, targetId, from, to } = {}) => store.auditLog.filter((e) => {
+    if (actorId && e.actor_id !== actorId) return false;
+    if (action && e.action !== action) return false;
+    if (targetType && e.target_type !== targetType) return false;
+    if (targetId && e.target_id !== targetId) return false;
+    if (from && e.created_at < from) return false;
+    if (to && e.created_at > to) return false;
+    return true;
+  });
+
+  return {
+    async create(entry) {
+      store.auditLog.push(JSON.parse(JSON.stringify(entry)));
+      return entry;
+    },
+
+    async list(query = {}) {
+      const order = byCreatedAt(query.order === 'asc' ? 'asc' : 'desc');
+      let entries = matching(query).sort(order);
+      if (query.after) entries = entries.filter((e) => order(e, query.after) > 0);
+      return paginate(entries.map((e) => JSON.parse(JSON.stringify(e))), query);
+    },
+
+    async count(query = {}) {
+      return matching(query).length;
+    },
+  };
+};
+
+// Repository methods that never change the store; everything else is a write
+const READ_METHOD = /^(find|list|count|exists|has|stats|chartUsage|chartStats)/;
+
+// Tell the store after each write so a file-backed mock database can save itself
+const notifyOnWrite = (store, repo) => Object.fromEntries(
+  Object.entries(repo).map(([name, method]) => [
+    name,
+    READ_METHOD.test(name)
+      ? method
+      : async (...args) => {
+          const result = await method(...args);
+          if (store.changed) store.changed();
+          return result;
+        },
+  ])
+);
+
+module.exports = (store) => {
+  const repos = {
+    users: createUsersRepository(store),
+    trades: createTradesRepository(store),
+    comments: createCommentsRepository(store),
+    coachAssignments: createCoachAssignmentsRepository(store),
+    accounts: createAccountsRepository(store),
+    tags: createTagsRepository(store),
+    checklistRules: createChecklistRulesRepository(store),
+    tradeChecklists: createTradeChecklistsRepository(store),
+    tradeVersions: createTradeVersionsRepository(store),
+    instruments: createInstrumentsRepository(store),
+    refreshTokens: createRefreshTokensRepository(store),
+    passwordResets: createPasswordResetsRepository(store),
+    storedFiles: createStoredFilesRepository(store),
+    retentionPolicies: createRetentionPoliciesRepository(store),
+    cleanupRuns: createCleanupRunsRepository(store),
+    auditLog: createAuditLogRepository(store),
+  };
+  Object.keys(repos).forEach((name) => {
+    repos[name] = notifyOnWrite(store, repos[name]);
+  });
+
+  return {
+    ...repos,
+    // Rows are copied in and out, so copying each collection's rows is enough to undo the callback's
+    // writes when it throws. Not isolated: other requests see the changes before the commit.
+    async transaction(fn) {
+      const snapshot = Object.fromEntries(Object.entries(store)
+        .filter(([, rows]) => Array.isArray(rows))
+        .map(([name, rows]) => [name, rows.map(copy)]));
+      try {
+        return await fn(repos);
+      } catch (error) {
+        Object.assign(store, snapshot);
+        if (store.changed) store.changed();
+        throw error;
+      }
+    },
+    async ping() {
+      return true;
+    },
+  };
+};
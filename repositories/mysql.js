@@ -0,0 +1,881 @@
+// SQL implementation of the repositories (see repositories/index.js for the interface).
+// Queries are written for MySQL and also run on SQLite through the translating driver in sqlite.js.
+// Every repository is built on a "db" that is either the pool or one connection inside a transaction.
+const analytics = require('../analytics');
+const chartImages = require('../chart-images');
+const {
+  TRADE_COLUMNS,
+  TRADE_SUMMARY_COLUMNS,
+  TRADE_SORT_COLUMNS,
+  USER_COLUMNS,
+  USER_PUBLIC_COLUMNS,
+  ACCOUNT_COLUMNS,
+  TAG_COLUMNS,
+  CHECKLIST_RULE_COLUMNS,
+  INSTRUMENT_COLUMNS,
+  pick,
+} = require('./columns');
+
+// Students assigned to a coach directly or through their group (pass the coach id twice)
+const COACH_STUDENTS_SUBQUERY = `
+  SELECT student_id FROM coach_assignments WHERE coach_id = ? AND student_id IS NOT NULL
+  UNION
+  SELECT u.id FROM users u JOIN coach_assignments ca ON ca.group_name = u.group_name WHERE ca.coach_id = ?`;
+
+const quote = (column) => `\`${column}\``;
+
+// Build "INSERT INTO table (...) VALUES (...)" from the given row
+const insertRow = async (db, table, row) => {
+  const columns = Object.keys(row);
+  await db.query(
+    `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map((c) => row[c])
+  );
+};
+
+const updateRow = async (db, table, key, id, changes) => {
+  const columns = Object.keys(changes);
+  if (columns.length === 0) return true;
+  const [result] = await db.query(
+    `UPDATE ${table} SET ${columns.map((c) => `${quote(c)} = ?`).join(', ')} WHERE ${key} = ?`,
+    [...columns.map((c) => changes[c]), id]
+  );
+  return result.affectedRows > 0;
+};
+
+// WHERE condition for keyset paging: the rows after `after` (a row or { column: value }) when ordered
+// by columns, all in direction ('ASC' | 'DESC'). NULL sorts first in ascending order, as in MySQL and
+// SQLite. The last column must be unique and not null (id).
+const keysetCondition = (columns, after, direction) => {
+  const params = [];
+  const beyond = (column, value) => {
+    if (value === null) return direction === 'ASC' ? `${column} IS NOT NULL` : '1 = 0';
+    params.push(value);
+    return direction === 'ASC' ? `${column} > ?` : `(${column} < ? OR ${column} IS NULL)`;
+  };
+  const build = (i) => {
+    const column = quote(columns[i]);
+    const value = after[columns[i]] ?? null;
+    const past = beyond(column, value);
+    if (i === columns.length - 1) return past;
+    if (value !== null) params.push(value);
+    const same = value === null ? `${column} IS NULL` : `${column} = ?`;
+    return `(${past} OR (${same} AND ${build(i + 1)}))`;
+  };
+  return { sql: build(0), params };
+};
+
+const createUsersRepository = (db) => {
+  const where = ({ status, role, coachId } = {}) => {
+    const conditions = [];
+    const params = [];
+    // Coaches only see their assigned students
+    if (coachId) {
+      conditions.push(`id IN (${COACH_STUDENTS_SUBQUERY})`);
+      params.push(coachId, coachId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+    return { sql: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+  };
+
+  return {
+    async findById(id) {
+      const [users] = await db.query('SELECT * FROM users WHERE id = ?', [id]);
+      return users[0] || null;
+    },
+
+    async findByEmail(email) {
+      const [users] = await db.query('SELECT * FROM users WHERE email = ?', [email]);
+      return users[0] || null;
+    },
+
+    // query: { status, role, coachId, order: 'asc' | 'desc' (default newest first), limit, offset, after }.
+    //   after (the last user seen, or its created_at and id) continues after that user in the order.
+    async list(query = {}) {
+      const { sql, params } = where(query);
+      const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+      let conditions = sql;
+      if (query.after) {
+        const keyset = keysetCondition(['created_at', 'id'], query.after, direction);
+        conditions += `${sql ? ' AND' : ' WHERE'} ${keyset.sql}`;
+        params.push(...keyset.params);
+      }
+      let base = `SELECT ${USER_PUBLIC_COLUMNS.join(', ')} FROM users${conditions} ORDER BY created_at ${direction}, id ${direction}`;
+      if (query.limit !== undefined) {
+        base += ' LIMIT ? OFFSET ?';
+        params.push(query.limit, query.offset || 0);
+      }
+      const [users] = await db.query(base, params);
+      return users;
+    },
+
+    async count(query = {}) {
+      const { sql, params } = where(query);
+      const [rows] = await db.query(`SELECT COUNT(*) AS total FROM users${sql}`, params);
+      return Number(rows[0].total);
+    },
+
+    async create(user) {
+      await insertRow(db, 'users', { id: user.id, ...pick(user, USER_COLUMNS) });
+      return user;
+    },
+
+    async update(id, changes) {
+      return updateRow(db, 'users', 'id', id, pick(changes, USER_COLUMNS));
+    },
+
+    async incrementTokenVersion(id) {
+      await db.query('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [id]);
+    },
+
+    async delete(id) {
+      const [result] = await db.query('DELETE FROM users WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    },
+  };
+};
+
+const createTradesRepository = (db) => {
+  const where = ({ userId, group, coachId, accountId, status, filters } = {}) => {
+    const { conditions, params } = analytics.buildTradeFilterSql(filters || {});
+    if (status) {
+      conditions.unshift('status = ?');
+      params.unshift(status);
+    }
+    if (accountId) {
+      conditions.unshift('account_id = ?');
+      params.unshift(accountId);
+    }
+    if (coachId) {
+      conditions.unshift(`user_id IN (${COACH_STUDENTS_SUBQUERY})`);
+      params.unshift(coachId, coachId);
+    }
+    if (group) {
+      conditions.unshift('user_id IN (SELECT id FROM users WHERE group_name = ?)');
+      params.unshift(group);
+    }
+    if (userId) {
+      conditions.unshift('user_id = ?');
+      params.unshift(userId);
+    }
+    return { sql: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+  };
+
+  const chartReferenceFilter = `(chart_before_url LIKE ? OR chart_after_url LIKE ?)`;
+  const prefixPattern = `${chartImages.FILE_URL_PREFIX}%`;
+
+  return {
+    async findById(id) {
+      const [trades] = await db.query('SELECT * FROM trades WHERE id = ?', [id]);
+      return trades[0] || null;
+    },
+
+    // query: { userId, group, coachId, status, filters, sort, order: 'asc' | 'desc', limit, offset,
+    //   after, summary, columns }. sort is one of TRADE_SORT_COLUMNS (default created_at; ties go by
+    //   created_at, then id); after (the last row seen, or its sort column, created_at and id)
+    //   continues after that row in the sort order; columns picks trade columns (id is always
+    //   included), summary the summary set.
+    async list(query = {}) {
+      const { sql, params } = where(query);
+      const columns = query.columns
+        ? ['id', ...query.columns.filter((c) => TRADE_COLUMNS.includes(c))].map(quote).join(', ')
+        : query.summary ? TRADE_SUMMARY_COLUMNS.map(quote).join(', ') : '*';
+      const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+      const sort = TRADE_SORT_COLUMNS.includes(query.sort) ? query.sort : 'created_at';
+      const keys = [...new Set([sort, 'created_at', 'id'])];
+      let conditions = sql;
+      if (query.after) {
+        const keyset = keysetCondition(keys, query.after, direction);
+        conditions += `${sql ? ' AND' : ' WHERE'} ${keyset.sql}`;
+        params.push(...keyset.params);
+      }
+      const order = keys.map((c) => `${quote(c)} ${direction}`).join(', ');
+      let base = `SELECT ${columns} FROM trades${conditions} ORDER BY ${order}`;
+      if (query.limit !== undefined) {
+        base += ' LIMIT ? OFFSET ?';
+        params.push(query.limit, query.offset || 0);
+      }
+      const [trades] = await db.query(base, params);
+      return trades;
+    },
+
+    async count(query = {}) {
+      const { sql, params } = where(query);
+      const [rows] = await db.query(`SELECT COUNT(*) AS total FROM trades${sql}`, params);
+      return Number(rows[0].total);
+    },
+
+    async create(trade) {
+      await insertRow(db, 'trades', { id: trade.id, ...pick(trade, TRADE_COLUMNS) });
+      return trade;
+    },
+
+    // Returns the updated trade, or null if it doesn't exist
+    async update(id, changes) {
+      const found = await updateRow(db, 'trades', 'id', id, pick(changes, TRADE_COLUMNS));
+      return found ? this.findById(id) : null;
+    },
+
+    // The given broker tickets that already exist on an account
+    async findTickets(accountId, tickets) {
+      if (tickets.length === 0) return [];
+      const [rows] = await db.query(
+        'SELECT broker_ticket FROM trades WHERE account_id = ? AND broker_ticket IN (?)',
+        [accountId, tickets]
+      );
+      return rows.map((row) => row.broker_ticket);
+    },
+
+    // Comments, tag links, checklist items and versions go with the trade
+    async delete(id) {
+      await db.query('DELETE FROM trade_comments WHERE trade_id = ?', [id]);
+      await db.query('DELETE FROM trade_tags WHERE trade_id = ?', [id]);
+      await db.query('DELETE FROM trade_checklist_items WHERE trade_id = ?', [id]);
+      await db.query('DELETE FROM trade_versions WHERE trade_id = ?', [id]);
+      const [result] = await db.query('DELETE FROM trades WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    },
+
+    // Delete all trades (with comments, tag links, checklist items and versions) of a user; returns
+    // their stored chart references
+    async deleteForUser(userId) {
+      const [charts] = await db.query(
+        `SELECT chart_before_url, chart_after_url FROM trades WHERE user_id = ? AND ${chartReferenceFilter}`,
+        [userId, prefixPattern, prefixPattern]
+      );
+      await db.query('DELETE FROM trade_comments WHERE trade_id IN (SELECT id FROM trades WHERE user_id = ?)', [userId]);
+      await db.query('DELETE FROM trade_tags WHERE trade_id IN (SELECT id FROM trades WHERE user_id = ?)', [userId]);
+      await db.query('DELETE FROM trade_checklist_items WHERE trade_id IN (SELECT id FROM trades WHERE user_id = ?)', [userId]);
+      await db.query('DELETE FROM trade_versions WHERE trade_id IN (SELECT id FROM trades WHERE user_id = ?)', [userId]);
+      await db.query('DELETE FROM trades WHERE user_id = ?', [userId]);
+      return charts.flatMap((c) => [c.chart_before_url, c.chart_after_url]).filter(Boolean);
+    },
+
+    // How many trades show the stored file as a chart (references may be absolute URLs)
+    async countChartReferences(key) {
+      const pattern = `%${chartImages.toReference(key)}`;
+      const [rows] = await db.query(
+        'SELECT COUNT(*) AS total FROM trades WHERE chart_before_url LIKE ? OR chart_after_url LIKE ?',
+        [pattern, pattern]
+      );
+      return Number(rows[0].total);
+    },
+
+    // Trades that still hold chart images: stored file references, image count and bytes (for retention)
+    async chartUsage() {
+      const prefix = chartImages.FILE_URL_PREFIX;
+      const [trades] = await db.query(
+        `SELECT t.id, t.user_id, t.status, t.starred, t.created_at,
+           CASE WHEN t.chart_before_url LIKE ? THEN t.chart_before_url END AS chart_before_ref,
+           CASE WHEN t.chart_after_url LIKE ? THEN t.chart_after_url END AS chart_after_ref,
+           (CASE WHEN t.chart_before_url IS NOT NULL AND t.chart_before_url != '' THEN 1 ELSE 0 END) +
+           (CASE WHEN t.chart_after_url IS NOT NULL AND t.chart_after_url != '' THEN 1 ELSE 0 END) AS images,
+           COALESCE(fb.size_bytes, CASE WHEN t.chart_before_url LIKE 'data:%' THEN LENGTH(t.chart_before_url) ELSE 0 END) +
+           COALESCE(fa.size_bytes, CASE WHEN t.chart_after_url LIKE 'data:%' THEN LENGTH(t.chart_after_url) ELSE 0 END) AS bytes
+         FROM trades t
+         LEFT JOIN stored_files fb ON t.chart_before_url = CONCAT(?, fb.storage_key)
+         LEFT JOIN stored_files fa ON t.chart_after_url = CONCAT(?, fa.storage_key)
+         WHERE (t.chart_before_url IS NOT NULL AND t.chart_before_url != '')
+            OR (t.chart_after_url IS NOT NULL AND t.chart_after_url != '')`,
+        [`${prefix}%`, `${prefix}%`, prefix, prefix]
+      );
+      return trades.map((t) => ({ ...t, images: Number(t.images), bytes: Number(t.bytes) }));
+    },
+
+    // Image counts for the storage dashboard; trades created after `cutoff` count as recent
+    async chartStats(cutoff) {
+      const [rows] = await db.query(`
+        SELECT
+          COUNT(*) as totalTrades,
+          SUM(CASE WHEN chart_before_url IS NOT NULL AND chart_before_url != '' THEN 1 ELSE 0 END) as planImages,
+          SUM(CASE WHEN chart_after_url IS NOT NULL AND chart_after_url != '' THEN 1 ELSE 0 END) as resultImages,
+          SUM(
+            (CASE WHEN chart_before_url LIKE 'data:%' THEN 1 ELSE 0 END) +
+            (CASE WHEN chart_after_url LIKE 'data:%' THEN 1 ELSE 0 END)
+          ) as inlineImages,
+          SUM(
+            (CASE WHEN chart_before_url LIKE 'data:%' THEN LENGTH(chart_before_url) ELSE 0 END) +
+            (CASE WHEN chart_after_url LIKE 'data:%' THEN LENGTH(chart_after_url) ELSE 0 END)
+          ) as inlineBytes,
+          COUNT(CASE WHEN created_at > ? THEN 1 END) as recentTrades,
+          COUNT(CASE WHEN created_at <= ? THEN 1 END) as oldTrades
+        FROM trades
+      `, [cutoff, cutoff]);
+
+      const stats = {};
+      Object.entries(rows[0]).forEach(([key, value]) => {
+        stats[key] = Number(value || 0);
+      });
+      return stats;
+    },
+  };
+};
+
+const createCommentsRepository = (db) => ({
+  // Oldest first, with the author's name
+  async listForTrade(tradeId) {
+    const [comments] = await db.query(
+      `SELECT c.id, c.trade_id, c.author_id, u.name AS author_name, c.author_role, c.body, c.created_at, c.updated_at
+       FROM trade_comments c
+       LEFT JOIN users u ON u.id = c.author_id
+       WHERE c.trade_id = ?
+       ORDER BY c.created_at ASC, c.id ASC`,
+      [tradeId]
+    );
+    return comments;
+  },
+
+  async findById(id) {
+    const [comments] = await db.query('SELECT * FROM trade_comments WHERE id = ?', [id]);
+    return comments[0] || null;
+  },
+
+  async create(comment) {
+    await insertRow(db, 'trade_comments', comment);
+    return comment;
+  },
+
+  async update(id, changes) {
+    const found = await updateRow(db, 'trade_comments', 'id', id, pick(changes, ['body', 'updated_at']));
+    return found ? this.findById(id) : null;
+  },
+
+  async delete(id) {
+    const [result] = await db.query('DELETE FROM trade_comments WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+});
+
+const createCoachAssignmentsRepository = (db) => ({
+  async list(coachId) {
+    let base = `SELECT ca.id, ca.coach_id, c.name AS coach_name, ca.student_id, s.name AS student_name,
+        ca.group_name, ca.created_by, ca.created_at
+      FROM coach_assignments ca
+      LEFT JOIN users c ON c.id = ca.coach_id
+      LEFT JOIN users s ON s.id = ca.student_id`;
+    const params = [];
+    if (coachId) {
+      base += ' WHERE ca.coach_id = ?';
+      params.push(coachId);
+    }
+    base += ' ORDER BY ca.created_at DESC';
+
+    const [assignments] = await db.query(base, params);
+    return assignments;
+  },
+
+  async exists({ coachId, studentId, groupName }) {
+    const [rows] = await db.query(
+      'SELECT id FROM coach_assignments WHERE coach_id = ? AND student_id <=> ? AND group_name <=> ?',
+      [coachId, studentId, groupName]
+    );
+    return rows.length > 0;
+  },
+
+  async create(assignment) {
+    await insertRow(db, 'coach_assignments', assignment);
+    return assignment;
+  },
+
+  async delete(id) {
+    const [result] = await db.query('DELETE FROM coach_assignments WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+
+  async deleteForUser(userId) {
+    await db.query('DELETE FROM coach_assignments WHERE coach_id = ? OR student_id = ?', [userId, userId]);
+  },
+
+  // Is the student assigned to the coach, directly or through their group?
+  async hasStudent(coachId, studentId) {
+    const [rows] = await db.query(
+      `SELECT COUNT(*) AS total FROM (${COACH_STUDENTS_SUBQUERY}) s WHERE s.student_id = ?`,
+      [coachId, coachId, studentId]
+    );
+    return rows[0].total > 0;
+  },
+});
+
+const createAccountsRepository = (db) => ({
+  // Oldest first, so a user's first account is their default
+  async list({ userId } = {}) {
+    const [accounts] = userId
+      ? await db.query('SELECT * FROM accounts WHERE user_id = ? ORDER BY created_at, id', [userId])
+      : await db.query('SELECT * FROM accounts ORDER BY user_id, created_at, id');
+    return accounts;
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM accounts WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async create(account) {
+    await insertRow(db, 'accounts', { id: account.id, ...pick(account, ACCOUNT_COLUMNS) });
+    return account;
+  },
+
+  // Returns the updated account, or null if it doesn't exist
+  async update(id, changes) {
+    const found = await updateRow(db, 'accounts', 'id', id, pick(changes, ACCOUNT_COLUMNS));
+    return found ? this.findById(id) : null;
+  },
+
+  async delete(id) {
+    const [result] = await db.query('DELETE FROM accounts WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+
+  async deleteForUser(userId) {
+    await db.query('DELETE FROM accounts WHERE user_id = ?', [userId]);
+  },
+});
+
+const createTagsRepository = (db) => ({
+  // Shared tags, plus the private ones of userId when given; ids instead picks exact tags (any owner)
+  async list({ userId, category, ids } = {}) {
+    if (ids && ids.length === 0) return [];
+    const conditions = [];
+    const params = [];
+    if (ids) {
+      conditions.push('id IN (?)');
+      params.push(ids);
+    } else if (userId) {
+      conditions.push('(user_id IS NULL OR user_id = ?)');
+      params.push(userId);
+    } else {
+      conditions.push('user_id IS NULL');
+    }
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    const [rows] = await db.query(`SELECT * FROM tags WHERE ${conditions.join(' AND ')} ORDER BY category, name, id`, params);
+    return rows;
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM tags WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async create(tag) {
+    await insertRow(db, 'tags', { id: tag.id, ...pick(tag, TAG_COLUMNS) });
+    return tag;
+  },
+
+  // Returns the updated tag, or null if it doesn't exist
+  async update(id, changes) {
+    const found = await updateRow(db, 'tags', 'id', id, pick(changes, TAG_COLUMNS));
+    return found ? this.findById(id) : null;
+  },
+
+  // Also takes the tag off its trades
+  async delete(id) {
+    await db.query('DELETE FROM trade_tags WHERE tag_id = ?', [id]);
+    const [result] = await db.query('DELETE FROM tags WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+
+  // A user's private tags; shared tags they created stay
+  async deleteForUser(userId) {
+    await db.query('DELETE FROM trade_tags WHERE tag_id IN (SELECT id FROM tags WHERE user_id = ?)', [userId]);
+    await db.query('DELETE FROM tags WHERE user_id = ?', [userId]);
+  },
+
+  // The tags on the given trades: { trade_id, id, name, category, user_id } rows
+  async listForTrades(tradeIds) {
+    if (tradeIds.length === 0) return [];
+    const [rows] = await db.query(
+      `SELECT tt.trade_id, t.id, t.name, t.category, t.user_id FROM trade_tags tt
+       JOIN tags t ON t.id = tt.tag_id WHERE tt.trade_id IN (?) ORDER BY t.category, t.name, t.id`,
+      [tradeIds]
+    );
+    return rows;
+  },
+
+  // Make tagIds the tags of a trade; tags it already had keep their created_at
+  async setForTrade(tradeId, tagIds, createdAt) {
+    const [rows] = await db.query('SELECT tag_id FROM trade_tags WHERE trade_id = ?', [tradeId]);
+    const current = rows.map((row) => row.tag_id);
+    const removed = current.filter((id) => !tagIds.includes(id));
+    if (removed.length > 0) {
+      await db.query('DELETE FROM trade_tags WHERE trade_id = ? AND tag_id IN (?)', [tradeId, removed]);
+    }
+    for (const tagId of tagIds.filter((id) => !current.includes(id))) {
+      await insertRow(db, 'trade_tags', { trade_id: tradeId, tag_id: tagId, created_at: createdAt });
+    }
+  },
+});
+
+const createChecklistRulesRepository = (db) => ({
+  // The rules of the given groups (every group when omitted) in checklist order
+  async list({ groups, includeArchived = false } = {}) {
+    if (groups && groups.length === 0) return [];
+    const conditions = [];
+    const params = [];
+    if (groups) {
+      conditions.push('group_name IN (?)');
+      params.push(groups);
+    }
+    if (!includeArchived) {
+      conditions.push('archived_at IS NULL');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [rows] = await db.query(`SELECT * FROM checklist_rules ${where} ORDER BY group_name, position, created_at, id`, params);
+    return rows;
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM checklist_rules WHERE id = ?', [id]);
+    return rows[0] || null;
+  },
+
+  async create(rule) {
+    await insertRow(db, 'checklist_rules', { id: rule.id, ...pick(rule, CHECKLIST_RULE_COLUMNS) });
+    return rule;
+  },
+
+  // Returns the updated rule, or null if it doesn't exist
+  async update(id, changes) {
+    const found = await updateRow(db, 'checklist_rules', 'id', id, pick(changes, CHECKLIST_RULE_COLUMNS));
+    return found ? this.findById(id) : null;
+  },
+});
+
+// checked is a TINYINT(1); items come back with a boolean
+const checklistItemFromRow = (row) => ({ ...row, checked: Boolean(row.checked) });
+
+const createTradeChecklistsRepository = (db) => ({
+  // The checklist items of the given trades: { trade_id, rule_id, label, position, checked } rows
+  async listForTrades(tradeIds) {
+    if (tradeIds.length === 0) return [];
+    const [rows] = await db.query(
+      'SELECT trade_id, rule_id, label, position, checked FROM trade_checklist_items WHERE trade_id IN (?) ORDER BY trade_id, position, rule_id',
+      [tradeIds]
+    );
+    return rows.map(checklistItemFromRow);
+  },
+
+  // Replace the checklist of a trade (items as returned by checklists.scoreChecklist)
+  async setForTrade(tradeId, items) {
+    await db.query('DELETE FROM trade_checklist_items WHERE trade_id = ?', [tradeId]);
+    for (const item of items) {
+      await insertRow(db, 'trade_checklist_items', {
+        trade_id: tradeId,
+        rule_id: item.rule_id,
+        label: item.label,
+        position: item.position,
+        checked: item.checked ? 1 : 0,
+      });
+    }
+  },
+});
+
+// snapshot is stored as JSON text
+const tradeVersionFromRow = (row) => (row ? { ...row, snapshot: JSON.parse(row.snapshot) } : null);
+
+// Versions are only added; they go when their trade is deleted
+const createTradeVersionsRepository = (db) => ({
+  // Oldest first
+  async listForTrade(tradeId) {
+    const [rows] = await db.query('SELECT * FROM trade_versions WHERE trade_id = ? ORDER BY version', [tradeId]);
+    return rows.map(tradeVersionFromRow);
+  },
+
+  async findVersion(tradeId, version) {
+    const [rows] = await db.query('SELECT * FROM trade_versions WHERE trade_id = ? AND version = ?', [tradeId, version]);
+    return tradeVersionFromRow(rows[0]);
+  },
+
+  async countForTrade(tradeId) {
+    const [rows] = await db.query('SELECT COUNT(*) AS total FROM trade_versions WHERE trade_id = ?', [tradeId]);
+    return Number(rows[0].total);
+  },
+
+  async create(version) {
+    await insertRow(db, 'trade_versions', { ...version, snapshot: JSON.stringify(version.snapshot) });
+    return version;
+  },
+});
+
+// aliases are stored as a JSON array
+const instrumentFromRow = (row) => (row ? { ...row, aliases: row.aliases ? JSON.parse(row.aliases) : [] } : null);
+
+const instrumentToRow = (instrument) => {
+  const row = pick(instrument, INSTRUMENT_COLUMNS);
+  if (row.aliases !== undefined) row.aliases = JSON.stringify(row.aliases || []);
+  return row;
+};
+
+const createInstrumentsRepository = (db) => ({
+  async list({ assetClass } = {}) {
+    const [rows] = assetClass
+      ? await db.query('SELECT * FROM instruments WHERE asset_class = ? ORDER BY symbol', [assetClass])
+      : await db.query('SELECT * FROM instruments ORDER BY asset_class, symbol');
+    return rows.map(instrumentFromRow);
+  },
+
+  async findById(id) {
+    const [rows] = await db.query('SELECT * FROM instruments WHERE id = ?', [id]);
+    return instrumentFromRow(rows[0]);
+  },
+
+  async create(instrument) {
+    await insertRow(db, 'instruments', { id: instrument.id, ...instrumentToRow(instrument) });
+    return instrument;
+  },
+
+  // Returns the updated instrument, or null if it doesn't exist
+  async update(id, changes) {
+    const found = await updateRow(db, 'instruments', 'id', id, instrumentToRow(changes));
+    return found ? this.findById(id) : null;
+  },
+
+  async delete(id) {
+    const [result] = await db.query('DELETE FROM instruments WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+});
+
+const createRefreshTokensRepository = (db) => ({
+  async create(record) {
+    await insertRow(db, 'refresh_tokens', record);
+    return record;
+  },
+
+  // Returns { id, user_id, revoked_at, expired } or null; forUpdate locks the row inside a transaction
+  async findByHash(tokenHash, { now, forUpdate = false }) {
+    const [records] = await db.query(
+      `SELECT id, user_id, revoked_at, expires_at <= ? AS expired FROM refresh_tokens WHERE token_hash = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [now, tokenHash]
+    );
+    return records[0] ? { ...records[0], expired: Boolean(records[0].expired) } : null;
+  },
+
+  async revoke(id, revokedAt, replacedBy = null) {
+    await db.query('UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ?', [revokedAt, replacedBy, id]);
+  },
+
+  async revokeForUser(userId, revokedAt) {
+    await db.query('UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL', [revokedAt, userId]);
+  },
+
+  async deleteForUser(userId) {
+    await db.query('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+  },
+});
+
+const createPasswordResetsRepository = (db) => ({
+  async create(reset) {
+    await insertRow(db, 'password_resets', reset);
+    return reset;
+  },
+
+  // Unused, unexpired reset for a token hash
+  async findValidByHash(tokenHash, now) {
+    const [resets] = await db.query(
+      'SELECT id, user_id FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?',
+      [tokenHash, now]
+    );
+    return resets[0] || null;
+  },
+
+  // Mark a reset used; false if another request got there first
+  async claim(id, usedAt) {
+    const [result] = await db.query('UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL', [usedAt, id]);
+    return result.affectedRows > 0;
+  },
+
+  async invalidateForUser(userId, usedAt) {
+    await db.query('UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL', [usedAt, userId]);
+  },
+
+  async deleteForUser(userId) {
+    await db.query('DELETE FROM password_resets WHERE user_id = ?', [userId]);
+  },
+});
+
+const createStoredFilesRepository = (db) => ({
+  async create(file) {
+    await insertRow(db, 'stored_files', file);
+    return file;
+  },
+
+  async findByKey(key) {
+    const [rows] = await db.query('SELECT * FROM stored_files WHERE storage_key = ?', [key]);
+    return rows[0] || null;
+  },
+
+  async delete(key) {
+    await db.query('DELETE FROM stored_files WHERE storage_key = ?', [key]);
+  },
+
+  async stats() {
+    const [rows] = await db.query('SELECT COUNT(*) as storedFiles, SUM(size_bytes) as storedBytes FROM stored_files');
+    return { storedFiles: Number(rows[0].storedFiles || 0), storedBytes: Number(rows[0].storedBytes || 0) };
+  },
+});
+
+const createRetentionPoliciesRepository = (db) => ({
+  async list() {
+    const [policies] = await db.query('SELECT * FROM retention_policies ORDER BY scope, scope_value');
+    return policies;
+  },
+
+  // One policy per scope + scope_value; returns the saved policy
+  async upsert(policy) {
+    const [existing] = await db.query(
+      'SELECT id FROM retention_policies WHERE scope = ? AND scope_value <=> ?',
+      [policy.scope, policy.scope_value]
+    );
+    if (existing.length > 0) {
+      const saved = { ...policy, id: existing[0].id };
+      await db.query(
+        'UPDATE retention_policies SET retention_days = ?, updated_by = ?, updated_at = ? WHERE id = ?',
+        [saved.retention_days, saved.updated_by, saved.updated_at, saved.id]
+      );
+      return saved;
+    }
+    await insertRow(db, 'retention_policies', policy);
+    return policy;
+  },
+
+  async delete(id) {
+    const [result] = await db.query('DELETE FROM retention_policies WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+});
+
+const createCleanupRunsRepository = (db) => ({
+  async create(run) {
+    await insertRow(db, 'image_cleanup_runs', run);
+    return run;
+  },
+
+  // Newest first
+  async list(limit) {
+    const [runs] = await db.query('SELECT * FROM image_cleanup_runs ORDER BY started_at DESC LIMIT ?', [limit]);
+    return runs;
+  },
+});
+
+// changes and context are stored as JSON text
+const auditEntryFromRow = (row) => ({
+  ...row,
+  changes: row.changes ? JSON.parse(row.changes) : null,
+  context: row.context ? JSON.parse(row.context) : null,
+});
+
+// Append-only: there is no update or delete
+const createAuditLogRepository = (db) => {
+  const where = ({ actorId, action, targetType, targetId, from, to } = {}) => {
+    const conditions = [];
+    const params = [];
+    [['actor_id', actorId], ['action', action], ['target_type', targetType], ['target_id', targetId]].forEach(([column, value]) => {
+      if (!value) return;
+      conditions.push(`${column} = ?`);
+      params.push(value);
+    });
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+    return { conditions, params };
+  };
+
+  return {
+    async create(entry) {
+      await insertRow(db, 'audit_log', {
+        ...entry,
+        changes: entry.changes ? JSON.stringify(entry.changes) : null,
+        context: entry.context ? JSON.stringify(entry.context) : null,
+      });
+      return entry;
+    },
+
+    // query: { actorId, action, targetType, targetId, from, to, order (default newest first), limit, after }
+    //   after (an entry, or its created_at and id) continues after that entry in the order.
+    async list(query = {}) {
+      const { conditions, params } = where(query);
+      const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+      if (query.after) {
+        const keyset = keysetCondition(['created_at', 'id'], query.after, direction);
+        conditions.push(keyset.sql);
+        params.push(...keyset.params);
+      }
+      let sql = `SELECT * FROM audit_log${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY created_at ${direction}, id ${direction}`;
+      if (query.limit !== undefined) {
+        sql += ' LIMIT ?';
+        params.push(query.limit);
+      }
+      const [rows] = await db.query(sql, params);
+      return rows.map(auditEntryFromRow);
+    },
+
+    async count(query = {}) {
+      const { conditions, params } = where(query);
+      const [rows] = await db.query(`SELECT COUNT(*) AS total FROM audit_log${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}`, params);
+      return Number(rows[0].total);
+    },
+  };
+};
+
+const createRepositories = (db) => ({
+  users: createUsersRepository(db),
+  trades: createTradesRepository(db),
+  comments: createCommentsRepository(db),
+  coachAssignments: createCoachAssignmentsRepository(db),
+  accounts: createAccountsRepository(db),
+  tags: createTagsRepository(db),
+  checklistRules: createChecklistRulesRepository(db),
+  tradeChecklists: createTradeChecklistsRepository(db),
+  tradeVersions: createTradeVersionsRepository(db),
+  instruments: createInstrumentsRepository(db),
+  refreshTokens: createRefreshTokensRepository(db),
+  passwordResets: createPasswordResetsRepository(db),
+  storedFiles: createStoredFilesRepository(db),
+  retentionPolicies: createRetentionPoliciesRepository(db),
+  cleanupRuns: createCleanupRunsRepository(db),
+  auditLog: createAuditLogRepository(db),
+});
+
+module.exports = (pool) => ({
+  ...createRepositories(pool),
+
+  // Run fn(repos) on one connection inside a transaction; rolls back if it throws
+  async transaction(fn) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await fn(createRepositories(connection));
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback().catch(() => {});
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  async ping() {
+    const connection = await pool.getConnection();
+    try {
+      await connection.ping();
+    } finally {
+      connection.release();
+    }
+  },
+});
@@ -0,0 +1,83 @@
+// Chart image retention rules.
+// Policies can be set globally, per role or per user; the most specific one wins.
+// A policy with retention_days = null keeps images forever.
+// Starred and flagged trades are never purged.
+const { createdAtString, toDbDateTime } = require('./analytics');
+
+const DEFAULT_RETENTION_DAYS = process.env.IMAGE_RETENTION_DAYS !== undefined && process.env.IMAGE_RETENTION_DAYS !== ''
+  ? parseInt(process.env.IMAGE_RETENTION_DAYS)
+  : 7;
+
+const POLICY_SCOPES = ['global', 'role', 'user'];
+const POLICY_ROLES = ['student', 'coach', 'admin'];
+
+// Validate a policy payload from the admin API. Returns { policy } or { error }
+const parsePolicy = (body = {}) => {
+  const scope = body.scope;
+  const target = body.target ?? body.scope_value ?? body.userId ?? body.role ?? null;
+  const rawDays = body.retention_days !== undefined ? body.retention_days : body.retentionDays;
+
+  if (!POLICY_SCOPES.includes(scope)) {
+    return { error: `Invalid scope. Use: ${POLICY_SCOPES.join(', ')}` };
+  }
+  if (scope === 'global' && target) {
+    return { error: 'Global policy does not take a target' };
+  }
+  if (scope === 'role' && !POLICY_ROLES.includes(target)) {
+    return { error: `Role policy needs a target role: ${POLICY_ROLES.join(', ')}` };
+  }
+  if (scope === 'user' && !target) {
+    return { error: 'User policy needs a target user id' };
+  }
+  if (rawDays === undefined) {
+    return { error: 'retentionDays required (number of days, or null to keep forever)' };
+  }
+
+  const retentionDays = rawDays === null ? null : Number(rawDays);
+  if (retentionDays !== null && (!Number.isInteger(retentionDays) || retentionDays < 1)) {
+    return { error: 'retentionDays must be a whole number of days (>= 1) or null' };
+  }
+
+  return { policy: { scope, scope_value: scope === 'global' ? null : String(target), retention_days: retentionDays } };
+};
+
+// Most specific policy for a user: user > role > global > DEFAULT_RETENTION_DAYS
+const resolveRetentionDays = (user, policies) => {
+  const find = (scope, value) => policies.find((p) => p.scope === scope && (p.scope_value ?? null) === value);
+  const policy = (user && find('user', user.id)) || (user && find('role', user.role)) || find('global', null);
+  if (policy) return policy.retention_days === null ? null : Number(policy.retention_days);
+  return DEFAULT_RETENTION_DAYS;
+};
+
+const isExempt = (trade) => Boolean(Number(trade.starred)) || trade.status === 'flagged';
+
+// Trades whose images are past their owner's retention period.
+// trades: rows with id, user_id, status, starred, created_at and image info; users: id → { id, role }
+const findPurgeCandidates = (trades, usersById, policies, now = new Date()) => {
+  const candidates = [];
+
+  trades.forEach((trade) => {
+    if (isExempt(trade)) return;
+
+    const userId = trade.user_id ?? trade.userId;
+    const retentionDays = resolveRetentionDays(usersById.get(userId) || { id: userId }, policies);
+    if (retentionDays === null) return;
+
+    const cutoff = toDbDateTime(new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000));
+    const createdAt = createdAtString(trade);
+    if (!createdAt || createdAt > cutoff) return;
+
+    candidates.push({ trade, userId, retentionDays, createdAt });
+  });
+
+  return candidates;
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  POLICY_SCOPES,
+  parsePolicy,
+  resolveRetentionDays,
+  isExempt,
+  findPurgeCandidates,
+};
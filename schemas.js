@@ -0,0 +1,504 @@
+// Request schemas for every route that takes a body or query string (see validation.js for the rules).
+const { schema } = require('./validation');
+const { TRADE_STATUSES } = require('./trade-review');
+const { ASSET_CLASSES } = require('./instruments');
+const { PRESETS: IMPORT_PRESETS } = require('./trade-import');
+const { EXPORT_FORMATS } = require('./trade-export');
+const { TAG_CATEGORIES } = require('./tags');
+const { ADHERENCE_INTERVALS } = require('./analytics');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('./audit');
+const { TRADE_SORT_COLUMNS } = require('./repositories/columns');
+
+const USER_ROLES = ['student', 'coach', 'admin'];
+const USER_STATUSES = ['pending', 'approved', 'active', 'suspended', 'rejected'];
+
+// The web app sends Buy/Sell, the API and seed data use long/short
+const TRADE_DIRECTIONS = ['long', 'short', 'Buy', 'Sell'];
+const DISPLAY_UNITS = ['pips', 'points', 'ticks'];
+const ACCOUNT_TYPES = ['live', 'demo', 'prop'];
+
+// Strategy and emotion vocabulary: free text (what the web app sends) unless TRADE_STRATEGIES /
+// TRADE_EMOTIONS hold a comma-separated list to pick from. A list only applies to values sent from
+// then on; see .env.example for trades that already hold other wording.
+const vocabulary = (value) => {
+  const list = (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+  return list.length > 0 && !(list.length === 1 && list[0] === '*') ? list : null;
+};
+
+const TRADE_STRATEGIES = vocabulary(process.env.TRADE_STRATEGIES);
+const TRADE_EMOTIONS = vocabulary(process.env.TRADE_EMOTIONS);
+
+const vocabularyRule = (list) => (list
+  ? { type: 'string', enum: list, ignoreCase: true, nullable: true }
+  : { type: 'string', maxLength: 100, nullable: true });
+
+const PASSWORD = { type: 'string', required: true, minLength: 6, maxLength: 200 };
+const PAGE = { type: 'integer', min: 1 };
+const LIMIT = { type: 'integer', min: 1, max: 500 };
+
+// v2 list endpoints (see pagination.js); the total is one extra COUNT query, so it is opt-in
+const CURSOR_PAGE_FIELDS = {
+  limit: { ...LIMIT, default: 50 },
+  cursor: { type: 'string', maxLength: 2000 },
+  include_total: { type: 'boolean', default: false, aliases: ['includeTotal'] },
+};
+
+// ==================== Auth ====================
+const register = schema({
+  name: { type: 'string', required: true, maxLength: 255 },
+  email: { type: 'email', required: true, maxLength: 255 },
+  password: PASSWORD,
+});
+
+const login = schema({
+  email: { type: 'string', required: true, maxLength: 255 },
+  password: { type: 'string', required: true, maxLength: 200 },
+  // true: a short-lived access token plus a refresh token; false: one long-lived access token
+  refresh: { type: 'boolean', default: false },
+});
+
+const refresh = schema({
+  refreshToken: { type: 'string', required: true },
+});
+
+const logout = schema({
+  refreshToken: { type: 'string', required: true },
+  all: { type: 'boolean', default: false },
+});
+
+const forgotPassword = schema({
+  email: { type: 'email', required: true, maxLength: 255 },
+});
+
+const resetPassword = schema({
+  token: { type: 'string', required: true },
+  password: PASSWORD,
+});
+
+// ==================== Users ====================
+const USER_FILTER_FIELDS = {
+  status: { type: 'string', enum: USER_STATUSES },
+  role: { type: 'string', enum: USER_ROLES },
+};
+
+const listUsersQuery = schema({
+  page: PAGE,
+  limit: LIMIT,
+  ...USER_FILTER_FIELDS,
+});
+
+// /api/v2/users: cursor pages instead of page numbers
+const listUsersV2Query = schema({
+  ...CURSOR_PAGE_FIELDS,
+  ...USER_FILTER_FIELDS,
+});
+
+// Admin update; the web app sends back the whole user row, so its read-only fields are ignored
+const updateUser = schema({
+  role: { type: 'string', enum: USER_ROLES },
+  status: { type: 'string', enum: USER_STATUSES },
+  password: { ...PASSWORD, required: false },
+  group_name: { type: 'string', maxLength: 100, nullable: true, aliases: ['groupName'] },
+}, {
+  ignore: [
+    'id',
+    'name',
+    'email',
+    'group',
+    'isApproved',
+    'user_status',
+    'starting_balance',
+    'startingBalance',
+    'account_currency',
+    'created_at',
+    'createdAt',
+    'updated_at',
+    'updatedAt',
+  ],
+});
+
+// ==================== Trades ====================
+// Writable trade fields (snake_case columns; the web app's camelCase names are accepted too)
+const TRADE_FIELDS = {
+  // Defaults to the owner's first account
+  account_id: { type: 'string', maxLength: 64, aliases: ['accountId'] },
+  // Position id at the broker; unique per account (set by imports, so re-importing skips it)
+  broker_ticket: { type: 'string', maxLength: 64, nullable: true, aliases: ['brokerTicket'] },
+  asset: { type: 'string', maxLength: 50 },
+  direction: { type: 'string', enum: TRADE_DIRECTIONS, ignoreCase: true },
+  entry: { type: 'number' },
+  sl: { type: 'number' },
+  tp: { type: 'number', nullable: true },
+  exit: { type: 'number', nullable: true },
+  strategy: vocabularyRule(TRADE_STRATEGIES),
+  emotion: vocabularyRule(TRADE_EMOTIONS),
+  // Computed from the prices; a different number is kept as a manual override, null goes back to the computed one
+  planned_r: { type: 'number', nullable: true, aliases: ['plannedR'] },
+  actual_r: { type: 'number', nullable: true, aliases: ['actualR'] },
+  display_unit: { type: 'string', enum: DISPLAY_UNITS, ignoreCase: true, nullable: true, aliases: ['displayUnit'] },
+  // Lots; commission and swap are signed account-currency amounts (a cost is negative)
+  quantity: { type: 'number', exclusiveMin: 0, nullable: true, aliases: ['lots'] },
+  commission: { type: 'number', nullable: true },
+  swap: { type: 'number', nullable: true },
+  // Quote → account currency rate, for instruments the server can't convert by itself
+  fx_rate: { type: 'number', exclusiveMin: 0, nullable: true, aliases: ['fxRate'] },
+  chart_before_url: { type: 'string', nullable: true, aliases: ['chartBeforeUrl'] },
+  chart_after_url: { type: 'string', nullable: true, aliases: ['chartAfterUrl'] },
+};
+
+// Sent by the web app but set by the server or only used on the client
+const TRADE_READ_ONLY_FIELDS = [
+  'id',
+  'docId',
+  'user_id',
+  'userId',
+  'created_at',
+  'createdAt',
+  'updated_at',
+  'updatedAt',
+  'date',
+  'reviewed_by',
+  'reviewedBy',
+  'reviewed_at',
+  'reviewedAt',
+  'starred',
+  'starred_by',
+  'starredBy',
+  'planned_r_calc',
+  'actual_r_calc',
+  'planned_r_manual',
+  'actual_r_manual',
+  'result_distance',
+  'account_currency',
+  'gross_pnl',
+  'net_pnl',
+  'risk_amount',
+  'riskDistance',
+  'profitDistance',
+  'actualDistance',
+  'adherence_score',
+  'adherenceScore',
+  'edited_after_review_at',
+  'editedAfterReviewAt',
+];
+
+const required = (rule) => ({ ...rule, required: true });
+
+// The ids of the checklist rules the student followed (see checklists.js)
+const CHECKED_RULES = { type: 'list', maxItems: 50, maxLength: 64, aliases: ['checkedRules'] };
+
+// New trades always start pending without feedback. checked_rules fills in the group's checklist; leave
+// it out to log the trade without one.
+const createTrade = schema({
+  ...TRADE_FIELDS,
+  checked_rules: CHECKED_RULES,
+  asset: required(TRADE_FIELDS.asset),
+  direction: required(TRADE_FIELDS.direction),
+  entry: required(TRADE_FIELDS.entry),
+  sl: required(TRADE_FIELDS.sl),
+  display_unit: { ...TRADE_FIELDS.display_unit, default: 'pips' },
+}, { ignore: [...TRADE_READ_ONLY_FIELDS, 'status', 'feedback'] });
+
+// Validated with { partial: true }; status changes still go through the review rules
+const updateTrade = schema({
+  ...TRADE_FIELDS,
+  status: { type: 'string', enum: TRADE_STATUSES },
+  feedback: { type: 'string', maxLength: 10000, nullable: true },
+}, { ignore: TRADE_READ_ONLY_FIELDS });
+
+// Multipart form fields next to the "file" part, or a JSON body with the file text in content.
+// mapping entries are field=Column header and replace the preset's column for that field.
+const importTrades = schema({
+  preset: { type: 'string', enum: Object.keys(IMPORT_PRESETS), ignoreCase: true, default: 'journal' },
+  mapping: { type: 'list', maxItems: 20, maxLength: 100 },
+  account_id: { type: 'string', required: true, maxLength: 64, aliases: ['accountId'] },
+  dry_run: { type: 'boolean', default: false, aliases: ['dryRun'] },
+  skip_invalid: { type: 'boolean', default: false, aliases: ['skipInvalid'] },
+  content: { type: 'string' },
+});
+
+// Trade filters shared by the trades listing/export and the stats endpoints (see
+// analytics.parseTradeFilters). q is free text matched against the feedback and the comments.
+const TRADE_FILTER_FIELDS = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  asset: { type: 'string', maxLength: 50 },
+  direction: { type: 'string', enum: ['long', 'short', 'buy', 'sell'], ignoreCase: true },
+  strategy: { type: 'string', maxLength: 100 },
+  emotion: { type: 'string', maxLength: 100 },
+  status: { type: 'string', enum: TRADE_STATUSES },
+  account_id: { type: 'string', maxLength: 64, aliases: ['accountId'] },
+  reviewed_by: { type: 'string', maxLength: 64, aliases: ['reviewedBy'] },
+  min_planned_r: { type: 'number', aliases: ['minPlannedR'] },
+  max_planned_r: { type: 'number', aliases: ['maxPlannedR'] },
+  min_actual_r: { type: 'number', aliases: ['minActualR'] },
+  max_actual_r: { type: 'number', aliases: ['maxActualR'] },
+  min_adherence: { type: 'number', min: 0, max: 100, aliases: ['minAdherence'] },
+  max_adherence: { type: 'number', min: 0, max: 100, aliases: ['maxAdherence'] },
+  tags: { type: 'list', maxItems: 10, maxLength: 64, aliases: ['tag'] },
+  q: { type: 'string', maxLength: 200, aliases: ['search'] },
+};
+
+// Whose trades: admins and coaches may narrow to one student or a group
+const TRADE_SCOPE_FIELDS = {
+  userId: { type: 'string', maxLength: 64 },
+  group: { type: 'string', maxLength: 100 },
+};
+
+const TRADE_SORT_FIELDS = {
+  sort: { type: 'string', enum: TRADE_SORT_COLUMNS, ignoreCase: true, default: 'created_at' },
+  order: { type: 'string', enum: ['asc', 'desc'], ignoreCase: true, default: 'desc' },
+};
+
+const listTradesQuery = schema({
+  page: PAGE,
+  limit: LIMIT,
+  ...TRADE_FILTER_FIELDS,
+  ...TRADE_SCOPE_FIELDS,
+  ...TRADE_SORT_FIELDS,
+});
+
+// /api/v2/trades: cursor pages instead of page numbers
+const listTradesV2Query = schema({
+  ...CURSOR_PAGE_FIELDS,
+  ...TRADE_FILTER_FIELDS,
+  ...TRADE_SCOPE_FIELDS,
+  ...TRADE_SORT_FIELDS,
+});
+
+// Same filters as listTradesQuery; chart references and feedback are left out unless asked for
+const exportTradesQuery = schema({
+  format: { type: 'string', enum: EXPORT_FORMATS, ignoreCase: true, default: 'csv' },
+  ...TRADE_FILTER_FIELDS,
+  ...TRADE_SCOPE_FIELDS,
+  include_charts: { type: 'boolean', default: false, aliases: ['includeCharts'] },
+  include_feedback: { type: 'boolean', default: false, aliases: ['includeFeedback'] },
+});
+
+const comment = schema({
+  body: { type: 'string', required: true, maxLength: 5000 },
+});
+
+const starTrade = schema({
+  starred: { type: 'boolean', default: true },
+});
+
+const reviewTrade = schema({
+  status: { type: 'string', required: true, enum: TRADE_STATUSES },
+  comment: { type: 'string', maxLength: 5000, nullable: true },
+});
+
+// ==================== Stats and reports ====================
+const statsQuery = schema(TRADE_FILTER_FIELDS);
+
+// Balance/equity of one account, or of all the user's accounts when they share a currency
+const ledgerQuery = schema({
+  account_id: { type: 'string', maxLength: 64, aliases: ['accountId'] },
+});
+
+// One row per account, or per account type (live vs demo vs prop)
+const compareAccountsQuery = schema({
+  by: { type: 'string', enum: ['account', 'type'], default: 'account' },
+});
+
+const breakdownQuery = schema({
+  ...TRADE_FILTER_FIELDS,
+  ...TRADE_SCOPE_FIELDS,
+  by: { type: 'string' },
+});
+
+const adherenceReportQuery = schema({
+  ...TRADE_FILTER_FIELDS,
+  ...TRADE_SCOPE_FIELDS,
+  interval: { type: 'string', enum: ADHERENCE_INTERVALS, ignoreCase: true, default: 'week' },
+});
+
+// ==================== Accounts ====================
+const listAccountsQuery = schema({
+  userId: { type: 'string', maxLength: 64 },
+});
+
+const ACCOUNT_FIELDS = {
+  name: { type: 'string', maxLength: 100 },
+  broker: { type: 'string', maxLength: 100, nullable: true },
+  type: { type: 'string', enum: ACCOUNT_TYPES, ignoreCase: true },
+  currency: { type: 'string', minLength: 3, maxLength: 3 },
+  starting_balance: { type: 'number', min: 0, aliases: ['startingBalance'] },
+};
+
+// Students open accounts for themselves; admins may pass user_id
+const createAccount = schema({
+  ...ACCOUNT_FIELDS,
+  user_id: { type: 'string', maxLength: 64, aliases: ['userId'] },
+  name: required(ACCOUNT_FIELDS.name),
+  type: required(ACCOUNT_FIELDS.type),
+  currency: { ...ACCOUNT_FIELDS.currency, default: 'USD' },
+  starting_balance: { ...ACCOUNT_FIELDS.starting_balance, default: 10000 },
+});
+
+// Validated with { partial: true }
+const updateAccount = schema(ACCOUNT_FIELDS, { ignore: ['id', 'user_id', 'userId', 'created_at', 'updated_at'] });
+
+// ==================== Tags ====================
+// userId: admins and coaches also get that student's private tags
+const listTagsQuery = schema({
+  category: { type: 'string', enum: TAG_CATEGORIES, ignoreCase: true },
+  userId: { type: 'string', maxLength: 64 },
+});
+
+const TAG_FIELDS = {
+  name: { type: 'string', minLength: 1, maxLength: 50 },
+  category: { type: 'string', enum: TAG_CATEGORIES, ignoreCase: true },
+};
+
+// Shared when a coach or admin creates it, private when a student does
+const createTag = schema({
+  name: required(TAG_FIELDS.name),
+  category: required(TAG_FIELDS.category),
+});
+
+// Validated with { partial: true }
+const updateTag = schema(TAG_FIELDS, { ignore: ['id', 'user_id', 'created_by', 'created_at', 'updated_at'] });
+
+// Replaces every tag on the trade; an empty list removes them all
+const setTradeTags = schema({
+  tag_ids: { type: 'list', required: true, maxItems: 20, maxLength: 64, aliases: ['tagIds'] },
+});
+
+// ==================== Checklists ====================
+// Students get their own group's rules; coaches and admins pick a group
+const listChecklistRulesQuery = schema({
+  group: { type: 'string', maxLength: 100 },
+  include_archived: { type: 'boolean', default: false, aliases: ['includeArchived'] },
+});
+
+const CHECKLIST_RULE_FIELDS = {
+  label: { type: 'string', minLength: 1, maxLength: 200 },
+  position: { type: 'integer', min: 1 },
+};
+
+// Without a position the rule goes at the end of the checklist
+const createChecklistRule = schema({
+  group_name: { type: 'string', required: true, maxLength: 100, aliases: ['groupName', 'group'] },
+  label: required(CHECKLIST_RULE_FIELDS.label),
+  position: CHECKLIST_RULE_FIELDS.position,
+});
+
+// Validated with { partial: true }; a rule stays in its group
+const updateChecklistRule = schema(CHECKLIST_RULE_FIELDS, {
+  ignore: ['id', 'group_name', 'groupName', 'created_by', 'created_at', 'updated_at', 'archived_at'],
+});
+
+// An empty list means none of the rules were followed
+const setTradeChecklist = schema({
+  checked_rules: { ...CHECKED_RULES, required: true },
+});
+
+// ==================== Instruments ====================
+const listInstrumentsQuery = schema({
+  asset_class: { type: 'string', enum: ASSET_CLASSES, aliases: ['assetClass'] },
+});
+
+// tick_size defaults to the pip size; the symbol is stored upper-case without separators
+const INSTRUMENT_FIELDS = {
+  symbol: { type: 'string', required: true, maxLength: 30 },
+  aliases: { type: 'list', maxItems: 20, maxLength: 30 },
+  asset_class: { type: 'string', required: true, enum: ASSET_CLASSES, aliases: ['assetClass'] },
+  description: { type: 'string', maxLength: 255, nullable: true },
+  pip_size: { type: 'number', required: true, exclusiveMin: 0, aliases: ['pipSize'] },
+  tick_size: { type: 'number', exclusiveMin: 0, aliases: ['tickSize'] },
+  contract_size: { type: 'number', exclusiveMin: 0, default: 1, aliases: ['contractSize'] },
+  quote_currency: { type: 'string', minLength: 3, maxLength: 3, default: 'USD', aliases: ['quoteCurrency'] },
+};
+
+const createInstrument = schema(INSTRUMENT_FIELDS);
+
+// Validated with { partial: true }
+const updateInstrument = schema(INSTRUMENT_FIELDS, { ignore: ['id', 'created_at', 'updated_at'] });
+
+// ==================== Admin ====================
+const listCoachAssignmentsQuery = schema({
+  coachId: { type: 'string', maxLength: 64 },
+});
+
+// Exactly one of student_id / group_name is checked by the route
+const createCoachAssignment = schema({
+  coach_id: { type: 'string', required: true, maxLength: 64, aliases: ['coachId'] },
+  student_id: { type: 'string', maxLength: 64, nullable: true, aliases: ['studentId'] },
+  group_name: { type: 'string', maxLength: 100, nullable: true, aliases: ['groupName'] },
+});
+
+// Scope/target combinations are checked by retention.parsePolicy
+const retentionPolicy = schema({
+  scope: { type: 'string', required: true, enum: ['global', 'role', 'user'] },
+  target: { type: 'string', maxLength: 64, nullable: true, aliases: ['scope_value', 'userId', 'role'] },
+  retention_days: { type: 'integer', min: 1, nullable: true, aliases: ['retentionDays'] },
+});
+
+const listCleanupRunsQuery = schema({
+  limit: LIMIT,
+});
+
+// Newest first, in cursor pages
+const listAuditQuery = schema({
+  ...CURSOR_PAGE_FIELDS,
+  actor_id: { type: 'string', maxLength: 64, aliases: ['actorId'] },
+  action: { type: 'string', enum: AUDIT_ACTIONS, ignoreCase: true },
+  target_type: { type: 'string', enum: AUDIT_TARGET_TYPES, ignoreCase: true, aliases: ['targetType'] },
+  target_id: { type: 'string', maxLength: 64, aliases: ['targetId'] },
+  from: { type: 'date' },
+  to: { type: 'date' },
+});
+
+module.exports = {
+  USER_ROLES,
+  USER_STATUSES,
+  TRADE_DIRECTIONS,
+  TRADE_SORT_COLUMNS,
+  DISPLAY_UNITS,
+  ACCOUNT_TYPES,
+  TRADE_STRATEGIES,
+  TRADE_EMOTIONS,
+  register,
+  login,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  listUsersQuery,
+  listUsersV2Query,
+  updateUser,
+  createTrade,
+  updateTrade,
+  importTrades,
+  listTradesQuery,
+  listTradesV2Query,
+  exportTradesQuery,
+  comment,
+  starTrade,
+  reviewTrade,
+  statsQuery,
+  ledgerQuery,
+  compareAccountsQuery,
+  breakdownQuery,
+  adherenceReportQuery,
+  listAccountsQuery,
+  createAccount,
+  updateAccount,
+  listTagsQuery,
+  createTag,
+  updateTag,
+  setTradeTags,
+  listChecklistRulesQuery,
+  createChecklistRule,
+  updateChecklistRule,
+  setTradeChecklist,
+  listInstrumentsQuery,
+  createInstrument,
+  updateInstrument,
+  listCoachAssignmentsQuery,
+  createCoachAssignment,
+  retentionPolicy,
+  listCleanupRunsQuery,
+  listAuditQuery,
+};
@@ -0,0 +1,98 @@
+// One-off migration: move base64 chart images out of trades.chart_before_url / chart_after_url
+// into file storage and keep only a reference on the trade.
+//
+//   npm run migrate:charts            # convert every row
+//   npm run migrate:charts -- --dry-run
+//
+// Rows are processed in id order in small batches, so the script can be stopped and re-run safely.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const database = require('../database');
+const chartImages = require('../chart-images');
+
+const BATCH_SIZE = 50;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const run = async () => {
+  const pool = database.createPool({ connectionLimit: 2 });
+
+  const totals = { trades: 0, images: 0, bytes: 0, failed: 0 };
+
+  try {
+    await pool.query(chartImages.STORED_FILES_TABLE_SQL);
+
+    let lastId = '';
+    for (;;) {
+      const [rows] = await pool.query(
+        `SELECT id, user_id, chart_before_url, chart_after_url FROM trades
+         WHERE id > ? AND (chart_before_url LIKE 'data:%' OR chart_after_url LIKE 'data:%')
+         ORDER BY id
+         LIMIT ?`,
+        [lastId, BATCH_SIZE]
+      );
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        lastId = row.id;
+        const updates = {};
+
+        for (const column of ['chart_before_url', 'chart_after_url']) {
+          if (!chartImages.isDataUrl(row[column])) continue;
+
+          if (DRY_RUN) {
+            const parsed = chartImages.parseDataUrl(row[column]);
+            const check = parsed ? chartImages.validateImage(parsed.buffer, parsed.contentType) : { error: 'Malformed data URL' };
+            if (check.error) {
+              totals.failed += 1;
+              console.warn(`⚠️ Trade ${row.id} ${column}: ${check.error}`);
+            } else {
+              totals.images += 1;
+              totals.bytes += parsed.buffer.length;
+            }
+            continue;
+          }
+
+          const saved = await chartImages.saveDataUrl(row[column]);
+          if (saved.error) {
+            // Leave the original value in place so nothing is lost
+            totals.failed += 1;
+            console.warn(`⚠️ Trade ${row.id} ${column}: ${saved.error}`);
+            continue;
+          }
+
+          await pool.query(
+            'INSERT INTO stored_files (storage_key, content_type, size_bytes, uploaded_by, created_at) VALUES (?, ?, ?, ?, ?)',
+            [saved.key, saved.contentType, saved.size, row.user_id, new Date().toISOString().slice(0, 19).replace('T', ' ')]
+          );
+          updates[column] = saved.url;
+          totals.images += 1;
+          totals.bytes += saved.size;
+        }
+
+        const columns = Object.keys(updates);
+        if (columns.length > 0) {
+          await pool.query(
+            `UPDATE trades SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map((c) => updates[c]), row.id]
+          );
+          totals.trades += 1;
+        }
+      }
+    }
+
+    const mb = (totals.bytes / 1024 / 1024).toFixed(2);
+    if (DRY_RUN) {
+      console.log(`🔍 Dry run: ${totals.images} images (${mb} MB) would be moved, ${totals.failed} invalid`);
+    } else {
+      console.log(`✅ Moved ${totals.images} images (${mb} MB) from ${totals.trades} trades, ${totals.failed} failed`);
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Chart migration failed:', error.message);
+  process.exit(1);
+});
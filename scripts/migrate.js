@@ -0,0 +1,52 @@
+// Schema migration commands (see migrator.js)
+//
+//   npm run migrate                       # apply pending migrations
+//   npm run migrate:rollback              # undo the last migration
+//   npm run migrate:rollback -- --steps=3
+//   npm run migrate:status
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const database = require('../database');
+const migrator = require('../migrator');
+
+const [command = 'up', ...args] = process.argv.slice(2);
+const stepsArg = args.find((a) => a.startsWith('--steps='));
+
+const run = async () => {
+  // MySQL or SQLite depending on DB_DRIVER; migrations run on one connection
+  const pool = database.createPool({ connectionLimit: 1 });
+  const connection = await pool.getConnection();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(connection);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+    } else if (command === 'rollback') {
+      const steps = stepsArg ? parseInt(stepsArg.split('=')[1]) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive number');
+      }
+      const rolledBack = await migrator.rollback(connection, { steps });
+      console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const migrations = await migrator.status(connection);
+      migrations.forEach((m) => {
+        const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString().slice(0, 19).replace('T', ' ')}` : 'pending';
+        console.log(`${m.version}_${m.name}`.padEnd(45), state);
+      });
+      const pending = migrations.filter((m) => !m.applied_at).length;
+      console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+    } else {
+      throw new Error(`Unknown command "${command}". Use: up, rollback, status`);
+    }
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// Manage the file-backed mock database (MOCK_DB_FILE, see mock-db.js)
+//
+//   npm run mock:seed                     # create the data file with the demo dataset (if missing)
+//   npm run mock:reset                    # overwrite the data file with the demo dataset
+//   npm run mock:snapshot -- client-demo  # copy the current data to MOCK_DB_SNAPSHOT_DIR/client-demo.json
+//   npm run mock:restore -- client-demo   # replace the data file with a snapshot
+//   npm run mock:snapshots                # list snapshots
+//
+// Stop the server before reset/restore: it keeps its own copy in memory and would
+// overwrite the file again on its next write.
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { MockDatabase } = require('../mock-db');
+
+const [command, name] = process.argv.slice(2);
+const dataFile = process.env.MOCK_DB_FILE;
+const snapshotDir = path.resolve(__dirname, '..', process.env.MOCK_DB_SNAPSHOT_DIR || path.join('data', 'mock-snapshots'));
+
+const snapshotFile = (snapshotName) => {
+  if (!/^[\w.-]+$/.test(snapshotName)) {
+    throw new Error('Snapshot names may only contain letters, numbers, ".", "_" and "-"');
+  }
+  return path.join(snapshotDir, `${snapshotName}.json`);
+};
+
+const countsOf = (db) => `${db.users.length} users, ${db.trades.length} trades`;
+
+const run = () => {
+  if (command === 'snapshots') {
+    const files = fs.existsSync(snapshotDir) ? fs.readdirSync(snapshotDir).filter((f) => f.endsWith('.json')).sort() : [];
+    if (files.length === 0) {
+      console.log(`No snapshots in ${snapshotDir}`);
+      return;
+    }
+    files.forEach((f) => {
+      const { mtime } = fs.statSync(path.join(snapshotDir, f));
+      console.log(path.basename(f, '.json').padEnd(30), mtime.toISOString().slice(0, 19).replace('T', ' '));
+    });
+    return;
+  }
+
+  if (!dataFile) {
+    throw new Error('MOCK_DB_FILE is not set (e.g. MOCK_DB_FILE=data/mock-db.json)');
+  }
+  const db = new MockDatabase({ file: dataFile });
+
+  if (command === 'seed' || command === 'reset') {
+    if (command === 'seed' && fs.existsSync(db.file)) {
+      console.log(`✅ ${db.file} already exists (use mock:reset to start over)`);
+      return;
+    }
+    db.reset();
+    db.save();
+    console.log(`✅ Seeded ${db.file} with the demo dataset (${countsOf(db)})`);
+  } else if (command === 'snapshot') {
+    if (!db.load()) {
+      throw new Error(`${db.file} does not exist yet (run mock:seed first)`);
+    }
+    const file = snapshotFile(name || new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-'));
+    db.save(file);
+    console.log(`✅ Saved snapshot ${file} (${countsOf(db)})`);
+  } else if (command === 'restore') {
+    if (!name) {
+      throw new Error('Usage: mock:restore -- <snapshot name>');
+    }
+    const file = snapshotFile(name);
+    if (!db.load(file)) {
+      throw new Error(`Snapshot ${file} not found`);
+    }
+    db.save();
+    console.log(`✅ Restored ${db.file} from ${file} (${countsOf(db)})`);
+  } else {
+    throw new Error(`Unknown command "${command}". Use: seed, reset, snapshot [name], restore <name>, snapshots`);
+  }
+};
+
+try {
+  run();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,51 @@
+// Load the mock demo dataset (admin, student, coach, Alice–Eve with live/demo accounts and 20 trades each, plus shared tags and group checklists; see mock-db.js)
+// into the configured database, e.g. a fresh SQLite file for local development or integration tests.
+//
+//   npm run migrate && npm run db:seed
+//
+// Refuses to run when the users table already has rows.
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const database = require('../database');
+const createSqlRepositories = require('../repositories/mysql');
+const { MockDatabase } = require('../mock-db');
+
+const run = async () => {
+  const pool = database.createPool({ connectionLimit: 2 });
+  const repos = createSqlRepositories(pool);
+
+  try {
+    if ((await repos.users.count()) > 0) {
+      throw new Error(`${database.describe()} already has users; seed only an empty database`);
+    }
+
+    const demo = new MockDatabase();
+    demo.reset();
+
+    await repos.transaction(async (tx) => {
+      for (const user of demo.users) await tx.users.create(user);
+      for (const account of demo.accounts) await tx.accounts.create(account);
+      for (const trade of demo.trades) await tx.trades.create(trade);
+      for (const tag of demo.tags) await tx.tags.create(tag);
+      for (const trade of demo.trades) {
+        const tagIds = demo.tradeTags.filter((link) => link.trade_id === trade.id).map((link) => link.tag_id);
+        await tx.tags.setForTrade(trade.id, tagIds, trade.created_at);
+      }
+      for (const rule of demo.checklistRules) await tx.checklistRules.create(rule);
+      for (const trade of demo.trades) {
+        const items = demo.tradeChecklistItems.filter((item) => item.trade_id === trade.id);
+        if (items.length > 0) await tx.tradeChecklists.setForTrade(trade.id, items);
+      }
+      for (const assignment of demo.coachAssignments) await tx.coachAssignments.create(assignment);
+    });
+    console.log(`✅ Seeded ${database.describe()}: ${demo.users.length} users, ${demo.accounts.length} accounts, ${demo.trades.length} trades, ${demo.tags.length} tags, ${demo.checklistRules.length} checklist rules`);
+  } finally {
+    await pool.end();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Seed failed:', error.message);
+  process.exit(1);
+});
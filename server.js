@@ -1,13 +1,35 @@
+const path = require('path');
+// Load environment variables from server/.env to avoid picking root .env.
+// First, so modules that read settings when they are loaded see them.
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
 const express = require('express');
-const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const path = require('path');
 const cron = require('node-cron');
-// Load environment variables from server/.env to avoid picking root .env
-require('dotenv').config({ path: path.join(__dirname, '.env') });
+const multer = require('multer');
+const analytics = require('./analytics');
+const mailer = require('./mailer');
+const tradeReview = require('./trade-review');
+const tradeMetrics = require('./trade-metrics');
+const instruments = require('./instruments');
+const tags = require('./tags');
+const checklists = require('./checklists');
+const audit = require('./audit');
+const tradeHistory = require('./trade-history');
+const tradeImport = require('./trade-import');
+const tradeExport = require('./trade-export');
+const pagination = require('./pagination');
+const storage = require('./storage');
+const chartImages = require('./chart-images');
+const retention = require('./retention');
+const migrator = require('./migrator');
+const database = require('./database');
+const { createRepositories } = require('./repositories');
+const { validate, validateRequest, validationError } = require('./validation');
+const schemas = require('./schemas');
 
 const app = express();
 
@@ -17,24 +39,26 @@ let mockDb = null;
 let pool = null;
 
 if (USE_MOCK_DB) {
-  console.log('🔶 Running in MOCK MODE - using in-memory database');
-  mockDb = require('./mock-db');
+  const { MockDatabase } = require('./mock-db');
+  mockDb = MockDatabase.open({ file: process.env.MOCK_DB_FILE || null });
+  if (mockDb.file) {
+    console.log(`🔶 Running in MOCK MODE - data saved to ${mockDb.file}`);
+    // Write out anything still pending before the process goes away
+    ['SIGINT', 'SIGTERM'].forEach((signal) => process.once(signal, () => {
+      mockDb.flush();
+      process.exit(0);
+    }));
+  } else {
+    console.log('🔶 Running in MOCK MODE - using in-memory database');
+  }
 } else {
-  // MySQL connection pool with keepalive
-  pool = mysql.createPool({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASS,
-    database: process.env.DB_NAME,
-    port: process.env.DB_PORT,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-    enableKeepAlive: true,
-    keepAliveInitialDelay: 0,
-  });
+  // MySQL connection pool with keepalive, or a local SQLite file (DB_DRIVER=sqlite)
+  pool = database.createPool({ enableKeepAlive: true, keepAliveInitialDelay: 0 });
 }
 
+// Every route goes through the repositories (MySQL/SQLite or in-memory, same interface)
+const repos = createRepositories({ useMock: USE_MOCK_DB, pool, store: mockDb });
+
 // Middleware
 // Allow CORS from configured origins (comma-separated). Default permissive during development.
 const allowedOrigins = (process.env.CORS_ORIGIN || '').split(',').map((o) => o.trim()).filter(Boolean);
@@ -54,12 +78,46 @@ app.use(
       : undefined
   )
 );
+// Large JSON limit is only needed by older clients that still send charts as base64 data URLs
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
 
-// Serve static frontend assets (index.html + assets folder) with proper MIME types
+// API versions: /api/... is version 1 and is also served at /api/v1/...; /api/v2/... has the routes
+// whose responses changed (list endpoints with cursor pagination). Old clients keep working unchanged.
+app.use((req, res, next) => {
+  const version = /^\/api\/v1(?=[/?]|$)/.exec(req.url);
+  if (version) {
+    req.url = `/api${req.url.slice(version[0].length)}`;
+  }
+  next();
+});
+
+// Helper: Answer a v2 list request with one cursor page: { data, pagination: { limit, next, prev } }
+// plus pagination.total with ?include_total=true. next/prev go back as ?cursor= (null at either end).
+// list(options) reads rows with the request's filters; count() counts them.
+const sendCursorPage = async (req, res, { list, count, sort, order, sortColumns }) => {
+  const { cursor, error } = pagination.decodeCursor(req.query.cursor, sortColumns);
+  if (error) {
+    return res.status(400).json(validationError([{ field: 'cursor', code: 'format', message: error }]));
+  }
+  const { limit } = req.query;
+  const page = await pagination.readPage(list, { sort, order, limit, cursor });
+  res.json({
+    data: page.rows,
+    pagination: {
+      limit,
+      next: page.next,
+      prev: page.prev,
+      ...(req.query.include_total ? { total: await count() } : {}),
+    },
+  });
+};
+
+// Serve static frontend assets (index.html + assets folder) with proper MIME types.
+// Only the frontend is public: the rest of the project folder holds the server code and data files
+// (mock database, SQLite file, mail outbox), so it is not served.
 const staticRoot = path.join(__dirname);
-app.use(express.static(staticRoot, {
+const staticOptions = {
   setHeaders: (res, filePath) => {
     if (filePath.endsWith('.js')) {
       res.setHeader('Content-Type', 'application/javascript');
@@ -69,95 +127,184 @@ app.use(express.static(staticRoot, {
       res.setHeader('Content-Type', 'text/html');
     }
   }
-}));
+};
+app.use('/assets', express.static(path.join(staticRoot, 'assets'), staticOptions));
+app.use('/blogs', express.static(path.join(staticRoot, 'blogs'), staticOptions));
+app.get(['/', '/index.html', '/vite.svg'], (req, res) => {
+  res.sendFile(path.join(staticRoot, req.path === '/' ? 'index.html' : req.path.slice(1)));
+});
 
-// Ensure required columns exist (chart URLs, reviewer) and have safe types
-const ensureTradeColumns = async () => {
+// Bring the schema up to date (see migrations/).
+// Set MIGRATE_ON_START=false to run `npm run migrate` as a separate deploy step instead.
+const runStartupMigrations = async () => {
   if (USE_MOCK_DB) {
-    console.log('✅ Mock DB - skipping column checks');
+    console.log('✅ Mock DB - skipping migrations');
     return;
   }
-  
+
   const connection = await pool.getConnection();
   try {
-    const [cols] = await connection.query('SHOW COLUMNS FROM trades');
-    const fields = new Map(cols.map((c) => [c.Field, c]));
-    const alters = [];
-
-    // Add missing columns with appropriate types
-    if (!fields.has('chart_before_url')) {
-      alters.push('ADD COLUMN chart_before_url LONGTEXT NULL AFTER display_unit');
-    }
-    if (!fields.has('chart_after_url')) {
-      alters.push('ADD COLUMN chart_after_url LONGTEXT NULL AFTER chart_before_url');
-    }
-    if (!fields.has('reviewed_by')) {
-      alters.push('ADD COLUMN reviewed_by VARCHAR(255) NULL AFTER chart_after_url');
-    }
-
-    // Ensure timestamps exist for ordering and auditing
-    if (!fields.has('created_at')) {
-      alters.push('ADD COLUMN created_at DATETIME NULL');
-    }
-    if (!fields.has('updated_at')) {
-      alters.push('ADD COLUMN updated_at DATETIME NULL');
-    }
-
-    // Upgrade existing column types if too small (TEXT → LONGTEXT)
-    const beforeCol = fields.get('chart_before_url');
-    if (beforeCol && /^(tinytext|text|mediumtext)$/i.test(beforeCol.Type)) {
-      alters.push('MODIFY COLUMN chart_before_url LONGTEXT NULL');
-    }
-    const afterCol = fields.get('chart_after_url');
-    if (afterCol && /^(tinytext|text|mediumtext)$/i.test(afterCol.Type)) {
-      alters.push('MODIFY COLUMN chart_after_url LONGTEXT NULL');
+    if (process.env.MIGRATE_ON_START === 'false') {
+      const pending = (await migrator.status(connection)).filter((m) => !m.applied_at);
+      if (pending.length > 0) {
+        console.warn(`⚠️ ${pending.length} pending migration(s) - run "npm run migrate"`);
+      }
+      return;
     }
 
-    if (alters.length > 0) {
-      await connection.query(`ALTER TABLE trades ${alters.join(', ')}`);
-      console.log('✅ trades table ensured/updated (chart URLs + reviewer columns)');
+    const applied = await migrator.migrate(connection);
+    if (applied.length > 0) {
+      console.log(`✅ Applied ${applied.length} migration(s)`);
     }
   } catch (err) {
-    console.warn('⚠️ Could not ensure trades columns:', err.message || err.code);
+    console.error('❌ Could not migrate database schema:', err.message || err.code);
   } finally {
     connection.release();
   }
 };
 
-ensureTradeColumns();
+runStartupMigrations();
 
 // Helper: Generate unique ID
 const generateId = () => require('crypto').randomUUID();
 
-// Helper: Generate JWT token
-const generateToken = (userId, email, role) => {
-  return jwt.sign({ userId, email, role }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Helper: Reset/refresh tokens are random; only their SHA-256 hash is stored
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const generateSecureToken = () => require('crypto').randomBytes(32).toString('hex');
+const hashToken = (token) => require('crypto').createHash('sha256').update(token).digest('hex');
+
+// Helper: Send the reset link email
+const sendPasswordResetEmail = async (user, token) => {
+  const appUrl = (process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  const link = `${appUrl}/reset-password?token=${token}`;
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your UPTrader Journal password',
+    text: [
+      `Hi ${user.name || ''},`.trim(),
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      link,
+      '',
+      `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+  });
+};
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, stored hashed and rotated on every use.
+// Clients that don't refresh (the bundled web app) log in without { refresh: true } and get one
+// long-lived access token instead, as before refresh tokens; revoking the user's sessions still ends it.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SESSION_TOKEN_TTL = process.env.SESSION_TOKEN_TTL || '7d';
+
+// Only these statuses may log in or use the API
+const ACTIVE_USER_STATUSES = ['approved', 'active'];
+
+// Helper: Generate JWT token (tokenVersion must match users.token_version)
+const generateToken = (userId, email, role, tokenVersion = 0, expiresIn = ACCESS_TOKEN_TTL) => {
+  return jwt.sign({ userId, email, role, tokenVersion }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Helper: Issue an access token + a new refresh token for a user
+// (pass the transaction's repositories to make it part of one)
+const issueAuthTokens = async (user, db = repos) => {
+  const refreshToken = generateSecureToken();
+  const created = new Date();
+  const record = await db.refreshTokens.create({
+    id: generateId(),
+    user_id: user.id,
+    token_hash: hashToken(refreshToken),
+    expires_at: new Date(created.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+      .toISOString().slice(0, 19).replace('T', ' '),
+    revoked_at: null,
+    replaced_by: null,
+    created_at: created.toISOString().slice(0, 19).replace('T', ' '),
+  });
+
+  return {
+    token: generateToken(user.id, user.email, user.role, user.token_version || 0),
+    refreshToken,
+    refreshTokenId: record.id,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+};
+
+// Helper: Revoke every session of a user (password/role/status change, logout everywhere).
+// Bumping token_version invalidates outstanding access tokens; refresh tokens are revoked outright.
+const revokeUserSessions = async (userId, db = repos) => {
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  await db.users.incrementTokenVersion(userId);
+  await db.refreshTokens.revokeForUser(userId, now);
 };
 
-// Middleware: Verify JWT
-const verifyToken = (req, res, next) => {
+// Middleware: Verify JWT and make sure the user still exists, is active and the token wasn't revoked
+const verifyToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) return res.status(401).json({ error: 'No token provided' });
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(401).json({
+      error: expired ? 'Token expired' : 'Invalid token',
+      code: expired ? 'auth/token-expired' : 'auth/invalid-token',
+    });
+  }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    const user = await repos.users.findById(decoded.userId);
+
+    if (!user || !ACTIVE_USER_STATUSES.includes(user.status)) {
+      return res.status(401).json({ error: 'Account is no longer active', code: 'auth/inactive-user' });
+    }
+    if ((decoded.tokenVersion || 0) !== (user.token_version || 0)) {
+      return res.status(401).json({ error: 'Token has been revoked', code: 'auth/token-revoked' });
+    }
+
+    // Use the current role from the database, not the one baked into the token
+    req.user = { ...decoded, email: user.email, role: user.role };
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Helper: Can the authenticated user see/manage this student's data?
+// Admins see everyone, students only themselves, coaches only their assigned students.
+const canAccessStudent = async (user, studentId) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'student') return user.userId === studentId;
+  if (user.role !== 'coach') return false;
+  return repos.coachAssignments.hasStudent(user.userId, studentId);
+};
+
+// Helper: Append to the audit log (see audit.js); the actor is the signed-in user unless given.
+// A failed write is only logged: the change it describes has already been made.
+const recordAudit = async (req, { actor = req.user, ...entry }) => {
+  try {
+    await repos.auditLog.create(audit.buildAuditEntry({
+      ...entry,
+      id: generateId(),
+      actor: actor || null,
+      ip: req.ip || null,
+      now: new Date().toISOString().slice(0, 19).replace('T', ' '),
+    }));
+  } catch (error) {
+    console.error('Audit log error:', error.message);
   }
 };
 
 // ==================== Health Check ====================
 app.get('/api/health', async (req, res) => {
   try {
+    await repos.ping();
     if (USE_MOCK_DB) {
-      await mockDb.ping();
       res.json({ status: 'OK', message: 'Mock database connected', mode: 'MOCK' });
     } else {
-      const connection = await pool.getConnection();
-      await connection.ping();
-      connection.release();
       res.json({ status: 'OK', message: 'Database connected' });
     }
   } catch (error) {
@@ -167,51 +314,13 @@ app.get('/api/health', async (req, res) => {
 });
 
 // ==================== AUTH: Register ====================
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validateRequest({ body: schemas.register }), async (req, res) => {
   const { name, email, password } = req.body;
 
-  if (!name || !email || !password) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
-
-  if (USE_MOCK_DB) {
-    try {
-      // Check if user exists
-      const existing = await mockDb.findUserByEmail(email);
-      if (existing) {
-        return res.status(400).json({ error: 'Email already registered' });
-      }
-
-      // Hash password
-      const passwordHash = await bcrypt.hash(password, 10);
-
-      // Create user (pending status)
-      const userId = generateId();
-      const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
-      await mockDb.createUser({
-        id: userId,
-        name,
-        email,
-        password_hash: passwordHash,
-        role: 'student',
-        status: 'pending',
-        created_at: now,
-        updated_at: now
-      });
-
-      res.json({ message: 'Registration successful. Awaiting admin approval.', userId });
-    } catch (error) {
-      console.error('Register error:', error);
-      res.status(500).json({ error: error.message });
-    }
-    return;
-  }
-
-  const connection = await pool.getConnection();
   try {
     // Check if user exists
-    const [existing] = await connection.query('SELECT id FROM users WHERE email = ?', [email]);
-    if (existing.length > 0) {
+    const existing = await repos.users.findByEmail(email);
+    if (existing) {
       return res.status(400).json({ error: 'Email already registered' });
     }
 
@@ -221,91 +330,55 @@ app.post('/api/auth/register', async (req, res) => {
     // Create user (pending status)
     const userId = generateId();
     const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
-    await connection.query(
-      'INSERT INTO users (id, name, email, password_hash, role, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [userId, name, email, passwordHash, 'student', 'pending', now, now]
-    );
+    const user = await repos.users.create({
+      id: userId,
+      name,
+      email,
+      password_hash: passwordHash,
+      role: 'student',
+      status: 'pending',
+      created_at: now,
+      updated_at: now,
+    });
+    await recordAudit(req, { actor: { userId, role: 'student' }, action: 'user.create', targetType: 'user', targetId: userId, after: user });
 
-    res.json({ message: 'Registration successful. Awaiting admin approval.' });
+    res.json({ message: 'Registration successful. Awaiting admin approval.', userId });
   } catch (error) {
     console.error('Register error:', error);
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
 // ==================== AUTH: Login ====================
-app.post('/api/auth/login', async (req, res) => {
-  const { email, password } = req.body;
-
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password required' });
-  }
-
-  if (USE_MOCK_DB) {
-    try {
-      const user = await mockDb.findUserByEmail(email);
-
-      if (!user) {
-        return res.status(401).json({ error: 'ไม่พบบัญชีนี้', code: 'auth/user-not-found' });
-      }
-
-      // Verify password
-      const isValid = await bcrypt.compare(password, user.password_hash);
-      if (!isValid) {
-        return res.status(401).json({ error: 'รหัสผ่านไม่ถูกต้อง', code: 'auth/wrong-password' });
-      }
-
-      // Check if approved
-      if (user.status === 'pending') {
-        return res.status(403).json({
-          status: 'pending',
-          error: 'บัญชีของคุณกำลังรอการอนุมัติจาก Admin กรุณารอสักครู่',
-          code: 'auth/pending-approval',
-          user: { id: user.id, email: user.email, name: user.name },
-        });
-      }
-
-      // Generate token
-      const token = generateToken(user.id, user.email, user.role);
-
-      res.json({
-        message: 'เข้าสู่ระบบสำเร็จ',
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          role: user.role,
-          status: user.status,
-        },
-      });
-    } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({ error: 'เกิดข้อผิดพลาด กรุณาลองอีกครั้ง', code: 'auth/server-error' });
-    }
-    return;
-  }
+app.post('/api/auth/login', validateRequest({ body: schemas.login }), async (req, res) => {
+  const { email, password, refresh } = req.body;
+  // Failed attempts have no actor; the account they were for (if any) is the target
+  const loginFailed = (user, code) => recordAudit(req, {
+    actor: null,
+    action: 'auth.login_failed',
+    targetType: user ? 'user' : null,
+    targetId: user ? user.id : null,
+    context: { email, code },
+  });
 
-  const connection = await pool.getConnection();
   try {
-    const [users] = await connection.query('SELECT * FROM users WHERE email = ?', [email]);
+    const user = await repos.users.findByEmail(email);
 
-    if (users.length === 0) {
+    if (!user) {
+      await loginFailed(null, 'auth/user-not-found');
       return res.status(401).json({ error: 'ไม่พบบัญชีนี้', code: 'auth/user-not-found' });
     }
 
-    const user = users[0];
-
     // Verify password
     const isValid = await bcrypt.compare(password, user.password_hash);
     if (!isValid) {
+      await loginFailed(user, 'auth/wrong-password');
       return res.status(401).json({ error: 'รหัสผ่านไม่ถูกต้อง', code: 'auth/wrong-password' });
     }
 
     // Check if approved
     if (user.status === 'pending') {
+      await loginFailed(user, 'auth/pending-approval');
       return res.status(403).json({
         status: 'pending',
         error: 'บัญชีของคุณกำลังรอการอนุมัติจาก Admin กรุณารอสักครู่',
@@ -314,11 +387,30 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id, user.email, user.role);
+    // Suspended / rejected accounts can't log in
+    if (!ACTIVE_USER_STATUSES.includes(user.status)) {
+      await loginFailed(user, 'auth/account-disabled');
+      return res.status(403).json({
+        status: user.status,
+        error: 'บัญชีของคุณถูกระงับการใช้งาน กรุณาติดต่อ Admin',
+        code: 'auth/account-disabled',
+      });
+    }
+
+    // Access + refresh tokens for clients that refresh, otherwise one long-lived access token
+    const { token, refreshToken, expiresIn } = refresh
+      ? await issueAuthTokens(user)
+      : {
+        token: generateToken(user.id, user.email, user.role, user.token_version || 0, SESSION_TOKEN_TTL),
+        expiresIn: SESSION_TOKEN_TTL,
+      };
+    await recordAudit(req, { actor: { userId: user.id, role: user.role }, action: 'auth.login', targetType: 'user', targetId: user.id });
     res.json({
       status: 'success',
+      message: 'เข้าสู่ระบบสำเร็จ',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user.id,
         name: user.name,
@@ -329,118 +421,190 @@ app.post('/api/auth/login', async (req, res) => {
     });
   } catch (error) {
     console.error('Login error:', error);
-    res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
+    res.status(500).json({ error: 'เกิดข้อผิดพลาด กรุณาลองอีกครั้ง', code: 'auth/server-error' });
   }
 });
 
-// ==================== USERS: Get All ====================
-app.get('/api/users', verifyToken, async (req, res) => {
-  if (!['admin', 'coach'].includes(req.user.role)) {
-    return res.status(403).json({ error: 'Admin or coach only' });
-  }
-
-  // Check if pagination is requested
-  const usePagination = req.query.page || req.query.limit;
+// ==================== AUTH: Refresh (rotate refresh token) ====================
+app.post('/api/auth/refresh', validateRequest({ body: schemas.refresh }), async (req, res) => {
+  const { refreshToken } = req.body;
 
-  // Query params for pagination and filtering
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 50;
-  const status = req.query.status; // 'pending', 'active', or undefined for all
-  const role = req.query.role; // 'student', 'coach', 'admin', or undefined for all
-  const offset = (page - 1) * limit;
+  const invalidRefresh = { error: 'Session expired. Please log in again.', code: 'auth/invalid-refresh-token' };
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
 
-  if (USE_MOCK_DB) {
-    // Mock mode
-    try {
-      let users = await mockDb.getAllUsers();
-      if (status) {
-        users = users.filter(u => u.status === status);
+  try {
+    const result = await repos.transaction(async (tx) => {
+      const record = await tx.refreshTokens.findByHash(tokenHash, { now, forUpdate: true });
+      if (!record) {
+        return { httpStatus: 401, body: invalidRefresh };
       }
-      if (role) {
-        users = users.filter(u => u.role === role);
+      // A revoked token being replayed means it leaked: end every session of that user
+      if (record.revoked_at) {
+        await revokeUserSessions(record.user_id, tx);
+        return { httpStatus: 401, body: invalidRefresh };
       }
-      
-      // Backward compatible: return array if no pagination params
-      if (!usePagination) {
-        return res.json(users);
+      if (record.expired) {
+        return { httpStatus: 401, body: invalidRefresh };
       }
-      
-      const total = users.length;
-      const paginatedUsers = users.slice(offset, offset + limit);
-      return res.json({
-        users: paginatedUsers,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit)
-        }
-      });
-    } catch (error) {
-      return res.status(500).json({ error: error.message });
-    }
+
+      const user = await tx.users.findById(record.user_id);
+      if (!user || !ACTIVE_USER_STATUSES.includes(user.status)) {
+        await tx.refreshTokens.revoke(record.id, now);
+        return { httpStatus: 401, body: { error: 'Account is no longer active', code: 'auth/inactive-user' } };
+      }
+
+      const tokens = await issueAuthTokens(user, tx);
+      await tx.refreshTokens.revoke(record.id, now, tokens.refreshTokenId);
+      return {
+        httpStatus: 200,
+        body: {
+          token: tokens.token,
+          refreshToken: tokens.refreshToken,
+          expiresIn: tokens.expiresIn,
+          user: { id: user.id, name: user.name, email: user.email, role: user.role, status: user.status },
+        },
+      };
+    });
+
+    res.status(result.httpStatus).json(result.body);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Real DB mode
-  const connection = await pool.getConnection();
-  try {
-    let base = 'SELECT id, name, email, role, status, created_at FROM users';
-    const params = [];
-    const conditions = [];
+// ==================== AUTH: Logout ====================
+// Revokes the given refresh token; { all: true } also ends every other session of the user
+app.post('/api/auth/logout', validateRequest({ body: schemas.logout }), async (req, res) => {
+  const { refreshToken, all } = req.body;
 
-    // Filter by status if provided
-    if (status) {
-      conditions.push('status = ?');
-      params.push(status);
-    }
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
 
-    // Filter by role if provided
-    if (role) {
-      conditions.push('role = ?');
-      params.push(role);
+  try {
+    const record = await repos.refreshTokens.findByHash(tokenHash, { now });
+    if (record && !record.revoked_at) {
+      await repos.refreshTokens.revoke(record.id, now);
+      if (all) {
+        await revokeUserSessions(record.user_id);
+      }
     }
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Add WHERE clause if we have conditions
-    if (conditions.length > 0) {
-      const whereClause = ` WHERE ${conditions.join(' AND ')}`;
-      base += whereClause;
-    }
+// ==================== AUTH: Forgot Password ====================
+app.post('/api/auth/forgot-password', validateRequest({ body: schemas.forgotPassword }), async (req, res) => {
+  const { email } = req.body;
 
-    // Add ordering
-    base += ' ORDER BY created_at DESC';
+  // Same response whether or not the account exists, so emails can't be enumerated
+  const genericResponse = { message: 'If an account exists for this email, a reset link has been sent.' };
 
-    // Backward compatible: if no pagination params, return all users as array
-    if (!usePagination) {
-      const [users] = await connection.query(base, params);
-      return res.json(users);
-    }
+  const token = generateSecureToken();
+  const created = new Date();
+  const now = created.toISOString().slice(0, 19).replace('T', ' ');
+  const expiresAt = new Date(created.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    .toISOString().slice(0, 19).replace('T', ' ');
 
-    // With pagination: get count and paginated results
-    let countBase = 'SELECT COUNT(*) as total FROM users';
-    const countParams = [];
-    
-    if (status) {
-      countParams.push(status);
-    }
-    if (role) {
-      countParams.push(role);
+  try {
+    const user = await repos.users.findByEmail(email);
+    if (!user) {
+      return res.json(genericResponse);
     }
-    
-    if (conditions.length > 0) {
-      countBase += ` WHERE ${conditions.join(' AND ')}`;
+
+    // Only the newest link stays valid
+    await repos.passwordResets.invalidateForUser(user.id, now);
+    await repos.passwordResets.create({
+      id: generateId(),
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: expiresAt,
+      used_at: null,
+      created_at: now,
+    });
+    await sendPasswordResetEmail(user, token);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== AUTH: Reset Password ====================
+app.post('/api/auth/reset-password', validateRequest({ body: schemas.resetPassword }), async (req, res) => {
+  const { token, password } = req.body;
+
+  const invalidToken = { error: 'Reset link is invalid or has expired', code: 'auth/invalid-reset-token' };
+  const tokenHash = hashToken(token);
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const reset = await repos.transaction(async (tx) => {
+      const found = await tx.passwordResets.findValidByHash(tokenHash, now);
+      // Claim the token first so two concurrent requests can't both use it
+      if (!found || !(await tx.passwordResets.claim(found.id, now))) {
+        return null;
+      }
+      const before = await tx.users.findById(found.user_id);
+      if (!before || !(await tx.users.update(found.user_id, { password_hash: passwordHash, updated_at: now }))) {
+        return null;
+      }
+      await tx.passwordResets.invalidateForUser(found.user_id, now);
+      await revokeUserSessions(found.user_id, tx);
+      return { userId: found.user_id, before, after: await tx.users.findById(found.user_id) };
+    });
+
+    if (!reset) {
+      return res.status(400).json(invalidToken);
     }
+    await recordAudit(req, {
+      actor: null,
+      action: 'auth.password_reset',
+      targetType: 'user',
+      targetId: reset.userId,
+      before: reset.before,
+      after: reset.after,
+    });
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== USERS: Get All ====================
+app.get('/api/users', verifyToken, validateRequest({ query: schemas.listUsersQuery }), async (req, res) => {
+  if (!['admin', 'coach'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Admin or coach only' });
+  }
+
+  // Check if pagination is requested
+  const usePagination = req.query.page || req.query.limit;
 
-    const [countResult] = await connection.query(countBase, countParams);
-    const total = countResult[0].total;
+  // Query params for pagination and filtering
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 50;
+  const query = {
+    status: req.query.status, // 'pending', 'active', or undefined for all
+    role: req.query.role, // 'student', 'coach', 'admin', or undefined for all
+    // Coaches only see their assigned students
+    coachId: req.user.role === 'coach' ? req.user.userId : null,
+  };
 
-    // Add pagination
-    base += ' LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+  try {
+    // Backward compatible: return array if no pagination params
+    if (!usePagination) {
+      return res.json(await repos.users.list(query));
+    }
 
-    const [users] = await connection.query(base, params);
-    
+    const total = await repos.users.count(query);
+    const users = await repos.users.list({ ...query, limit, offset: (page - 1) * limit });
     res.json({
       users,
       pagination: {
@@ -452,88 +616,75 @@ app.get('/api/users', verifyToken, async (req, res) => {
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
-// ==================== USERS: Update (Admin: role, status, password reset) ====================
-app.patch('/api/users/:id', verifyToken, async (req, res) => {
+// ==================== USERS: Get All v2 (cursor pages, newest first) ====================
+app.get('/api/v2/users', verifyToken, validateRequest({ query: schemas.listUsersV2Query }), async (req, res) => {
+  if (!['admin', 'coach'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Admin or coach only' });
+  }
+
+  const query = {
+    status: req.query.status,
+    role: req.query.role,
+    // Coaches only see their assigned students
+    coachId: req.user.role === 'coach' ? req.user.userId : null,
+  };
+
+  try {
+    await sendCursorPage(req, res, {
+      list: (options) => repos.users.list({ ...query, ...options }),
+      count: () => repos.users.count(query),
+      sort: 'created_at',
+      order: 'desc',
+      sortColumns: ['created_at'],
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== USERS: Update (Admin: role, status, group, password reset) ====================
+app.patch('/api/users/:id', verifyToken, validateRequest({ body: schemas.updateUser, partial: true }), async (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin only' });
   }
 
   const { id } = req.params;
   const { role, status, password } = req.body;
+  // Empty string / null removes the user from their group
+  const groupName = req.body.group_name;
+  const revokesSessions = Boolean(role || status || password);
 
-  if (USE_MOCK_DB) {
-    // Mock mode
-    try {
-      const updates = {};
-      if (role) updates.role = role;
-      if (status) updates.status = status;
-      if (password) {
-        const hash = await bcrypt.hash(password, 10);
-        updates.password_hash = hash;
-      }
-
-      if (Object.keys(updates).length === 0) {
-        return res.status(400).json({ error: 'No fields to update' });
-      }
-
-      const user = await mockDb.updateUser(id, updates);
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      return res.json({ message: 'User updated successfully' });
-    } catch (error) {
-      return res.status(500).json({ error: error.message });
-    }
-  }
-
-  // Real DB mode
-  const connection = await pool.getConnection();
   try {
-    const updates = [];
-    const values = [];
-
-    if (role) {
-      updates.push('role = ?');
-      values.push(role);
-    }
-    if (status) {
-      updates.push('status = ?');
-      values.push(status);
-    }
+    const updates = {};
+    if (role) updates.role = role;
+    if (status) updates.status = status;
     if (password) {
-      const hash = await bcrypt.hash(password, 10);
-      updates.push('password_hash = ?');
-      values.push(hash);
+      updates.password_hash = await bcrypt.hash(password, 10);
     }
+    if (groupName !== undefined) updates.group_name = groupName;
 
-    if (updates.length === 0) {
+    if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    updates.push('updated_at = ?');
-    values.push(new Date().toISOString().slice(0, 19).replace('T', ' '));
-    values.push(id);
-
-    const [result] = await connection.query(
-      `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
-      values
-    );
-
-    if (result.affectedRows === 0) {
+    const before = await repos.users.findById(id);
+    updates.updated_at = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    if (!before || !(await repos.users.update(id, updates))) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Role, status or password changes end all existing sessions
+    if (revokesSessions) {
+      await revokeUserSessions(id);
+    }
+    await recordAudit(req, { action: 'user.update', targetType: 'user', targetId: id, before, after: await repos.users.findById(id) });
+
     res.json({ message: 'User updated successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
@@ -545,469 +696,2162 @@ app.delete('/api/users/:id', verifyToken, async (req, res) => {
 
   const { id } = req.params;
 
-  if (USE_MOCK_DB) {
-    // Mock mode
-    try {
-      // Delete user's trades first
-      const trades = await mockDb.getAllTrades();
-      for (const trade of trades.filter(t => t.userId === id)) {
-        await mockDb.deleteTrade(trade.id);
-      }
-
-      // Delete user
-      const deleted = await mockDb.deleteUser(id);
-      if (!deleted) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      return res.json({ message: 'User deleted successfully' });
-    } catch (error) {
-      return res.status(500).json({ error: error.message });
-    }
-  }
-
-  // Real DB mode
-  const connection = await pool.getConnection();
   try {
-    // Delete trades first (cascade)
-    await connection.query('DELETE FROM trades WHERE user_id = ?', [id]);
-
-    // Delete user
-    const [result] = await connection.query('DELETE FROM users WHERE id = ?', [id]);
-
-    if (result.affectedRows === 0) {
+    const user = await repos.users.findById(id);
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Delete trades (with their comments, tags and chart files), auth tokens, assignments, accounts and
+    // private tags first (cascade)
+    const charts = await repos.trades.deleteForUser(id);
+    await removeChartFiles(await ownedChartFiles(charts, id));
+    await repos.refreshTokens.deleteForUser(id);
+    await repos.passwordResets.deleteForUser(id);
+    await repos.coachAssignments.deleteForUser(id);
+    await repos.accounts.deleteForUser(id);
+    await repos.tags.deleteForUser(id);
+    await repos.users.delete(id);
+    await recordAudit(req, { action: 'user.delete', targetType: 'user', targetId: id, before: user });
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
-// ==================== TRADES: Get All (with role filtering + pagination) ====================
-app.get('/api/trades', verifyToken, async (req, res) => {
-  try {
-    // Check if pagination is requested
-    const usePagination = req.query.page || req.query.limit;
-    
-    // Query params for pagination and filtering
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const status = req.query.status; // 'pending', 'reviewed', or undefined for all
-    const offset = (page - 1) * limit;
+// ==================== FILES: Chart image storage ====================
+// Helper: Index a stored file so storage stats don't have to scan the backend
+const recordStoredFile = async (file, userId) => {
+  await repos.storedFiles.create({
+    storage_key: file.key,
+    content_type: file.contentType,
+    size_bytes: file.size,
+    uploaded_by: userId || null,
+    created_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
+  });
+};
 
-    if (USE_MOCK_DB) {
-      // Mock mode
-      let trades = await mockDb.getAllTrades();
-      if (req.user.role === 'student') {
-        trades = trades.filter(t => t.userId === req.user.userId);
-      }
-      if (status) {
-        trades = trades.filter(t => t.status === status);
-      }
-      
-      // Backward compatible: return array if no pagination params
-      if (!usePagination) {
-        return res.json(trades);
-      }
-      
-      const total = trades.length;
-      const paginatedTrades = trades.slice(offset, offset + limit);
-      return res.json({
-        trades: paginatedTrades,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit)
-        }
-      });
+// Helper: Delete chart files that are no longer referenced (values that aren't references are ignored)
+const removeChartFiles = async (references) => {
+  for (const reference of references) {
+    const key = chartImages.keyFromReference(reference);
+    if (!key) continue;
+    try {
+      await storage.remove(key);
+      await repos.storedFiles.delete(key);
+    } catch (error) {
+      console.warn(`⚠️ Could not delete stored file ${key}:`, error.message);
     }
+  }
+};
 
-    // Real DB mode
-    const connection = await pool.getConnection();
-    try {
-      // Determine a safe column to order by
-      const [cols] = await connection.query('SHOW COLUMNS FROM trades');
-      const columnNames = new Set(cols.map((c) => c.Field));
-      const orderCol = columnNames.has('created_at')
-        ? 'created_at'
-        : columnNames.has('updated_at')
-        ? 'updated_at'
-        : columnNames.has('id')
-        ? 'id'
-        : null;
-
-      let base = 'SELECT * FROM trades';
-      const params = [];
-      const conditions = [];
-
-      // Students see only their trades
-      if (req.user.role === 'student') {
-        conditions.push('user_id = ?');
-        params.push(req.user.userId);
-      }
+const CHART_FIELDS = ['chart_before_url', 'chart_after_url'];
+
+// Helper: The chart files among a trade's removed chart references that the trade owned: uploaded by
+// its owner, or not shown on any other trade. Files someone else uploaded and still uses are left alone.
+const ownedChartFiles = async (references, ownerId) => {
+  const owned = [];
+  for (const reference of references) {
+    const key = chartImages.keyFromReference(reference);
+    if (!key) continue;
+    const file = await repos.storedFiles.findByKey(key);
+    if (file && (file.uploaded_by === ownerId || (await repos.trades.countChartReferences(key)) === 0)) {
+      owned.push(reference);
+    }
+  }
+  return owned;
+};
 
-      // Filter by status if provided
-      if (status) {
-        conditions.push('status = ?');
-        params.push(status);
-      }
+// Helper: Check the chart references a trade is given point at files the caller uploaded (admins may use
+// any stored file). The trade's current references are fine, so saving an edited trade keeps its charts.
+// Returns { errors } (validation format) when a reference isn't allowed.
+const checkChartReferences = async (fields, user, existing = {}) => {
+  const errors = [];
+  for (const field of CHART_FIELDS) {
+    const key = chartImages.keyFromReference(fields[field]);
+    if (!key || fields[field] === existing[field]) continue;
+    const file = await repos.storedFiles.findByKey(key);
+    if (!file || (user.role !== 'admin' && file.uploaded_by !== user.userId)) {
+      errors.push({ field, code: 'file', message: `${field} is not one of your uploaded images` });
+    }
+  }
+  return errors.length > 0 ? { errors } : {};
+};
 
-      // Add WHERE clause if we have conditions
-      if (conditions.length > 0) {
-        const whereClause = ` WHERE ${conditions.join(' AND ')}`;
-        base += whereClause;
+// Helper: Move inline base64 charts (sent by older clients) to file storage.
+// Returns { fields } with data URLs replaced by references, or { errors } (validation format) if an image is invalid.
+const storeInlineCharts = async (fields, userId) => {
+  const result = { ...fields };
+  for (const field of CHART_FIELDS) {
+    if (!chartImages.isDataUrl(result[field])) continue;
+    const saved = await chartImages.saveDataUrl(result[field]);
+    if (saved.error) {
+      return { errors: [{ field, code: 'image', message: `${field}: ${saved.error}` }] };
+    }
+    await recordStoredFile(saved, userId);
+    result[field] = saved.url;
+  }
+  return { fields: result };
+};
+
+// Helper: Chart references of a trade that an update replaces
+const replacedChartReferences = (existing, updates) => CHART_FIELDS
+  .filter((field) => field in updates && existing[field] !== updates[field])
+  .map((field) => existing[field])
+  .filter(Boolean);
+
+const chartUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: chartImages.MAX_IMAGE_BYTES, files: 1 },
+});
+
+// Upload a chart image (multipart field "file"); returns a reference to store on the trade
+app.post('/api/uploads/charts', verifyToken, (req, res) => {
+  chartUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? `Image is larger than ${Math.round(chartImages.MAX_IMAGE_BYTES / 1024 / 1024)} MB`
+          : uploadError.message,
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded (use multipart field "file")' });
+    }
+
+    try {
+      const saved = await chartImages.saveImage(req.file.buffer, req.file.mimetype);
+      if (saved.error) {
+        return res.status(400).json({ error: saved.error });
+      }
+      await recordStoredFile(saved, req.user.userId);
+      res.status(201).json(saved);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// Serve stored files. No auth: <img> tags can't send the bearer token and keys are random UUIDs.
+app.get('/api/files/*', async (req, res) => {
+  const key = req.params[0];
+  if (!storage.isValidKey(key)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  try {
+    const file = await storage.get(key);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+    if (file.size) res.setHeader('Content-Length', file.size);
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+    file.stream.on('error', () => res.destroy());
+    file.stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Get All (with role scoping, filters, search + pagination) ====================
+// Helper: Work out whose trades a listing, export, stats or report request may cover.
+// Students are always limited to themselves; admins may pick a user, a group (cohort) or everyone;
+// coaches may do the same but only within their assigned students.
+const resolveTradeScope = async (req, requestedUserId, requestedGroup) => {
+  if (req.user.role === 'student') {
+    if ((requestedUserId && requestedUserId !== req.user.userId) || requestedGroup) {
+      return { error: 'Cannot view trades of other users' };
+    }
+    return { scope: { userId: req.user.userId, group: null, coachId: null } };
+  }
+  if (!['admin', 'coach'].includes(req.user.role)) {
+    return { error: 'Access denied' };
+  }
+  if (req.user.role === 'coach' && requestedUserId && !(await canAccessStudent(req.user, requestedUserId))) {
+    return { error: 'Student is not assigned to you' };
+  }
+  return {
+    scope: {
+      userId: requestedUserId || null,
+      group: requestedGroup || null,
+      coachId: req.user.role === 'coach' ? req.user.userId : null,
+    },
+  };
+};
+
+// Helper: Match an asset filter through the catalog, so "eurusd" finds EURUSD trades
+const resolveAssetFilter = async (filters) => {
+  if (!filters.asset) return;
+  const instrument = instruments.resolveInstrument(await repos.instruments.list(), filters.asset);
+  if (instrument) filters.asset = instrument.symbol;
+};
+
+// Helper: The repository query for a trades listing or export: whose trades plus the filters
+// (see schemas.TRADE_FILTER_FIELDS). Returns { query } or { status, error }.
+const tradeListQuery = async (req) => {
+  const { scope, error: scopeError } = await resolveTradeScope(req, req.query.userId, req.query.group);
+  if (scopeError) {
+    return { status: 403, error: scopeError };
+  }
+  const { filters, error: filterError } = analytics.parseTradeFilters(req.query);
+  if (filterError) {
+    return { status: 400, error: filterError };
+  }
+  await resolveAssetFilter(filters);
+  return { query: { ...scope, filters } };
+};
+
+// Helper: Add each trade's tags ({ id, name, category }) to trade rows
+const withTags = async (trades) => {
+  const byTrade = new Map();
+  (await repos.tags.listForTrades(trades.map((t) => t.id))).forEach(({ trade_id: tradeId, id, name, category }) => {
+    byTrade.set(tradeId, [...(byTrade.get(tradeId) || []), { id, name, category }]);
+  });
+  return trades.map((t) => ({ ...t, tags: byTrade.get(t.id) || [] }));
+};
+
+app.get('/api/trades', verifyToken, validateRequest({ query: schemas.listTradesQuery }), async (req, res) => {
+  try {
+    const { query: filtered, status, error } = await tradeListQuery(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // Check if pagination is requested
+    const usePagination = req.query.page || req.query.limit;
+
+    // Query params for pagination and sorting
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    const query = { ...filtered, sort: req.query.sort, order: req.query.order };
+
+    // Backward compatible: if no pagination params, return all trades as array
+    if (!usePagination) {
+      return res.json(await withTags(await repos.trades.list(query)));
+    }
+
+    const total = await repos.trades.count(query);
+    const trades = await withTags(await repos.trades.list({ ...query, limit, offset: (page - 1) * limit }));
+    res.json({
+      trades,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Get All v2 (cursor pages) ====================
+// Same scoping, filters and sorting as GET /api/trades, in the v2 list envelope
+app.get('/api/v2/trades', verifyToken, validateRequest({ query: schemas.listTradesV2Query }), async (req, res) => {
+  try {
+    const { query, status, error } = await tradeListQuery(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    await sendCursorPage(req, res, {
+      list: async (options) => withTags(await repos.trades.list({ ...query, ...options })),
+      count: () => repos.trades.count(query),
+      sort: req.query.sort,
+      order: req.query.order,
+      sortColumns: schemas.TRADE_SORT_COLUMNS,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Export (CSV, JSON, Excel) ====================
+// Same scoping and filters as GET /api/trades, oldest first. Trades are read in batches of only the
+// exported columns and written as they arrive, so chart and feedback text is only read when included.
+const EXPORT_BATCH_SIZE = 500;
+
+// Helper: Write to a streamed response, waiting while the client catches up (rejects if it disconnects)
+const writeToResponse = (res) => (chunk) => {
+  if (res.destroyed) return Promise.reject(new Error('Client closed the connection'));
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client closed the connection'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+};
+
+app.get('/api/trades/export', verifyToken, validateRequest({ query: schemas.exportTradesQuery }), async (req, res) => {
+  const { format, include_charts: charts, include_feedback: feedback } = req.query;
+  const columns = tradeExport.exportColumns({ charts, feedback });
+
+  try {
+    const { query, status, error } = await tradeListQuery(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', tradeExport.CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="trades-${date}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const writer = await tradeExport.createExportWriter(format, columns, writeToResponse(res));
+    let after;
+    do {
+      const batch = await repos.trades.list({ ...query, columns, order: 'asc', limit: EXPORT_BATCH_SIZE, after });
+      await writer.writeRows(batch);
+      const last = batch[batch.length - 1];
+      after = batch.length === EXPORT_BATCH_SIZE ? { created_at: analytics.createdAtString(last), id: last.id } : null;
+    } while (after);
+    await writer.end();
+    res.end();
+  } catch (error) {
+    // Once the download has started the status can't change; cut it short so it isn't mistaken for complete
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: error.message });
+    } else {
+      console.error('❌ Trade export failed:', error.message);
+      res.destroy();
+    }
+  }
+});
+
+// Helper: Look up a trade asset in the instrument catalog.
+// Returns { instrument } or { errors } for validationError.
+const resolveTradeAsset = async (asset) => {
+  const instrument = instruments.resolveInstrument(await repos.instruments.list(), asset);
+  if (!instrument) {
+    return { errors: [{ field: 'asset', code: 'instrument', message: `asset "${asset}" is not in the instrument catalog` }] };
+  }
+  return { instrument };
+};
+
+// Helper: Pick the account a trade goes on: the given one (which must belong to the trade's owner)
+// or the owner's first account, opening a default "Main" account when they have none yet.
+// Returns { account } or { errors } for validationError.
+const resolveTradeAccount = async (ownerId, accountId) => {
+  if (accountId) {
+    const account = await repos.accounts.findById(accountId);
+    if (!account || account.user_id !== ownerId) {
+      return { errors: [{ field: 'account_id', code: 'account', message: 'account_id is not one of the trade owner\'s accounts' }] };
+    }
+    return { account };
+  }
+
+  const [first] = await repos.accounts.list({ userId: ownerId });
+  if (first) return { account: first };
+
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const account = await repos.accounts.create({
+    id: generateId(),
+    user_id: ownerId,
+    name: 'Main',
+    broker: null,
+    type: 'live',
+    currency: 'USD',
+    starting_balance: 10000,
+    created_at: now,
+    updated_at: now,
+  });
+  return { account };
+};
+
+// Helper: The row stored for a new trade, from validated createTrade fields (used by create and import).
+// Chart fields must already be file references; created_at defaults to now.
+const buildNewTrade = ({ fields, userId, account, instrument, now, createdAt = now }) => ({
+  id: generateId(),
+  user_id: userId,
+  account_id: account.id,
+  broker_ticket: fields.broker_ticket ?? null,
+  asset: instrument.symbol,
+  direction: fields.direction,
+  entry: fields.entry,
+  sl: fields.sl,
+  tp: fields.tp ?? null,
+  exit: fields.exit ?? null,
+  status: 'pending',
+  strategy: fields.strategy ?? null,
+  emotion: fields.emotion ?? null,
+  display_unit: fields.display_unit,
+  quantity: fields.quantity ?? null,
+  commission: fields.commission ?? null,
+  swap: fields.swap ?? null,
+  fx_rate: fields.fx_rate ?? null,
+  account_currency: account.currency,
+  // R multiples, pips/points result and P&L come from the prices (a differing R sent is a manual override)
+  ...tradeMetrics.planMetrics({}, { ...fields, account_currency: account.currency }, instrument),
+  chart_before_url: fields.chart_before_url ?? null,
+  chart_after_url: fields.chart_after_url ?? null,
+  reviewed_by: null,
+  created_at: createdAt,
+  updated_at: now,
+});
+
+// Helper: Whether another trade on the account already has this broker ticket
+const brokerTicketTaken = async (accountId, ticket) => (
+  Boolean(ticket) && (await repos.trades.findTickets(accountId, [ticket])).length > 0
+);
+
+// ==================== TRADES: Create ====================
+// Helper: The active checklist rules of a student's group (none without a group)
+const groupChecklistRules = async (userId) => {
+  const user = await repos.users.findById(userId);
+  if (!user || !user.group_name) return [];
+  return repos.checklistRules.list({ groups: [user.group_name] });
+};
+
+// Helper: Tick the followed rules on a checklist. Returns { checklist: { items, score } } or { errors }.
+const fillChecklist = (rules, checkedIds) => {
+  if (rules.length === 0) {
+    return { errors: [{ field: 'checked_rules', code: 'no_checklist', message: 'There is no checklist for this trade' }] };
+  }
+  const checklist = checklists.scoreChecklist(rules, checkedIds);
+  if (checklist.unknown) {
+    return { errors: [{ field: 'checked_rules', code: 'unknown', message: `Unknown checklist rules: ${checklist.unknown.join(', ')}` }] };
+  }
+  return { checklist };
+};
+
+app.post('/api/trades', verifyToken, validateRequest({ body: schemas.createTrade }), async (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ error: 'Students only' });
+  }
+
+  const fields = req.body;
+
+  try {
+    const { instrument, errors: assetErrors } = await resolveTradeAsset(fields.asset);
+    if (assetErrors) {
+      return res.status(400).json(validationError(assetErrors));
+    }
+    const { account, errors: accountErrors } = await resolveTradeAccount(req.user.userId, fields.account_id);
+    if (accountErrors) {
+      return res.status(400).json(validationError(accountErrors));
+    }
+    if (await brokerTicketTaken(account.id, fields.broker_ticket)) {
+      return res.status(409).json({ error: `A trade with broker ticket ${fields.broker_ticket} is already on this account` });
+    }
+    let checklist = null;
+    if (fields.checked_rules !== undefined) {
+      const filled = fillChecklist(await groupChecklistRules(req.user.userId), fields.checked_rules);
+      if (filled.errors) {
+        return res.status(400).json(validationError(filled.errors));
+      }
+      checklist = filled.checklist;
+    }
+
+    // Inline base64 charts are moved to file storage; the trade keeps a reference
+    const referenceCheck = await checkChartReferences(fields, req.user);
+    if (referenceCheck.errors) {
+      return res.status(400).json(validationError(referenceCheck.errors));
+    }
+    const charts = await storeInlineCharts({
+      chart_before_url: fields.chart_before_url ?? null,
+      chart_after_url: fields.chart_after_url ?? null,
+    }, req.user.userId);
+    if (charts.errors) {
+      return res.status(400).json(validationError(charts.errors));
+    }
+
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const newTrade = {
+      ...buildNewTrade({
+        fields: { ...fields, ...charts.fields },
+        userId: req.user.userId,
+        account,
+        instrument,
+        now,
+      }),
+      adherence_score: checklist ? checklist.score : null,
+    };
+    const trade = await repos.transaction(async (tx) => {
+      const created = await tx.trades.create(newTrade);
+      if (checklist) await tx.tradeChecklists.setForTrade(created.id, checklist.items);
+      return created;
+    });
+
+    await recordAudit(req, { action: 'trade.create', targetType: 'trade', targetId: trade.id, after: trade });
+    res.status(201).json({ ...trade, checklist: checklist ? checklist.items : [] });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Import (CSV, MT4/MT5 statements) ====================
+// Rows go through the createTrade schema and the instrument catalog like POST /api/trades, onto one
+// account. Tickets already on the account (or repeated in the file) are reported as duplicates.
+// dry_run returns the report without saving. Otherwise nothing is saved while any row is invalid,
+// unless skip_invalid is set; the valid rows are then written in one transaction.
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
+
+// What the report shows of each trade (plus its id once saved)
+const IMPORT_PREVIEW_FIELDS = [
+  'asset',
+  'direction',
+  'entry',
+  'sl',
+  'tp',
+  'exit',
+  'quantity',
+  'commission',
+  'swap',
+  'fx_rate',
+  'planned_r',
+  'actual_r',
+  'result_distance',
+  'net_pnl',
+  'risk_amount',
+  'created_at',
+];
+
+// Accept the optional multipart "file" part; JSON requests pass straight through
+const receiveImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `File is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB` : uploadError.message,
+      });
+    }
+    next();
+  });
+};
+
+// Helper: Check one parsed row and build its trade. Returns a report entry; ready rows carry the trade.
+const prepareImportRow = (row, { catalog, account, userId, now, takenTickets }) => {
+  const entry = { line: row.line, ticket: row.ticket ?? null };
+  if (row.skip) {
+    return { ...entry, status: 'skipped', reason: row.skip };
+  }
+  if (row.ticket && takenTickets.has(row.ticket)) {
+    return { ...entry, status: 'duplicate' };
+  }
+
+  const { value: fields, errors } = validate(schemas.createTrade, row.fields);
+  errors.push(...row.errors);
+  const instrument = fields.asset
+    && (instruments.resolveInstrument(catalog, fields.asset)
+      || instruments.resolveInstrument(catalog, tradeImport.stripSymbolSuffix(fields.asset)));
+  if (fields.asset && !instrument) {
+    errors.push({ field: 'asset', code: 'instrument', message: `asset "${fields.asset}" is not in the instrument catalog` });
+  }
+  if (errors.length > 0) {
+    return { ...entry, status: 'invalid', errors };
+  }
+
+  // The broker's profit gives the conversion rate for instruments quoted in another currency
+  const money = tradeMetrics.computeMoney({ ...fields, account_currency: account.currency }, instrument);
+  if (money.gross_pnl === null && row.profit !== null) {
+    fields.fx_rate = tradeMetrics.impliedFxRate(fields, instrument, row.profit);
+  }
+
+  if (row.ticket) takenTickets.add(row.ticket);
+  const trade = buildNewTrade({
+    fields: { ...fields, broker_ticket: row.ticket },
+    userId,
+    account,
+    instrument,
+    now,
+    createdAt: row.openedAt || now,
+  });
+  return { ...entry, status: 'ready', trade };
+};
+
+app.post('/api/trades/import', verifyToken, receiveImportFile, validateRequest({ body: schemas.importTrades }), async (req, res) => {
+  if (req.user.role !== 'student') {
+    return res.status(403).json({ error: 'Students only' });
+  }
+
+  const { preset, mapping, account_id: accountId, dry_run: dryRun, skip_invalid: skipInvalid, content } = req.body;
+  const file = req.file ? req.file.buffer : content;
+  if (!file) {
+    return res.status(400).json({ error: 'No file uploaded (use multipart field "file" or send the text as content)' });
+  }
+  const parsed = tradeImport.parseImport(file, { preset, mapping });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const { account, errors: accountErrors } = await resolveTradeAccount(req.user.userId, accountId);
+    if (accountErrors) {
+      return res.status(400).json(validationError(accountErrors));
+    }
+
+    const tickets = [...new Set(parsed.rows.map((row) => row.ticket).filter(Boolean))];
+    const context = {
+      catalog: await repos.instruments.list(),
+      account,
+      userId: req.user.userId,
+      now: new Date().toISOString().slice(0, 19).replace('T', ' '),
+      takenTickets: new Set(await repos.trades.findTickets(account.id, tickets)),
+    };
+    const rows = parsed.rows.map((row) => prepareImportRow(row, context));
+
+    const count = (status) => rows.filter((row) => row.status === status).length;
+    const counts = { ready: count('ready'), duplicate: count('duplicate'), invalid: count('invalid'), skipped: count('skipped') };
+    const report = (imported) => ({
+      dryRun,
+      preset,
+      accountId: account.id,
+      imported,
+      counts,
+      rows: rows.map(({ trade, ...row }) => {
+        if (!trade) return row;
+        const preview = Object.fromEntries(IMPORT_PREVIEW_FIELDS.map((field) => [field, trade[field]]));
+        return imported ? { ...row, status: 'imported', trade: { id: trade.id, ...preview } } : { ...row, trade: preview };
+      }),
+    });
+
+    if (dryRun) {
+      return res.json(report(0));
+    }
+    if (counts.invalid > 0 && !skipInvalid) {
+      return res.status(400).json({
+        error: `${counts.invalid} row(s) are invalid; fix them or pass skip_invalid to import the rest`,
+        code: 'import/invalid-rows',
+        ...report(0),
+      });
+    }
+
+    const ready = rows.filter((row) => row.status === 'ready');
+    const readyTickets = ready.map((row) => row.ticket).filter(Boolean);
+    const saved = await repos.transaction(async (tx) => {
+      // Another import may have added some of the tickets since they were checked
+      if ((await tx.trades.findTickets(account.id, readyTickets)).length > 0) return false;
+      for (const row of ready) {
+        await tx.trades.create(row.trade);
+      }
+      return true;
+    });
+    if (!saved) {
+      return res.status(409).json({ error: 'Trades from this file were imported at the same time; run the import again' });
+    }
+    for (const row of ready) {
+      await recordAudit(req, { action: 'trade.create', targetType: 'trade', targetId: row.trade.id, after: row.trade, context: { import: preset } });
+    }
+    // 200 when every row was a duplicate (or skipped), so clients can tell a no-op from an import
+    res.status(ready.length > 0 ? 201 : 200).json(report(ready.length));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: Add a comment by the signed-in user to a trade
+const addTradeComment = async (req, tradeId, body) => {
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const comment = await repos.comments.create({
+    id: generateId(),
+    trade_id: tradeId,
+    author_id: req.user.userId,
+    author_role: req.user.role,
+    body,
+    created_at: now,
+    updated_at: now,
+  });
+  await recordAudit(req, { action: 'comment.create', targetType: 'comment', targetId: comment.id, after: comment });
+  return comment;
+};
+
+// ==================== TRADES: Update ====================
+// Helper: Write a change to a trade and save the result as its next version (see trade-history.js);
+// call it with the repositories of a transaction. A trade without a history first gets the row before
+// the change as version 1. A student's change to a reviewed trade also marks the trade for the coach.
+// Nothing is versioned or marked when the row didn't change. Returns the updated trade.
+const updateTradeWithHistory = async (tx, req, { before, changes, action, restoredFrom = null, now }) => {
+  let after = await tx.trades.update(before.id, changes);
+  if (!audit.diffRows(before, after)) return after;
+
+  const afterReview = tradeHistory.isEditAfterReview(before, req.user);
+  if (afterReview && !before.edited_after_review_at) {
+    after = await tx.trades.update(before.id, { edited_after_review_at: now });
+  }
+
+  let count = await tx.tradeVersions.countForTrade(before.id);
+  if (count === 0) {
+    await tx.tradeVersions.create(tradeHistory.buildVersion({
+      id: generateId(),
+      trade: before,
+      version: 1,
+      action: 'original',
+      now: before.updated_at || before.created_at || now,
+    }));
+    count = 1;
+  }
+  await tx.tradeVersions.create(tradeHistory.buildVersion({
+    id: generateId(),
+    trade: after,
+    version: count + 1,
+    action,
+    actor: req.user,
+    afterReview,
+    restoredFrom,
+    now,
+  }));
+  return after;
+};
+
+// Fields that change the computed R multiples, pips result or P&L (the account sets the P&L currency)
+const TRADE_METRIC_INPUTS = [
+  'account_id',
+  'asset',
+  'direction',
+  'entry',
+  'sl',
+  'tp',
+  'exit',
+  'display_unit',
+  'planned_r',
+  'actual_r',
+  'quantity',
+  'commission',
+  'swap',
+  'fx_rate',
+];
+
+// Only the writable fields in schemas.updateTrade get through; reviewer/star/metric fields are set by the server
+app.patch('/api/trades/:id', verifyToken, validateRequest({ body: schemas.updateTrade, partial: true }), async (req, res) => {
+  const { id } = req.params;
+  const updates = req.body;
+
+  try {
+    // Check ownership (student) or assignment (coach)
+    const existing = await repos.trades.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+    if (req.user.role === 'student' && existing.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Cannot modify other trades' });
+    }
+    if (req.user.role === 'coach' && !(await canAccessStudent(req.user, existing.user_id))) {
+      return res.status(403).json({ error: 'Trade belongs to a student not assigned to you' });
+    }
+
+    // Status changes go through the review workflow
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const review = tradeReview.planStatusChange(existing, updates.status, req.user, now);
+    if (review.error) {
+      return res.status(review.httpStatus).json({ error: review.error });
+    }
+
+    const changes = { ...updates, ...review.changes };
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    if (TRADE_METRIC_INPUTS.some((field) => updates[field] !== undefined)) {
+      // Trades saved before the catalog may have an unlisted asset; that only matters when it changes
+      let instrument = instruments.resolveInstrument(await repos.instruments.list(), existing.asset);
+      if (updates.asset !== undefined) {
+        const resolved = await resolveTradeAsset(updates.asset);
+        if (resolved.errors) {
+          return res.status(400).json(validationError(resolved.errors));
+        }
+        instrument = resolved.instrument;
+        changes.asset = instrument.symbol;
+      }
+      if (updates.account_id !== undefined) {
+        const { account, errors: accountErrors } = await resolveTradeAccount(existing.user_id, updates.account_id);
+        if (accountErrors) {
+          return res.status(400).json(validationError(accountErrors));
+        }
+        changes.account_id = account.id;
+        changes.account_currency = account.currency;
+      }
+      Object.assign(changes, tradeMetrics.planMetrics(existing, changes, instrument));
+    }
+
+    // A broker ticket stays unique on its account, also when the trade moves to another account
+    const ticket = changes.broker_ticket !== undefined ? changes.broker_ticket : existing.broker_ticket;
+    const accountId = changes.account_id || existing.account_id;
+    if ((ticket !== existing.broker_ticket || accountId !== existing.account_id) && (await brokerTicketTaken(accountId, ticket))) {
+      return res.status(409).json({ error: `A trade with broker ticket ${ticket} is already on this account` });
+    }
+
+    const referenceCheck = await checkChartReferences(changes, req.user, existing);
+    if (referenceCheck.errors) {
+      return res.status(400).json(validationError(referenceCheck.errors));
+    }
+    const charts = await storeInlineCharts(changes, req.user.userId);
+    if (charts.errors) {
+      return res.status(400).json(validationError(charts.errors));
+    }
+    const replacedCharts = replacedChartReferences(existing, charts.fields);
+
+    // Coach feedback is also kept as a comment so it isn't lost on the next edit
+    if (['coach', 'admin'].includes(req.user.role) && updates.feedback && updates.feedback !== existing.feedback) {
+      await addTradeComment(req, id, updates.feedback);
+    }
+
+    const updated = await repos.transaction((tx) => updateTradeWithHistory(tx, req, {
+      before: existing,
+      changes: { ...charts.fields, updated_at: now },
+      action: 'update',
+      now,
+    }));
+    await removeChartFiles(await ownedChartFiles(replacedCharts, existing.user_id));
+    await recordAudit(req, { action: 'trade.update', targetType: 'trade', targetId: id, before: existing, after: updated });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Delete ====================
+app.delete('/api/trades/:id', verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // Check ownership
+    const existing = await repos.trades.findById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+    if (req.user.role === 'student' && existing.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Cannot delete other trades' });
+    }
+    if (req.user.role === 'coach' && !(await canAccessStudent(req.user, existing.user_id))) {
+      return res.status(403).json({ error: 'Trade belongs to a student not assigned to you' });
+    }
+
+    await repos.trades.delete(id);
+    await removeChartFiles(await ownedChartFiles([existing.chart_before_url, existing.chart_after_url], existing.user_id));
+    await recordAudit(req, { action: 'trade.delete', targetType: 'trade', targetId: id, before: existing });
+    res.json({ message: 'Trade deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Comments (threaded coach/student feedback) ====================
+// Helper: Load a trade and check the caller may see it.
+// Returns { trade } or { httpStatus, error }.
+const loadAccessibleTrade = async (req, tradeId) => {
+  const trade = await repos.trades.findById(tradeId);
+  if (!trade) {
+    return { httpStatus: 404, error: 'Trade not found' };
+  }
+  if (!(await canAccessStudent(req.user, trade.user_id))) {
+    return { httpStatus: 403, error: 'Cannot access this trade' };
+  }
+  return { trade };
+};
+
+app.get('/api/trades/:id/comments', verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+
+    const comments = await repos.comments.listForTrade(id);
+    res.json(comments.map(tradeReview.formatComment));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/trades/:id/comments', verifyToken, validateRequest({ body: schemas.comment }), async (req, res) => {
+  const { id } = req.params;
+  const { body } = req.body;
+
+  try {
+    const { error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    const comment = await addTradeComment(req, id, body);
+    res.status(201).json(tradeReview.formatComment(comment));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Only the author may edit a comment, on a trade they can still see
+app.patch('/api/trades/:id/comments/:commentId', verifyToken, validateRequest({ body: schemas.comment }), async (req, res) => {
+  const { id, commentId } = req.params;
+  const { body } = req.body;
+
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+  try {
+    const { error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    const comment = await repos.comments.findById(commentId);
+    if (!comment || comment.trade_id !== id) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.author_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the author can edit this comment' });
+    }
+
+    const updated = await repos.comments.update(commentId, { body, updated_at: now });
+    await recordAudit(req, { action: 'comment.update', targetType: 'comment', targetId: commentId, before: comment, after: updated });
+    res.json(tradeReview.formatComment(updated));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The author or an admin may delete a comment, on a trade they can still see
+app.delete('/api/trades/:id/comments/:commentId', verifyToken, async (req, res) => {
+  const { id, commentId } = req.params;
+
+  try {
+    const { error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    const comment = await repos.comments.findById(commentId);
+    if (!comment || comment.trade_id !== id) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.author_id !== req.user.userId && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the author or an admin can delete this comment' });
+    }
+
+    await repos.comments.delete(commentId);
+    await recordAudit(req, { action: 'comment.delete', targetType: 'comment', targetId: commentId, before: comment });
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Tags ====================
+// Anyone who can see the trade may tag it (owner, assigned coach, admin), with shared tags and the
+// owner's private ones
+app.get('/api/trades/:id/tags', verifyToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    const [trade] = await withTags([{ id }]);
+    res.json(trade.tags);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/trades/:id/tags', verifyToken, validateRequest({ body: schemas.setTradeTags }), async (req, res) => {
+  const { id } = req.params;
+  const { tag_ids: tagIds } = req.body;
+
+  try {
+    const { trade, error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+
+    // Someone else's private tags are reported as unknown, the same as ids that don't exist
+    const usable = new Set((await repos.tags.list({ ids: tagIds }))
+      .filter((tag) => tags.canApplyTag(tag, trade.user_id))
+      .map((tag) => tag.id));
+    const unknown = tagIds.filter((tagId) => !usable.has(tagId));
+    if (unknown.length > 0) {
+      return res.status(400).json(validationError([{ field: 'tag_ids', code: 'unknown', message: `Unknown tags: ${unknown.join(', ')}` }]));
+    }
+
+    const [untagged] = await withTags([{ id }]);
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    await repos.transaction((tx) => tx.tags.setForTrade(id, tagIds, now));
+    const [tagged] = await withTags([{ id }]);
+    const tagNames = (list) => list.map((tag) => tag.name);
+    await recordAudit(req, {
+      action: 'trade.update',
+      targetType: 'trade',
+      targetId: id,
+      before: { tags: tagNames(untagged.tags) },
+      after: { tags: tagNames(tagged.tags) },
+    });
+    res.json(tagged.tags);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Checklist (rules followed and adherence score) ====================
+// Helper: The rules a trade is checked against: the ones it was filled in with before, else the
+// current rules of its owner's group
+const checklistRulesForTrade = async (trade) => {
+  const items = await repos.tradeChecklists.listForTrades([trade.id]);
+  if (items.length === 0) return groupChecklistRules(trade.user_id);
+  return items.map(({ rule_id: id, label, position }) => ({ id, label, position }));
+};
+
+// Helper: A trade's checklist as { adherence_score, items }; a trade logged without one lists the
+// rules unticked, with a null score
+const tradeChecklist = async (trade) => {
+  const items = await repos.tradeChecklists.listForTrades([trade.id]);
+  if (items.length > 0) {
+    return { adherence_score: trade.adherence_score, items: items.map(({ trade_id: tradeId, ...item }) => item) };
+  }
+  const rules = await groupChecklistRules(trade.user_id);
+  return { adherence_score: null, items: rules.map((rule) => ({ rule_id: rule.id, label: rule.label, position: rule.position, checked: false })) };
+};
+
+app.get('/api/trades/:id/checklist', verifyToken, async (req, res) => {
+  try {
+    const { trade, error, httpStatus } = await loadAccessibleTrade(req, req.params.id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    res.json(await tradeChecklist(trade));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Only the student who took the trade fills in its checklist
+app.put('/api/trades/:id/checklist', verifyToken, validateRequest({ body: schemas.setTradeChecklist }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { trade, error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    if (trade.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the trade owner can fill in its checklist' });
+    }
+
+    const { checklist, errors } = fillChecklist(await checklistRulesForTrade(trade), req.body.checked_rules);
+    if (errors) {
+      return res.status(400).json(validationError(errors));
+    }
+
+    const before = await tradeChecklist(trade);
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const updated = await repos.transaction(async (tx) => {
+      await tx.tradeChecklists.setForTrade(id, checklist.items);
+      return updateTradeWithHistory(tx, req, {
+        before: trade,
+        changes: { adherence_score: checklist.score, updated_at: now },
+        action: 'checklist',
+        now,
+      });
+    });
+    const after = await tradeChecklist(updated);
+    // The rules followed, by label
+    const followed = ({ adherence_score: score, items }) => ({
+      adherence_score: score,
+      checked_rules: items.filter((item) => item.checked).map((item) => item.label),
+    });
+    await recordAudit(req, { action: 'trade.update', targetType: 'trade', targetId: id, before: followed(before), after: followed(after) });
+    res.json(after);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Star (keeps chart images past retention) ====================
+app.put('/api/trades/:id/star', verifyToken, validateRequest({ body: schemas.starTrade }), async (req, res) => {
+  if (!['coach', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Coach or admin only' });
+  }
+
+  const { id } = req.params;
+  const { starred } = req.body;
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+  try {
+    const { trade, error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    const updated = await repos.transaction((tx) => updateTradeWithHistory(tx, req, {
+      before: trade,
+      changes: { starred: starred ? 1 : 0, starred_by: starred ? req.user.userId : null, updated_at: now },
+      action: 'star',
+      now,
+    }));
+    await recordAudit(req, { action: 'trade.update', targetType: 'trade', targetId: id, before: trade, after: updated });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: Review (pending → reviewed / flagged) ====================
+app.post('/api/trades/:id/review', verifyToken, validateRequest({ body: schemas.reviewTrade }), async (req, res) => {
+  if (!['coach', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({ error: 'Coach or admin only' });
+  }
+
+  const { id } = req.params;
+  const { status, comment } = req.body;
+
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+  try {
+    const { trade, error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+
+    const review = tradeReview.planStatusChange(trade, status, req.user, now);
+    if (review.error) {
+      return res.status(review.httpStatus).json({ error: review.error });
+    }
+    // The same status again is only a review of the owner's edits since the last one
+    const reReview = status === (trade.status || 'pending') ? tradeReview.planReReview(trade, req.user, now) : null;
+    if (status === (trade.status || 'pending') && !reReview) {
+      return res.status(409).json({ error: `Trade is already ${status}` });
+    }
+
+    const changes = { ...review.changes, ...reReview, updated_at: now };
+    if (comment) {
+      await addTradeComment(req, id, comment);
+      changes.feedback = comment;
+    }
+
+    const updated = await repos.transaction((tx) => updateTradeWithHistory(tx, req, { before: trade, changes, action: 'review', now }));
+    await recordAudit(req, { action: 'trade.update', targetType: 'trade', targetId: id, before: trade, after: updated });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TRADES: History (versions, diffs and restore) ====================
+app.get('/api/trades/:id/history', verifyToken, async (req, res) => {
+  try {
+    const { trade, error, httpStatus } = await loadAccessibleTrade(req, req.params.id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+
+    const versions = await repos.tradeVersions.listForTrade(trade.id);
+    res.json({
+      trade_id: trade.id,
+      edited_after_review_at: trade.edited_after_review_at || null,
+      versions: tradeHistory.formatHistory(versions),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Puts back the trade fields of an earlier version (tradeHistory.RESTORED_COLUMNS) as a new version.
+// Whoever may edit the trade may restore it.
+app.post('/api/trades/:id/history/:version/restore', verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const number = Number(req.params.version);
+
+  try {
+    const { trade, error, httpStatus } = await loadAccessibleTrade(req, id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    const version = Number.isInteger(number) && number > 0 ? await repos.tradeVersions.findVersion(id, number) : null;
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const changes = tradeHistory.restoredFields(version.snapshot);
+    const current = Object.fromEntries(Object.keys(changes).map((column) => [column, trade[column]]));
+    if (!audit.diffRows(current, changes)) {
+      return res.status(409).json({ error: `Trade already matches version ${number}` });
+    }
+
+    // The account or broker ticket may have changed hands since
+    if (changes.account_id && changes.account_id !== trade.account_id) {
+      const { errors: accountErrors } = await resolveTradeAccount(trade.user_id, changes.account_id);
+      if (accountErrors) {
+        return res.status(409).json({ error: 'The account of that version no longer exists' });
+      }
+    }
+    if ((changes.broker_ticket !== trade.broker_ticket || changes.account_id !== trade.account_id)
+      && (await brokerTicketTaken(changes.account_id, changes.broker_ticket))) {
+      return res.status(409).json({ error: `A trade with broker ticket ${changes.broker_ticket} is already on this account` });
+    }
+
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const updated = await repos.transaction((tx) => updateTradeWithHistory(tx, req, {
+      before: trade,
+      changes: { ...changes, updated_at: now },
+      action: 'restore',
+      restoredFrom: number,
+      now,
+    }));
+    await recordAudit(req, {
+      action: 'trade.update',
+      targetType: 'trade',
+      targetId: id,
+      before: trade,
+      after: updated,
+      context: { restored_version: number },
+    });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== STATS: Trade analytics (win rate, avg R, PF, expectancy) ====================
+// Helper: Load the trades matching a scope + filters, oldest first.
+const loadScopedTrades = async (scope, filters) => {
+  await resolveAssetFilter(filters);
+  return repos.trades.list({ ...scope, filters, order: 'asc', summary: true });
+};
+
+const getTradeStats = async (req, res) => {
+  try {
+    const { scope, error: scopeError } = await resolveTradeScope(req, req.params.userId, null);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError });
+    }
+
+    const { filters, error: filterError } = analytics.parseTradeFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const trades = await loadScopedTrades(scope, filters);
+    res.json({ userId: scope.userId, filters, ...analytics.computeTradeStats(trades) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.get('/api/stats', verifyToken, validateRequest({ query: schemas.statsQuery }), getTradeStats);
+app.get('/api/stats/:userId', verifyToken, validateRequest({ query: schemas.statsQuery }), getTradeStats);
+
+// ==================== STATS: Account balance and equity curve ====================
+// Balance runs from an account's starting balance through the net P&L of its closed trades.
+// Without ?account_id the user's accounts are added together, which needs them to share a currency.
+// /api/balance returns the summary, /api/equity adds one point per closed trade.
+const getAccountLedger = (withPoints) => async (req, res) => {
+  try {
+    const { scope, error: scopeError } = await resolveTradeScope(req, req.params.userId, null);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError });
+    }
+    if (!scope.userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const user = await repos.users.findById(scope.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const accountId = req.query.account_id || null;
+    const accounts = (await repos.accounts.list({ userId: user.id }))
+      .filter((account) => !accountId || account.id === accountId);
+    if (accountId && accounts.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const currencies = [...new Set(accounts.map((account) => account.currency))];
+    if (currencies.length > 1) {
+      return res.status(400).json({ error: `Accounts use different currencies (${currencies.join(', ')}); pass account_id` });
+    }
+
+    const startingBalance = accounts.reduce((sum, account) => sum + Number(account.starting_balance), 0);
+    const trades = await repos.trades.list({ userId: user.id, accountId, order: 'asc', summary: true });
+    const { points, ...summary } = analytics.computeAccountLedger(trades, startingBalance);
+    res.json({
+      userId: user.id,
+      accountId,
+      accounts: accounts.map(({ id, name, type }) => ({ id, name, type })),
+      currency: currencies[0] || null,
+      ...summary,
+      ...(withPoints ? { points } : {}),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.get('/api/balance', verifyToken, validateRequest({ query: schemas.ledgerQuery }), getAccountLedger(false));
+app.get('/api/balance/:userId', verifyToken, validateRequest({ query: schemas.ledgerQuery }), getAccountLedger(false));
+app.get('/api/equity', verifyToken, validateRequest({ query: schemas.ledgerQuery }), getAccountLedger(true));
+app.get('/api/equity/:userId', verifyToken, validateRequest({ query: schemas.ledgerQuery }), getAccountLedger(true));
+
+// ==================== REPORTS: Account comparison (e.g. demo vs live) ====================
+// R stats and the balance summary side by side, per account or per account type.
+// Balances of a type are only added up when its accounts share a currency (otherwise ledger is null).
+const compareAccounts = async (req, res) => {
+  try {
+    const { scope, error: scopeError } = await resolveTradeScope(req, req.params.userId, null);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError });
+    }
+    if (!scope.userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const accounts = await repos.accounts.list({ userId: scope.userId });
+    const trades = await repos.trades.list({ userId: scope.userId, order: 'asc', summary: true });
+
+    const groups = req.query.by === 'type'
+      ? schemas.ACCOUNT_TYPES
+        .map((type) => ({ key: type, accounts: accounts.filter((account) => account.type === type) }))
+        .filter((group) => group.accounts.length > 0)
+      : accounts.map((account) => ({ key: account.id, accounts: [account] }));
+
+    const rows = groups.map((group) => {
+      const ids = new Set(group.accounts.map((account) => account.id));
+      const groupTrades = trades.filter((trade) => ids.has(trade.account_id));
+      const { equityCurve, ...stats } = analytics.computeTradeStats(groupTrades);
+      const currencies = [...new Set(group.accounts.map((account) => account.currency))];
+      let ledger = null;
+      if (currencies.length === 1) {
+        const startingBalance = group.accounts.reduce((sum, account) => sum + Number(account.starting_balance), 0);
+        const { points, ...summary } = analytics.computeAccountLedger(groupTrades, startingBalance);
+        ledger = { currency: currencies[0], ...summary };
+      }
+      return {
+        key: group.key,
+        accounts: group.accounts.map(({ id, name, broker, type, currency }) => ({ id, name, broker, type, currency })),
+        stats,
+        ledger,
+      };
+    });
+    res.json({ userId: scope.userId, by: req.query.by, rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.get('/api/reports/accounts', verifyToken, validateRequest({ query: schemas.compareAccountsQuery }), compareAccounts);
+app.get('/api/reports/accounts/:userId', verifyToken, validateRequest({ query: schemas.compareAccountsQuery }), compareAccounts);
+
+// ==================== REPORTS: Breakdown by strategy, emotion, asset, direction, weekday, tags ====================
+app.get('/api/reports/breakdown', verifyToken, validateRequest({ query: schemas.breakdownQuery }), async (req, res) => {
+  try {
+    const { scope, error: scopeError } = await resolveTradeScope(req, req.query.userId, req.query.group);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError });
+    }
+
+    const { dimensions, error: dimensionError } = analytics.parseBreakdownDimensions(req.query.by);
+    if (dimensionError) {
+      return res.status(400).json({ error: dimensionError });
+    }
+
+    const { filters, error: filterError } = analytics.parseTradeFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    let trades = await loadScopedTrades(scope, filters);
+    if (dimensions.some((dimension) => analytics.TAG_DIMENSIONS.includes(dimension))) {
+      trades = await withTags(trades);
+    }
+    const breakdowns = {};
+    dimensions.forEach((dimension) => {
+      breakdowns[dimension] = analytics.computeBreakdown(trades, dimension);
+    });
+    res.json({ scope, filters, totalTrades: trades.length, breakdowns });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== REPORTS: Checklist adherence vs. R over time ====================
+app.get('/api/reports/adherence', verifyToken, validateRequest({ query: schemas.adherenceReportQuery }), async (req, res) => {
+  try {
+    const { scope, error: scopeError } = await resolveTradeScope(req, req.query.userId, req.query.group);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError });
+    }
+
+    const { filters, error: filterError } = analytics.parseTradeFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const trades = await loadScopedTrades(scope, filters);
+    const scoredIds = trades.filter((t) => analytics.toNumber(t.adherence_score) !== null).map((t) => t.id);
+    const items = await repos.tradeChecklists.listForTrades(scoredIds);
+    res.json({
+      scope,
+      filters,
+      interval: req.query.interval,
+      totalTrades: trades.length,
+      ...analytics.computeAdherenceReport(trades, items, req.query.interval),
+      bands: analytics.computeBreakdown(trades, 'adherence'),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ACCOUNTS: Trading accounts (live, demo, prop) ====================
+// Helper: Load an account the caller may see (owner, assigned coach, admin).
+// Returns { account } or { httpStatus, error }.
+const findVisibleAccount = async (user, id) => {
+  const account = await repos.accounts.findById(id);
+  if (!account) {
+    return { httpStatus: 404, error: 'Account not found' };
+  }
+  if (user.role === 'student' && account.user_id !== user.userId) {
+    return { httpStatus: 403, error: 'Cannot view other accounts' };
+  }
+  if (user.role === 'coach' && !(await canAccessStudent(user, account.user_id))) {
+    return { httpStatus: 403, error: 'Account belongs to a student not assigned to you' };
+  }
+  return { account };
+};
+
+app.get('/api/accounts', verifyToken, validateRequest({ query: schemas.listAccountsQuery }), async (req, res) => {
+  const userId = req.user.role === 'student' ? req.user.userId : req.query.userId;
+  if (req.user.role === 'student' && req.query.userId && req.query.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'Cannot view other accounts' });
+  }
+  if (!userId) {
+    return res.status(400).json({ error: 'userId is required' });
+  }
+
+  try {
+    if (req.user.role === 'coach' && !(await canAccessStudent(req.user, userId))) {
+      return res.status(403).json({ error: 'Student is not assigned to you' });
+    }
+    res.json(await repos.accounts.list({ userId }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/accounts/:id', verifyToken, async (req, res) => {
+  try {
+    const { account, httpStatus, error } = await findVisibleAccount(req.user, req.params.id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    res.json(account);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Students open accounts for themselves, admins for anyone; coaches only read them
+app.post('/api/accounts', verifyToken, validateRequest({ body: schemas.createAccount }), async (req, res) => {
+  const { user_id: requestedUserId, ...fields } = req.body;
+  if (req.user.role === 'coach') {
+    return res.status(403).json({ error: 'Coaches cannot open accounts' });
+  }
+  if (req.user.role === 'student' && requestedUserId && requestedUserId !== req.user.userId) {
+    return res.status(403).json({ error: 'Cannot open accounts for other users' });
+  }
+
+  try {
+    const userId = (req.user.role === 'admin' && requestedUserId) || req.user.userId;
+    if (!(await repos.users.findById(userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const account = await repos.accounts.create({
+      id: generateId(),
+      user_id: userId,
+      broker: null,
+      ...fields,
+      currency: fields.currency.toUpperCase(),
+      created_at: now,
+      updated_at: now,
+    });
+    res.status(201).json(account);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Owner or admin. The currency is locked once trades are booked in it (their P&L is stored in it).
+app.patch('/api/accounts/:id', verifyToken, validateRequest({ body: schemas.updateAccount, partial: true }), async (req, res) => {
+  const changes = { ...req.body };
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const existing = await repos.accounts.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (req.user.role !== 'admin' && existing.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Cannot modify other accounts' });
+    }
+
+    if (changes.currency !== undefined) {
+      changes.currency = changes.currency.toUpperCase();
+      if (changes.currency !== existing.currency && (await repos.trades.count({ accountId: existing.id })) > 0) {
+        return res.status(409).json({ error: 'Cannot change the currency of an account with trades' });
+      }
+    }
+
+    changes.updated_at = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    res.json(await repos.accounts.update(existing.id, changes));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Owner or admin; move or delete the account's trades first
+app.delete('/api/accounts/:id', verifyToken, async (req, res) => {
+  try {
+    const existing = await repos.accounts.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    if (req.user.role !== 'admin' && existing.user_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Cannot delete other accounts' });
+    }
+
+    const tradeCount = await repos.trades.count({ accountId: existing.id });
+    if (tradeCount > 0) {
+      return res.status(409).json({ error: `Account has ${tradeCount} trades; move or delete them first` });
+    }
+
+    await repos.accounts.delete(existing.id);
+    res.json({ message: 'Account deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TAGS: Shared (coach/admin) and private (student) trade tags ====================
+// Helper: Load a tag the caller may see: shared tags are visible to everyone, private ones to their
+// owner, the owner's coaches and admins. Returns { tag } or { httpStatus, error }.
+const findVisibleTag = async (user, id) => {
+  const tag = await repos.tags.findById(id);
+  if (!tag) {
+    return { httpStatus: 404, error: 'Tag not found' };
+  }
+  if (tag.user_id && !(await canAccessStudent(user, tag.user_id))) {
+    return { httpStatus: 403, error: 'Cannot view this tag' };
+  }
+  return { tag };
+};
+
+// Shared tags plus the student's own private ones; coaches and admins may add ?userId= for a student's
+app.get('/api/tags', verifyToken, validateRequest({ query: schemas.listTagsQuery }), async (req, res) => {
+  const userId = req.user.role === 'student' ? req.user.userId : req.query.userId;
+  if (req.user.role === 'student' && req.query.userId && req.query.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'Cannot view private tags of other users' });
+  }
+
+  try {
+    if (req.user.role === 'coach' && userId && !(await canAccessStudent(req.user, userId))) {
+      return res.status(403).json({ error: 'Student is not assigned to you' });
+    }
+    res.json(await repos.tags.list({ userId, category: req.query.category }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tags/:id', verifyToken, async (req, res) => {
+  try {
+    const { tag, httpStatus, error } = await findVisibleTag(req.user, req.params.id);
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+    res.json(tag);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/tags', verifyToken, validateRequest({ body: schemas.createTag }), async (req, res) => {
+  const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+  const tag = {
+    id: generateId(),
+    name: tags.normalizeTagName(req.body.name),
+    category: req.body.category,
+    user_id: req.user.role === 'student' ? req.user.userId : null,
+    created_by: req.user.userId,
+    created_at: now,
+    updated_at: now,
+  };
+
+  try {
+    const conflict = tags.findNameConflict(await repos.tags.list({ userId: tag.user_id }), tag);
+    if (conflict) {
+      return res.status(409).json({ error: `Tag "${conflict.name}" already exists` });
+    }
+    res.status(201).json(await repos.tags.create(tag));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creator (shared) or owner (private), and admins
+app.patch('/api/tags/:id', verifyToken, validateRequest({ body: schemas.updateTag, partial: true }), async (req, res) => {
+  const changes = { ...req.body };
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const existing = await repos.tags.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    if (!tags.canManageTag(req.user, existing)) {
+      return res.status(403).json({ error: 'Cannot modify this tag' });
+    }
+
+    if (changes.name !== undefined) {
+      changes.name = tags.normalizeTagName(changes.name);
+      const conflict = tags.findNameConflict(await repos.tags.list({ userId: existing.user_id }), { ...existing, ...changes });
+      if (conflict) {
+        return res.status(409).json({ error: `Tag "${conflict.name}" already exists` });
       }
+    }
+
+    changes.updated_at = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    res.json(await repos.tags.update(existing.id, changes));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Also takes the tag off every trade
+app.delete('/api/tags/:id', verifyToken, async (req, res) => {
+  try {
+    const existing = await repos.tags.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+    if (!tags.canManageTag(req.user, existing)) {
+      return res.status(403).json({ error: 'Cannot delete this tag' });
+    }
+
+    await repos.tags.delete(existing.id);
+    res.json({ message: 'Tag deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Add ordering
-      if (orderCol) {
-        base += ` ORDER BY ${orderCol} DESC`;
-      }
+// ==================== CHECKLISTS: Pre-trade rules per student group ====================
+// Helper: Admins edit any group's checklist, coaches those of the groups assigned to them
+const canManageChecklist = async (user, groupName) => {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'coach') return false;
+  return repos.coachAssignments.exists({ coachId: user.userId, studentId: null, groupName });
+};
 
-      // Backward compatible: if no pagination params, return all trades as array
-      if (!usePagination) {
-        const [trades] = await connection.query(base, params);
-        return res.json(trades);
-      }
+// Students get their own group's checklist; coaches that of ?group= or of all their groups
+app.get('/api/checklist-rules', verifyToken, validateRequest({ query: schemas.listChecklistRulesQuery }), async (req, res) => {
+  const { group, include_archived: includeArchived } = req.query;
 
-      // With pagination: get count and paginated results
-      let countBase = 'SELECT COUNT(*) as total FROM trades';
-      const countParams = [];
-      
-      if (req.user.role === 'student') {
-        countParams.push(req.user.userId);
-      }
-      if (status) {
-        countParams.push(status);
+  try {
+    let groups;
+    if (req.user.role === 'student') {
+      const user = await repos.users.findById(req.user.userId);
+      const ownGroup = user ? user.group_name : null;
+      if (group && group !== ownGroup) {
+        return res.status(403).json({ error: 'Cannot view the checklist of another group' });
       }
-      
-      if (conditions.length > 0) {
-        countBase += ` WHERE ${conditions.join(' AND ')}`;
+      groups = ownGroup ? [ownGroup] : [];
+    } else if (group) {
+      if (!(await canManageChecklist(req.user, group))) {
+        return res.status(403).json({ error: 'Group is not assigned to you' });
       }
+      groups = [group];
+    } else if (req.user.role === 'coach') {
+      groups = (await repos.coachAssignments.list(req.user.userId)).map((a) => a.group_name).filter(Boolean);
+    }
+    res.json(await repos.checklistRules.list({ groups, includeArchived }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const [countResult] = await connection.query(countBase, countParams);
-      const total = countResult[0].total;
-
-      // Add pagination
-      base += ` LIMIT ? OFFSET ?`;
-      params.push(limit, offset);
-
-      const [trades] = await connection.query(base, params);
-      
-      res.json({
-        trades,
-        pagination: {
-          page,
-          limit,
-          total,
-          totalPages: Math.ceil(total / limit)
-        }
-      });
-    } finally {
-      connection.release();
+app.post('/api/checklist-rules', verifyToken, validateRequest({ body: schemas.createChecklistRule }), async (req, res) => {
+  const { group_name: groupName, label, position } = req.body;
+
+  try {
+    if (!(await canManageChecklist(req.user, groupName))) {
+      return res.status(403).json({ error: 'Cannot edit the checklist of this group' });
     }
+
+    const rules = await repos.checklistRules.list({ groups: [groupName] });
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const rule = await repos.checklistRules.create({
+      id: generateId(),
+      group_name: groupName,
+      label,
+      position: position ?? (rules.length > 0 ? rules[rules.length - 1].position + 1 : 1),
+      created_by: req.user.userId,
+      created_at: now,
+      updated_at: now,
+      archived_at: null,
+    });
+    res.status(201).json(rule);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== TRADES: Create ====================
-app.post('/api/trades', verifyToken, async (req, res) => {
-  if (req.user.role !== 'student') {
-    return res.status(403).json({ error: 'Students only' });
+// Trades already checked against the rule keep the label they were filled in with
+app.patch('/api/checklist-rules/:id', verifyToken, validateRequest({ body: schemas.updateChecklistRule, partial: true }), async (req, res) => {
+  const changes = { ...req.body };
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const existing = await repos.checklistRules.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Checklist rule not found' });
+    }
+    if (!(await canManageChecklist(req.user, existing.group_name))) {
+      return res.status(403).json({ error: 'Cannot edit the checklist of this group' });
+    }
+
+    changes.updated_at = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    res.json(await repos.checklistRules.update(existing.id, changes));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Archives the rule: new trades no longer get it, past trades keep it
+app.delete('/api/checklist-rules/:id', verifyToken, async (req, res) => {
+  try {
+    const existing = await repos.checklistRules.findById(req.params.id);
+    if (!existing || existing.archived_at) {
+      return res.status(404).json({ error: 'Checklist rule not found' });
+    }
+    if (!(await canManageChecklist(req.user, existing.group_name))) {
+      return res.status(403).json({ error: 'Cannot edit the checklist of this group' });
+    }
+
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    await repos.checklistRules.update(existing.id, { archived_at: now, updated_at: now });
+    res.json({ message: 'Checklist rule archived' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const {
-    asset,
-    direction,
-    entry,
-    sl,
-    tp,
-    exit: exitPrice,
-    status,
-    strategy,
-    emotion,
-    reviewed_by,
-  } = req.body;
+// ==================== INSTRUMENTS: Catalog (everyone reads, admins edit) ====================
+// Helper: Normalize an instrument from a create/update body and check its symbol and aliases are free.
+// Returns { instrument } or { httpStatus, error }.
+const prepareInstrument = async (instrument) => {
+  const prepared = {
+    ...instrument,
+    symbol: instruments.normalizeSymbol(instrument.symbol),
+    aliases: (instrument.aliases || []).map((alias) => alias.toUpperCase()),
+    quote_currency: instrument.quote_currency.toUpperCase(),
+    tick_size: instrument.tick_size ?? instrument.pip_size,
+  };
+  if (!prepared.symbol) {
+    return { httpStatus: 400, error: 'symbol must contain letters or digits' };
+  }
 
-  // Accept both snake_case and camelCase from frontend
-  const planned_r = req.body.planned_r ?? req.body.plannedR ?? null;
-  const actual_r = req.body.actual_r ?? req.body.actualR ?? null;
-  const display_unit = req.body.display_unit ?? req.body.displayUnit ?? 'pips';
-  const chart_before_url = req.body.chart_before_url ?? req.body.chartBeforeUrl ?? null;
-  const chart_after_url = req.body.chart_after_url ?? req.body.chartAfterUrl ?? null;
+  const taken = instruments.conflictingNames(await repos.instruments.list(), prepared);
+  if (taken.length > 0) {
+    return { httpStatus: 409, error: `Already used by another instrument: ${taken.join(', ')}` };
+  }
+  return { instrument: prepared };
+};
 
-  if (!asset || !direction || !entry || !sl) {
-    return res.status(400).json({ error: 'Missing required fields' });
+app.get('/api/instruments', verifyToken, validateRequest({ query: schemas.listInstrumentsQuery }), async (req, res) => {
+  try {
+    res.json(await repos.instruments.list({ assetClass: req.query.asset_class }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  if (USE_MOCK_DB) {
-    // Mock mode
-    try {
-      const trade = await mockDb.createTrade({
-        userId: req.user.userId,
-        asset,
-        direction,
-        entry,
-        sl,
-        tp: tp || null,
-        exit: exitPrice || null,
-        status: status || 'pending',
-        strategy: strategy || null,
-        emotion: emotion || null,
-        plannedR: planned_r,
-        actualR: actual_r,
-        displayUnit: display_unit,
-        chartBeforeUrl: chart_before_url,
-        chartAfterUrl: chart_after_url,
-        reviewedBy: reviewed_by || null
-      });
-      return res.status(201).json(trade);
-    } catch (error) {
-      return res.status(500).json({ error: error.message });
+app.get('/api/instruments/:id', verifyToken, async (req, res) => {
+  try {
+    const instrument = await repos.instruments.findById(req.params.id);
+    if (!instrument) {
+      return res.status(404).json({ error: 'Instrument not found' });
     }
+    res.json(instrument);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/instruments', verifyToken, validateRequest({ body: schemas.createInstrument }), async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
   }
 
-  // Real DB mode
-  const connection = await pool.getConnection();
   try {
-    const tradeId = generateId();
+    const { instrument, httpStatus, error } = await prepareInstrument({ description: null, ...req.body });
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+
     const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const created = await repos.instruments.create({ id: generateId(), ...instrument, created_at: now, updated_at: now });
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    try {
-      await connection.query(
-        `INSERT INTO trades (id, user_id, asset, direction, entry, sl, tp, \`exit\`, status, strategy, emotion, planned_r, actual_r, display_unit, chart_before_url, chart_after_url, reviewed_by, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          tradeId,
-          req.user.userId,
-          asset,
-          direction,
-          entry,
-          sl,
-          tp || null,
-          exitPrice || null,
-          status || 'pending',
-          strategy || null,
-          emotion || null,
-          planned_r,
-          actual_r,
-          display_unit,
-          chart_before_url,
-          chart_after_url,
-          reviewed_by || null,
-          now,
-          now,
-        ]
-      );
-    } catch (err) {
-      // Backward compatibility if reviewed_by column is missing
-      if (err.code === 'ER_BAD_FIELD_ERROR') {
-        await connection.query(
-          `INSERT INTO trades (id, user_id, asset, direction, entry, sl, tp, \`exit\`, status, strategy, emotion, planned_r, actual_r, display_unit, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            tradeId,
-            req.user.userId,
-            asset,
-            direction,
-            entry,
-            sl,
-            tp || null,
-            exitPrice || null,
-            status || 'pending',
-            strategy || null,
-            emotion || null,
-            planned_r,
-            actual_r,
-            display_unit,
-            now,
-            now,
-          ]
-        );
-      } else {
-        throw err;
-      }
+// Renaming the symbol moves the trades that use it along, each saved as a new version of the trade
+app.patch('/api/instruments/:id', verifyToken, validateRequest({ body: schemas.updateInstrument, partial: true }), async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  try {
+    const existing = await repos.instruments.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Instrument not found' });
     }
 
-    // Return full trade object with id
-    res.status(201).json({
-      id: tradeId,
-      user_id: req.user.userId,
-      asset,
-      direction,
-      entry,
-      sl,
-      tp: tp || null,
-      exit: exitPrice || null,
-      status: status || 'pending',
-      strategy: strategy || null,
-      emotion: emotion || null,
-      planned_r,
-      actual_r,
-      display_unit,
-      chart_before_url,
-      chart_after_url,
-      reviewed_by: reviewed_by || null,
-      created_at: now,
-      updated_at: now,
+    const { instrument, httpStatus, error } = await prepareInstrument({ ...existing, ...req.body });
+    if (error) {
+      return res.status(httpStatus).json({ error });
+    }
+
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    const { updated, moved } = await repos.transaction(async (tx) => {
+      const trades = instrument.symbol !== existing.symbol
+        ? await tx.trades.list({ filters: analytics.parseTradeFilters({ asset: existing.symbol }).filters })
+        : [];
+      const movedTrades = [];
+      for (const trade of trades) {
+        const after = await updateTradeWithHistory(tx, req, {
+          before: trade,
+          changes: { asset: instrument.symbol, updated_at: now },
+          action: 'rename',
+          now,
+        });
+        movedTrades.push({ before: trade, after });
+      }
+      const row = await tx.instruments.update(existing.id, { ...instrument, created_at: existing.created_at, updated_at: now });
+      return { updated: row, moved: movedTrades };
     });
+    for (const { before, after } of moved) {
+      await recordAudit(req, {
+        action: 'trade.update',
+        targetType: 'trade',
+        targetId: after.id,
+        before,
+        after,
+        context: { instrument_id: existing.id },
+      });
+    }
+    res.json(updated);
   } catch (error) {
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
-// ==================== TRADES: Update ====================
-app.patch('/api/trades/:id', verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const updates = req.body;
+// Instruments that trades use can't be deleted (rename or alias them instead)
+app.delete('/api/instruments/:id', verifyToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
 
-  if (USE_MOCK_DB) {
-    // Mock mode
-    try {
-      const existing = await mockDb.getTradeById(id);
-      if (!existing) {
-        return res.status(404).json({ error: 'Trade not found' });
-      }
-      if (req.user.role === 'student' && existing.userId !== req.user.userId) {
-        return res.status(403).json({ error: 'Cannot modify other trades' });
-      }
-      const updated = await mockDb.updateTrade(id, updates);
-      return res.json(updated);
-    } catch (error) {
-      return res.status(500).json({ error: error.message });
+  try {
+    const instrument = await repos.instruments.findById(req.params.id);
+    if (!instrument) {
+      return res.status(404).json({ error: 'Instrument not found' });
+    }
+    const used = await repos.trades.count({ filters: { asset: instrument.symbol } });
+    if (used > 0) {
+      return res.status(409).json({ error: `Instrument is used by ${used} trade(s)` });
     }
+
+    await repos.instruments.delete(instrument.id);
+    res.json({ message: 'Instrument deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ADMIN: Coach assignments (coach → student or group) ====================
+app.get('/api/admin/coach-assignments', verifyToken, validateRequest({ query: schemas.listCoachAssignmentsQuery }), async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
   }
 
-  // Real DB mode
-  const connection = await pool.getConnection();
   try {
-    // Check ownership (student) or admin
-    const [trades] = await connection.query('SELECT user_id FROM trades WHERE id = ?', [id]);
-    if (trades.length === 0) {
-      return res.status(404).json({ error: 'Trade not found' });
-    }
+    res.json(await repos.coachAssignments.list(req.query.coachId || null));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (req.user.role === 'student' && trades[0].user_id !== req.user.userId) {
-      return res.status(403).json({ error: 'Cannot modify other trades' });
+app.post('/api/admin/coach-assignments', verifyToken, validateRequest({ body: schemas.createCoachAssignment }), async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  const coachId = req.body.coach_id;
+  const studentId = req.body.student_id ?? null;
+  const groupName = req.body.group_name ?? null;
+
+  if (Boolean(studentId) === Boolean(groupName)) {
+    return res.status(400).json(validationError([
+      { field: 'student_id', code: 'exclusive', message: 'Exactly one of studentId or groupName is required' },
+    ]));
+  }
+
+  try {
+    const coach = await repos.users.findById(coachId);
+    if (!coach || coach.role !== 'coach') {
+      return res.status(400).json({ error: 'Coach not found' });
+    }
+    if (studentId) {
+      const student = await repos.users.findById(studentId);
+      if (!student || student.role !== 'student') {
+        return res.status(400).json({ error: 'Student not found' });
+      }
     }
 
-    const columnMap = {
-      userId: 'user_id',
-      createdAt: 'created_at',
-      updatedAt: 'updated_at',
-      plannedR: 'planned_r',
-      actualR: 'actual_r',
-      displayUnit: 'display_unit',
-      exit: '`exit`', // reserved keyword
-      date: 'created_at',
-      reviewedBy: 'reviewed_by',
-      chartBeforeUrl: 'chart_before_url',
-      chartAfterUrl: 'chart_after_url',
-    };
+    if (await repos.coachAssignments.exists({ coachId, studentId, groupName })) {
+      return res.status(409).json({ error: 'Assignment already exists' });
+    }
 
-    // Filter out fields that shouldn't be updated by client
-    const blockedFields = ['createdAt', 'created_at', 'updatedAt', 'updated_at', 'userId', 'user_id', 'id', 'date'];
-    const filteredUpdates = Object.entries(updates)
-      .filter(([key]) => !blockedFields.includes(key))
-      .reduce((acc, [key, value]) => {
-        acc[key] = value;
-        return acc;
-      }, {});
-
-    let entries = Object.entries(filteredUpdates).map(([key, value]) => {
-      const mapped = columnMap[key] || key;
-      return { column: mapped, value, originalKey: key };
+    const assignment = await repos.coachAssignments.create({
+      id: generateId(),
+      coach_id: coachId,
+      student_id: studentId,
+      group_name: groupName,
+      created_by: req.user.userId,
+      created_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
     });
+    res.status(201).json(assignment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (entries.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
+app.delete('/api/admin/coach-assignments/:id', verifyToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  try {
+    if (!(await repos.coachAssignments.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Assignment not found' });
     }
+    res.json({ message: 'Assignment deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const setClause = entries.map((e) => `${e.column} = ?`).join(', ');
-    const values = entries.map((e) => e.value);
+// ==================== ADMIN: Image retention policies ====================
+// Helper: 'YYYY-MM-DD HH:MM:SS' cutoff for a retention period (null = keep forever → nothing is old)
+const retentionCutoff = (days) => (days === null
+  ? '0000-00-00 00:00:00'
+  : new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' '));
+
+// The cleanup changes trades as the system, not as a user (also when an admin starts it): their
+// versions and audit entries have no user and the role 'system'
+const RETENTION_REQUEST = { user: { userId: null, role: 'system' }, ip: null };
+
+// Helper: Work out (and unless dryRun, purge) chart images past their retention period.
+// Real runs are recorded in image_cleanup_runs; each trade cleared gets a version and an audit entry.
+const runImageCleanup = async ({ dryRun = false, trigger = 'manual', triggeredBy = null } = {}) => {
+  const startedAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+  const recordRun = (run) => repos.cleanupRuns.create({
+    id: generateId(),
+    trigger,
+    triggered_by: triggeredBy,
+    status: run.status,
+    trades_affected: run.trades_affected,
+    images_deleted: run.images_deleted,
+    bytes_freed: run.bytes_freed,
+    error: run.error || null,
+    started_at: startedAt,
+    finished_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
+  });
 
-    try {
-      await connection.query(`UPDATE trades SET ${setClause}, updated_at = ? WHERE id = ?`, [
-        ...values,
-        new Date().toISOString().slice(0, 19).replace('T', ' '),
-        id,
-      ]);
-    } catch (err) {
-      if (err.code === 'ER_BAD_FIELD_ERROR') {
-        // drop fields that may not exist yet (reviewed_by, chart urls)
-        // Note: feedback column should exist after running database-optimization.sql
-        const filtered = entries.filter(
-          (e) => !['reviewedBy', 'reviewed_by', 'chartBeforeUrl', 'chart_before_url', 'chartAfterUrl', 'chart_after_url'].includes(e.originalKey) &&
-                 !['reviewed_by', 'chart_before_url', 'chart_after_url'].includes(e.column)
-        );
-        const clause = filtered.map((e) => `${e.column} = ?`).join(', ');
-        const vals = filtered.map((e) => e.value);
-        if (clause.length === 0) return res.status(400).json({ error: 'No fields to update' });
-        await connection.query(`UPDATE trades SET ${clause}, updated_at = ? WHERE id = ?`, [
-          ...vals,
-          new Date().toISOString().slice(0, 19).replace('T', ' '),
-          id,
-        ]);
-      } else {
-        throw err;
+  try {
+    const policies = await repos.retentionPolicies.list();
+    const trades = await repos.trades.chartUsage();
+    const users = await repos.users.list();
+    const usersById = new Map(users.map((u) => [u.id, { id: u.id, role: u.role }]));
+
+    const candidates = retention.findPurgeCandidates(trades, usersById, policies);
+    const summary = {
+      dryRun,
+      tradesAffected: candidates.length,
+      imagesDeleted: candidates.reduce((sum, c) => sum + c.trade.images, 0),
+      bytesFreed: candidates.reduce((sum, c) => sum + c.trade.bytes, 0),
+      trades: candidates.map((c) => ({
+        tradeId: c.trade.id,
+        userId: c.userId,
+        createdAt: c.createdAt,
+        retentionDays: c.retentionDays,
+        images: c.trade.images,
+        bytes: c.trade.bytes,
+      })),
+    };
+    if (dryRun) return summary;
+
+    const now = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    for (const { trade, retentionDays } of candidates) {
+      const cleared = await repos.transaction(async (tx) => {
+        const before = await tx.trades.findById(trade.id);
+        if (!before) return null;
+        const after = await updateTradeWithHistory(tx, RETENTION_REQUEST, {
+          before,
+          changes: { chart_before_url: null, chart_after_url: null, updated_at: now },
+          action: 'retention',
+          now,
+        });
+        return { before, after };
+      });
+      if (cleared) {
+        await recordAudit(RETENTION_REQUEST, {
+          action: 'trade.update',
+          targetType: 'trade',
+          targetId: trade.id,
+          before: cleared.before,
+          after: cleared.after,
+          context: { retention_days: retentionDays, trigger, triggered_by: triggeredBy },
+        });
       }
+      await removeChartFiles(await ownedChartFiles([trade.chart_before_ref, trade.chart_after_ref], trade.user_id));
+    }
+
+    const run = await recordRun({
+      status: 'success',
+      trades_affected: summary.tradesAffected,
+      images_deleted: summary.imagesDeleted,
+      bytes_freed: summary.bytesFreed,
+    });
+    return { ...summary, runId: run.id };
+  } catch (error) {
+    if (!dryRun) {
+      await recordRun({ status: 'failed', trades_affected: 0, images_deleted: 0, bytes_freed: 0, error: error.message })
+        .catch((recordError) => console.error('❌ Could not record cleanup run:', recordError.message));
     }
+    throw error;
+  }
+};
+
+app.get('/api/admin/retention/policies', verifyToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
 
-    res.json({ message: 'Trade updated' });
+  try {
+    const policies = await repos.retentionPolicies.list();
+    res.json({
+      defaultRetentionDays: retention.DEFAULT_RETENTION_DAYS,
+      effectiveGlobalRetentionDays: retention.resolveRetentionDays(null, policies),
+      policies,
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
-// ==================== TRADES: Delete ====================
-app.delete('/api/trades/:id', verifyToken, async (req, res) => {
-  const { id } = req.params;
+// Create or replace the policy for a scope (global, role or user)
+app.put('/api/admin/retention/policies', verifyToken, validateRequest({ body: schemas.retentionPolicy }), async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
 
-  if (USE_MOCK_DB) {
-    // Mock mode
-    try {
-      const existing = await mockDb.getTradeById(id);
-      if (!existing) {
-        return res.status(404).json({ error: 'Trade not found' });
-      }
-      if (req.user.role === 'student' && existing.userId !== req.user.userId) {
-        return res.status(403).json({ error: 'Cannot delete other trades' });
-      }
-      await mockDb.deleteTrade(id);
-      return res.json({ message: 'Trade deleted' });
-    } catch (error) {
-      return res.status(500).json({ error: error.message });
-    }
+  const { policy, error: policyError } = retention.parsePolicy(req.body);
+  if (policyError) {
+    return res.status(400).json({ error: policyError });
   }
 
-  // Real DB mode
-  const connection = await pool.getConnection();
   try {
-    // Check ownership
-    const [trades] = await connection.query('SELECT user_id FROM trades WHERE id = ?', [id]);
-    if (trades.length === 0) {
-      return res.status(404).json({ error: 'Trade not found' });
+    if (policy.scope === 'user' && !(await repos.users.findById(policy.scope_value))) {
+      return res.status(400).json({ error: 'User not found' });
     }
 
-    if (req.user.role === 'student' && trades[0].user_id !== req.user.userId) {
-      return res.status(403).json({ error: 'Cannot delete other trades' });
+    const saved = await repos.retentionPolicies.upsert({
+      id: generateId(),
+      ...policy,
+      updated_by: req.user.userId,
+      updated_at: new Date().toISOString().slice(0, 19).replace('T', ' '),
+    });
+    res.json(saved);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/retention/policies/:id', verifyToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  try {
+    if (!(await repos.retentionPolicies.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Policy not found' });
     }
+    res.json({ message: 'Policy deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await connection.query('DELETE FROM trades WHERE id = ?', [id]);
-    res.json({ message: 'Trade deleted' });
+// Dry run: what the next cleanup would purge
+app.get('/api/admin/retention/preview', verifyToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  try {
+    res.json(await runImageCleanup({ dryRun: true }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the cleanup now (same job as the cron)
+app.post('/api/admin/retention/run', verifyToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  try {
+    res.json(await runImageCleanup({ trigger: 'manual', triggeredBy: req.user.userId }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// History of cleanup runs, newest first
+app.get('/api/admin/retention/runs', verifyToken, validateRequest({ query: schemas.listCleanupRunsQuery }), async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  const limit = req.query.limit || 50;
+
+  try {
+    res.json(await repos.cleanupRuns.list(limit));
   } catch (error) {
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
@@ -1017,92 +2861,79 @@ app.get('/api/admin/storage-stats', verifyToken, async (req, res) => {
     return res.status(403).json({ error: 'Admin only' });
   }
 
-  if (USE_MOCK_DB) {
-    return res.json({
-      totalImages: 0,
-      totalSizeMB: 0,
-      imagesWithData: 0,
-      message: 'Mock mode - no storage tracking'
+  const toMB = (bytes) => parseFloat(((bytes || 0) / 1024 / 1024).toFixed(2));
+
+  try {
+    const retentionDays = retention.resolveRetentionDays(null, await repos.retentionPolicies.list());
+
+    // Legacy base64 images are still measured inline, stored files come from the index
+    const stats = await repos.trades.chartStats(retentionCutoff(retentionDays));
+    const files = await repos.storedFiles.stats();
+
+    res.json({
+      totalTrades: stats.totalTrades,
+      totalImages: stats.planImages + stats.resultImages,
+      planImages: stats.planImages,
+      resultImages: stats.resultImages,
+      totalSizeMB: toMB(stats.inlineBytes + files.storedBytes),
+      inlineImages: stats.inlineImages,
+      inlineSizeMB: toMB(stats.inlineBytes),
+      storedFiles: files.storedFiles,
+      storedSizeMB: toMB(files.storedBytes),
+      storageDriver: storage.driverName(),
+      recentTrades: stats.recentTrades,
+      oldTrades: stats.oldTrades,
+      retentionDays
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
+
+// ==================== ADMIN: Audit log (user/trade/comment changes, logins) ====================
+app.get('/api/admin/audit', verifyToken, validateRequest({ query: schemas.listAuditQuery }), async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin only' });
+  }
+
+  const query = {
+    actorId: req.query.actor_id,
+    action: req.query.action,
+    targetType: req.query.target_type,
+    targetId: req.query.target_id,
+    from: analytics.parseDateParam(req.query.from, false),
+    to: analytics.parseDateParam(req.query.to, true),
+  };
 
-  const connection = await pool.getConnection();
   try {
-    // Count images and calculate total size
-    const [stats] = await connection.query(`
-      SELECT 
-        COUNT(*) as totalTrades,
-        SUM(CASE WHEN chart_before_url IS NOT NULL AND chart_before_url != '' THEN 1 ELSE 0 END) as planImages,
-        SUM(CASE WHEN chart_after_url IS NOT NULL AND chart_after_url != '' THEN 1 ELSE 0 END) as resultImages,
-        SUM(
-          LENGTH(COALESCE(chart_before_url, '')) + 
-          LENGTH(COALESCE(chart_after_url, ''))
-        ) / 1024 / 1024 as totalSizeMB,
-        COUNT(CASE WHEN created_at > DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 END) as recentTrades,
-        COUNT(CASE WHEN created_at <= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 END) as oldTrades
-      FROM trades
-    `);
-
-    const result = stats[0];
-    const totalImages = (result.planImages || 0) + (result.resultImages || 0);
-    
-    res.json({
-      totalTrades: result.totalTrades || 0,
-      totalImages,
-      planImages: result.planImages || 0,
-      resultImages: result.resultImages || 0,
-      totalSizeMB: parseFloat((result.totalSizeMB || 0).toFixed(2)),
-      recentTrades: result.recentTrades || 0,
-      oldTrades: result.oldTrades || 0,
-      retentionDays: 7
+    await sendCursorPage(req, res, {
+      list: (options) => repos.auditLog.list({ ...query, ...options }),
+      count: () => repos.auditLog.count(query),
+      sort: 'created_at',
+      order: 'desc',
+      sortColumns: ['created_at'],
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
-  } finally {
-    connection.release();
   }
 });
 
 // ==================== CRON JOB: Auto-delete old images ====================
-if (!USE_MOCK_DB && pool) {
-  // Run every day at 3:00 AM (server timezone)
-  cron.schedule('0 3 * * *', async () => {
+const IMAGE_CLEANUP_SCHEDULE = process.env.IMAGE_CLEANUP_CRON || '0 3 * * *';
+
+const scheduleImageCleanup = () => {
+  cron.schedule(IMAGE_CLEANUP_SCHEDULE, async () => {
     console.log('🗑️  Running scheduled image cleanup...');
-    
-    const connection = await pool.getConnection();
     try {
-      // Delete images from trades older than 7 days
-      const [result] = await connection.query(`
-        UPDATE trades 
-        SET 
-          chart_before_url = NULL,
-          chart_after_url = NULL,
-          updated_at = NOW()
-        WHERE 
-          created_at <= DATE_SUB(NOW(), INTERVAL 7 DAY)
-          AND (chart_before_url IS NOT NULL OR chart_after_url IS NOT NULL)
-      `);
-      
-      const deletedCount = result.affectedRows || 0;
-      console.log(`✅ Deleted images from ${deletedCount} trades older than 7 days`);
-      
-      // Log stats
-      const [stats] = await connection.query(`
-        SELECT 
-          SUM(LENGTH(COALESCE(chart_before_url, '')) + LENGTH(COALESCE(chart_after_url, ''))) / 1024 / 1024 as currentSizeMB
-        FROM trades
-      `);
-      console.log(`📊 Current storage: ${(stats[0].currentSizeMB || 0).toFixed(2)} MB`);
-      
+      const result = await runImageCleanup({ trigger: 'cron' });
+      console.log(`✅ Deleted ${result.imagesDeleted} images from ${result.tradesAffected} trades (${(result.bytesFreed / 1024 / 1024).toFixed(2)} MB)`);
     } catch (error) {
       console.error('❌ Image cleanup failed:', error.message);
-    } finally {
-      connection.release();
     }
   });
-  
-  console.log('🕐 Scheduled image cleanup: Every day at 3:00 AM (images older than 7 days)');
-}
+
+  console.log(`🕐 Scheduled image cleanup: ${IMAGE_CLEANUP_SCHEDULE} (retention policies from /api/admin/retention)`);
+};
 
 // Fallback: serve SPA for non-API routes (but not for asset files)
 app.get('*', (req, res, next) => {
@@ -1112,9 +2943,16 @@ app.get('*', (req, res, next) => {
   res.sendFile(path.join(staticRoot, 'index.html'));
 });
 
-// Start server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`📊 Database: ${process.env.DB_NAME} @ ${process.env.DB_HOST}`);
-});
\ No newline at end of file
+// Start server and the cleanup job when run directly; the tests (test/) require the app and listen
+// on a port of their own
+if (require.main === module) {
+  scheduleImageCleanup();
+
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`✅ Server running on port ${PORT}`);
+    console.log(`📊 Database: ${USE_MOCK_DB ? 'mock' : database.describe()}`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
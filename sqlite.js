@@ -0,0 +1,202 @@
+// SQLite driver (DB_DRIVER=sqlite) behind the subset of the mysql2/promise pool API the app uses:
+// pool.query(sql, params) -> [rows] / [{ affectedRows, insertId }], pool.getConnection() with
+// beginTransaction/commit/rollback/ping/release, and pool.end().
+//
+// The repositories and migrations are written for MySQL; translate() rewrites the MySQL-only
+// syntax they use (SHOW COLUMNS/INDEX, inline KEY/INDEX in CREATE TABLE, multi-column ALTER,
+// DROP INDEX ... ON, <=>, FOR UPDATE, NOW()/DATE_SUB/DATE_ADD, IN (?) with an array) so both
+// databases run the same queries and schema. Backtick-quoted identifiers such as `exit` work as-is.
+//
+// Uses node:sqlite, so it needs Node.js 22.5 or newer. There is a single database handle: a
+// checked-out connection holds it exclusively until release(), so a transaction never sees
+// statements from other requests.
+
+const SELECT_STATEMENT = /^\s*(SELECT|PRAGMA|WITH)\b/i;
+const INTERVAL_UNITS = ['SECOND', 'MINUTE', 'HOUR', 'DAY', 'MONTH', 'YEAR'];
+
+const formatDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Expand array parameters (mysql2 turns `IN (?)` + [a, b] into `IN (?, ?)`) and convert values
+// node:sqlite can't bind
+const bindParams = (sql, params = []) => {
+  const values = [];
+  let index = 0;
+  const text = sql.replace(/\?/g, () => {
+    const value = params[index++];
+    if (Array.isArray(value)) {
+      values.push(...value);
+      return value.map(() => '?').join(', ');
+    }
+    values.push(value);
+    return '?';
+  });
+  return {
+    text,
+    values: values.map((value) => {
+      if (value === undefined) return null;
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (value instanceof Date) return formatDateTime(value);
+      return value;
+    }),
+  };
+};
+
+// CREATE TABLE with MySQL inline "KEY name (cols)" / "UNIQUE KEY name (cols)" definitions:
+// SQLite wants those as separate CREATE INDEX statements
+const splitInlineIndexes = (sql) => {
+  const match = /^\s*CREATE TABLE (IF NOT EXISTS )?`?(\w+)`?\s*\(([\s\S]*)\)\s*$/i.exec(sql);
+  if (!match) return [sql];
+  const [, ifNotExists = '', table, body] = match;
+
+  const indexes = [];
+  const definitions = body.split(/,(?![^(]*\))/).map((d) => d.trim()).filter((d) => {
+    const index = /^(UNIQUE )?(?:KEY|INDEX) `?(\w+)`? (\(.+\))$/i.exec(d);
+    if (!index) return true;
+    const [, unique = '', name, columns] = index;
+    indexes.push(`CREATE ${unique.toUpperCase()}INDEX IF NOT EXISTS ${name} ON ${table} ${columns}`);
+    return false;
+  });
+
+  return [`CREATE TABLE ${ifNotExists}${table} (\n  ${definitions.join(',\n  ')}\n)`, ...indexes];
+};
+
+// Rewrite one MySQL statement into one or more SQLite statements
+const translate = (sql) => {
+  const trimmed = sql.trim();
+
+  let match = /^SHOW COLUMNS FROM `?(\w+)`?\s*(.*)$/is.exec(trimmed);
+  if (match) {
+    const [, table, rest] = match;
+    const filter = rest.replace(/^LIKE\b/i, 'WHERE Field LIKE');
+    return [`SELECT * FROM (SELECT name AS Field, type AS Type, CASE WHEN "notnull" = 1 THEN 'NO' ELSE 'YES' END AS \`Null\`, dflt_value AS \`Default\` FROM pragma_table_info('${table}')) ${filter}`];
+  }
+
+  match = /^SHOW INDEX FROM `?(\w+)`?\s*(.*)$/is.exec(trimmed);
+  if (match) {
+    const [, table, rest] = match;
+    return [`SELECT * FROM (SELECT name AS Key_name, CASE WHEN "unique" = 1 THEN 0 ELSE 1 END AS Non_unique FROM pragma_index_list('${table}')) ${rest}`];
+  }
+
+  match = /^DROP INDEX `?(\w+)`? ON `?\w+`?$/i.exec(trimmed);
+  if (match) {
+    return [`DROP INDEX IF EXISTS ${match[1]}`];
+  }
+
+  // SQLite takes one ADD/DROP COLUMN per ALTER TABLE
+  match = /^ALTER TABLE (`?\w+`?) ([\s\S]*)$/i.exec(trimmed);
+  if (match) {
+    const [, table, changes] = match;
+    if (/\bMODIFY COLUMN\b/i.test(changes)) {
+      throw new Error('MODIFY COLUMN is not supported on SQLite');
+    }
+    return changes.split(/,\s*(?=(?:ADD|DROP) COLUMN\b)/i).map((change) => `ALTER TABLE ${table} ${change.trim()}`);
+  }
+
+  if (/^CREATE TABLE\b/i.test(trimmed)) {
+    return splitInlineIndexes(trimmed);
+  }
+
+  const units = INTERVAL_UNITS.join('|');
+  const text = trimmed
+    .replace(/\s*<=>\s*/g, ' IS ')
+    // BEGIN IMMEDIATE already holds the write lock for the whole transaction
+    .replace(/\s+FOR UPDATE\s*$/i, '')
+    .replace(new RegExp(`DATE_(SUB|ADD)\\((.+?),\\s*INTERVAL\\s+(\\?|\\d+)\\s+(${units})\\)`, 'gi'), (all, op, date, amount, unit) =>
+      `datetime(${date}, '${op.toUpperCase() === 'SUB' ? '-' : '+'}' || ${amount} || ' ${unit.toLowerCase()}')`)
+    .replace(/\b(NOW|CURRENT_TIMESTAMP)\(\)/gi, "datetime('now')");
+  return [text];
+};
+
+const createPool = ({ filename }) => {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = require('node:sqlite'));
+  } catch (error) {
+    throw new Error(`DB_DRIVER=sqlite needs Node.js 22.5 or newer (running ${process.version})`);
+  }
+
+  const database = new DatabaseSync(filename);
+  database.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+  // One process owns the file, so MySQL's named locks (used by the migrator) always succeed
+  database.function('GET_LOCK', { varargs: true }, () => 1);
+  database.function('RELEASE_LOCK', { varargs: true }, () => 1);
+
+  const run = (sql, params) => {
+    const statements = translate(sql);
+    let result = [[], []];
+    statements.forEach((statement) => {
+      const { text, values } = bindParams(statement, params);
+      const prepared = database.prepare(text);
+      if (SELECT_STATEMENT.test(text)) {
+        result = [prepared.all(...values).map((row) => ({ ...row })), []];
+      } else {
+        const { changes, lastInsertRowid } = prepared.run(...values);
+        result = [{ affectedRows: Number(changes), insertId: Number(lastInsertRowid) }, undefined];
+      }
+    });
+    return result;
+  };
+
+  // Hand out the database handle one holder at a time
+  let queue = Promise.resolve();
+  const acquire = () => {
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const ready = queue.then(() => release);
+    queue = queue.then(() => held);
+    return ready;
+  };
+
+  const pool = {
+    dialect: 'sqlite',
+
+    async query(sql, params) {
+      const release = await acquire();
+      try {
+        return run(sql, params);
+      } finally {
+        release();
+      }
+    },
+
+    async getConnection() {
+      const release = await acquire();
+      let released = false;
+      return {
+        dialect: 'sqlite',
+        async query(sql, params) {
+          return run(sql, params);
+        },
+        async beginTransaction() {
+          database.exec('BEGIN IMMEDIATE');
+        },
+        async commit() {
+          database.exec('COMMIT');
+        },
+        async rollback() {
+          if (database.isTransaction) database.exec('ROLLBACK');
+        },
+        async ping() {
+          database.prepare('SELECT 1').get();
+        },
+        release() {
+          if (released) return;
+          released = true;
+          if (database.isTransaction) database.exec('ROLLBACK');
+          release();
+        },
+      };
+    },
+
+    async end() {
+      await acquire();
+      database.close();
+    },
+  };
+  pool.execute = pool.query;
+  return pool;
+};
+
+module.exports = { createPool, translate };
@@ -0,0 +1,145 @@
+// Pluggable file storage for uploaded chart images.
+// The backend is chosen with STORAGE_DRIVER:
+//   local (default) - files under STORAGE_LOCAL_DIR (default uploads/)
+//   s3              - any S3-compatible bucket (AWS, R2, MinIO...). Requires @aws-sdk/client-s3.
+// Every driver implements: put(key, buffer, contentType), get(key) → { stream, contentType, size } | null, remove(key)
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+};
+
+// Keys are generated by the server; reject anything that could escape the storage root
+const isValidKey = (key) => typeof key === 'string' && /^[a-z0-9][a-z0-9/_-]*\.[a-z0-9]+$/i.test(key) && !key.includes('..');
+
+const createLocalDriver = () => {
+  const root = path.resolve(__dirname, process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = path.join(root, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Write to a temp file first so readers never see a partial image
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    },
+
+    async get(key) {
+      const file = path.join(root, key);
+      try {
+        const stat = await fs.promises.stat(file);
+        return {
+          stream: fs.createReadStream(file),
+          contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+          size: stat.size,
+        };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(path.join(root, key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+  };
+};
+
+const createS3Driver = () => {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (err) {
+    throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+  }
+
+  const client = new sdk.S3Client({
+    region: process.env.S3_REGION || 'auto',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType) {
+      await client.send(new sdk.PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    async get(key) {
+      try {
+        const result = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: result.Body, contentType: result.ContentType, size: result.ContentLength };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+let instance = null;
+
+// Lazily create the configured driver so a misconfigured S3 setup only fails when storage is used
+const getStorage = () => {
+  if (!instance) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    instance = drivers[name]();
+  }
+  return instance;
+};
+
+const checkKey = (key) => {
+  if (!isValidKey(key)) {
+    throw new Error('Invalid storage key');
+  }
+};
+
+module.exports = {
+  isValidKey,
+  driverName: () => process.env.STORAGE_DRIVER || 'local',
+  put: async (key, buffer, contentType) => {
+    checkKey(key);
+    return getStorage().put(key, buffer, contentType);
+  },
+  get: async (key) => {
+    checkKey(key);
+    return getStorage().get(key);
+  },
+  remove: async (key) => {
+    checkKey(key);
+    return getStorage().remove(key);
+  },
+};
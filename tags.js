@@ -0,0 +1,50 @@
+// Trade tags: labels such as a setup, a mistake ("Moved SL", "FOMO entry"), a confluence or the session.
+// Rows live in the tags table and are put on trades through trade_tags.
+//
+//   shared   user_id is NULL: created by a coach or an admin, everyone can see and use them
+//   private  user_id is the student who created it: only on that student's trades, and only they
+//            (plus their coaches and admins) see it
+//
+// A shared tag can be renamed or deleted by the coach who created it and by admins; a private tag by
+// its owner and by admins.
+
+const TAG_CATEGORIES = ['setup', 'mistake', 'confluence', 'session'];
+
+// Shared tags the demo data starts with (see mock-db.js)
+const DEFAULT_TAGS = [
+  { name: 'London', category: 'session' },
+  { name: 'New York', category: 'session' },
+  { name: 'Asia', category: 'session' },
+  { name: 'Moved SL', category: 'mistake' },
+  { name: 'FOMO entry', category: 'mistake' },
+  { name: 'Early exit', category: 'mistake' },
+];
+
+// Collapse runs of whitespace so "Moved  SL" and "Moved SL" are the same tag
+const normalizeTagName = (value) => String(value || '').trim().replace(/\s+/g, ' ');
+
+const canManageTag = (user, tag) => {
+  if (user.role === 'admin') return true;
+  return tag.user_id ? tag.user_id === user.userId : tag.created_by === user.userId;
+};
+
+// Tags a trade of ownerId can carry: shared ones and the owner's private ones
+const canApplyTag = (tag, ownerId) => !tag.user_id || tag.user_id === ownerId;
+
+// Another tag with the same name (ignoring case) that the same people see: among shared tags, or among
+// the shared tags and the owner's private ones. tags are the candidates, tag the new or changed one.
+const findNameConflict = (tags, tag) => {
+  const name = tag.name.toLowerCase();
+  return tags.find((other) => other.id !== tag.id
+    && other.name.toLowerCase() === name
+    && (!other.user_id || other.user_id === tag.user_id)) || null;
+};
+
+module.exports = {
+  TAG_CATEGORIES,
+  DEFAULT_TAGS,
+  normalizeTagName,
+  canManageTag,
+  canApplyTag,
+  findNameConflict,
+};
@@ -0,0 +1,131 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+
+// The app in mock mode (seeded in-memory database); reset emails are kept here instead of sent
+process.env.USE_MOCK_DB = 'true';
+process.env.MOCK_DB_FILE = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MAIL_TRANSPORT = 'test';
+delete process.env.PASSWORD_RESET_TTL_MINUTES;
+
+const mailer = require('../mailer');
+
+const sent = [];
+mailer.registerTransport('test', {
+  async send(message) {
+    sent.push(message);
+    return { transport: 'test' };
+  },
+});
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => server.close());
+
+const request = async (method, path, { body, token } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const login = (email, password, options = {}) => request('POST', '/auth/login', { body: { email, password, ...options } });
+
+describe('refresh tokens', () => {
+  test('each refresh rotates the token', async () => {
+    const session = await login('student@example.com', 'student123', { refresh: true });
+    assert.equal(session.status, 200);
+    assert.equal(session.body.expiresIn, '15m');
+
+    const refreshed = await request('POST', '/auth/refresh', { body: { refreshToken: session.body.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, session.body.refreshToken);
+    assert.equal((await request('GET', '/trades', { token: refreshed.body.token })).status, 200);
+  });
+
+  test('replaying a used refresh token ends every session of the user', async () => {
+    const session = await login('alice@example.com', 'student123', { refresh: true });
+    const other = await login('alice@example.com', 'student123');
+    const rotated = await request('POST', '/auth/refresh', { body: { refreshToken: session.body.refreshToken } });
+    assert.equal(rotated.status, 200);
+
+    const replay = await request('POST', '/auth/refresh', { body: { refreshToken: session.body.refreshToken } });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'auth/invalid-refresh-token');
+
+    // The token it was rotated to and the access tokens already handed out stop working too
+    const next = await request('POST', '/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+    assert.equal(next.status, 401);
+    assert.equal((await request('GET', '/trades', { token: rotated.body.token })).status, 401);
+    assert.equal((await request('GET', '/trades', { token: other.body.token })).status, 401);
+
+    // Logging in again starts a new session
+    assert.equal((await login('alice@example.com', 'student123')).status, 200);
+  });
+
+  test('clients that log in without refresh get one long-lived token', async () => {
+    const session = await login('eve@example.com', 'student123');
+    assert.equal(session.status, 200);
+    assert.equal(session.body.expiresIn, '7d');
+    assert.equal(session.body.refreshToken, undefined);
+  });
+});
+
+describe('password reset links', () => {
+  const EMAIL = 'coach@example.com';
+
+  const requestReset = async () => {
+    sent.length = 0;
+    assert.equal((await request('POST', '/auth/forgot-password', { body: { email: EMAIL } })).status, 200);
+    assert.equal(sent.length, 1);
+    return /token=([0-9a-f]+)/.exec(sent[0].text)[1];
+  };
+
+  test('an expired link is refused and leaves the password as it was', async (t) => {
+    const token = await requestReset();
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 60 * 1000 });
+    const reset = await request('POST', '/auth/reset-password', { body: { token, password: 'NewPassword1' } });
+    t.mock.timers.reset();
+
+    assert.equal(reset.status, 400);
+    assert.equal(reset.body.code, 'auth/invalid-reset-token');
+    assert.equal((await login(EMAIL, 'coach123')).status, 200);
+  });
+
+  test('a link works once, within the hour', async (t) => {
+    const token = await requestReset();
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 59 * 60 * 1000 });
+    const reset = await request('POST', '/auth/reset-password', { body: { token, password: 'NewPassword1' } });
+    t.mock.timers.reset();
+    assert.equal(reset.status, 200);
+
+    const again = await request('POST', '/auth/reset-password', { body: { token, password: 'OtherPassword1' } });
+    assert.equal(again.status, 400);
+    assert.equal((await login(EMAIL, 'coach123')).status, 401);
+    assert.equal((await login(EMAIL, 'NewPassword1')).status, 200);
+  });
+
+  test('requesting a new link invalidates the previous one', async () => {
+    const first = await requestReset();
+    await requestReset();
+    const reset = await request('POST', '/auth/reset-password', { body: { token: first, password: 'ThirdPassword1' } });
+    assert.equal(reset.status, 400);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { readPage, decodeCursor } = require('../pagination');
+const createMemoryRepositories = require('../repositories/memory');
+const createMysqlRepositories = require('../repositories/mysql');
+const { TRADE_SORT_COLUMNS } = require('../repositories/columns');
+const migrator = require('../migrator');
+
+// Sorted by reviewed_at, three trades have none (NULL sorts first ascending) and several share a
+// reviewed_at and a created_at, so only the id tells them apart
+const TRADES = [
+  { id: 't1', reviewed_at: null, created_at: '2024-01-01 10:00:00' },
+  { id: 't2', reviewed_at: '2024-02-01 09:00:00', created_at: '2024-01-01 10:00:00' },
+  { id: 't3', reviewed_at: null, created_at: '2024-01-01 10:00:00' },
+  { id: 't4', reviewed_at: '2024-02-01 09:00:00', created_at: '2024-01-01 10:00:00' },
+  { id: 't5', reviewed_at: '2024-02-01 09:00:00', created_at: '2024-01-02 08:00:00' },
+  { id: 't6', reviewed_at: null, created_at: '2024-01-03 08:00:00' },
+  { id: 't7', reviewed_at: '2024-01-15 12:00:00', created_at: '2024-01-01 10:00:00' },
+].map((trade) => ({ user_id: 'u1', asset: 'EURUSD', direction: 'Long', entry: 1.1, sl: 1.09, status: 'reviewed', ...trade }));
+
+const ASCENDING = ['t1', 't3', 't6', 't7', 't2', 't4', 't5'];
+
+const ids = (page) => page.rows.map((row) => row.id);
+
+// What the client sends back, as the route decodes it
+const follow = (value) => {
+  const { cursor, error } = decodeCursor(value, TRADE_SORT_COLUMNS);
+  assert.equal(error, undefined);
+  return cursor;
+};
+
+const pagingTests = (trades) => {
+  const list = (options) => trades().list(options);
+  const read = (cursor, order = 'asc') => readPage(list, { sort: 'reviewed_at', order, limit: 2, cursor });
+
+  test('next pages cover every row once, NULL keys first, ties in id order', async () => {
+    const pages = [await read(null)];
+    while (pages[pages.length - 1].next) {
+      pages.push(await read(follow(pages[pages.length - 1].next)));
+    }
+    assert.deepEqual(pages.map(ids), [['t1', 't3'], ['t6', 't7'], ['t2', 't4'], ['t5']]);
+    assert.equal(pages[0].prev, null);
+    assert.equal(pages[pages.length - 1].next, null);
+  });
+
+  test('descending order puts NULL keys last', async () => {
+    const pages = [await read(null, 'desc')];
+    while (pages[pages.length - 1].next) {
+      pages.push(await read(follow(pages[pages.length - 1].next)));
+    }
+    assert.deepEqual(pages.flatMap(ids), [...ASCENDING].reverse());
+  });
+
+  test('prev from the last page walks back through the same pages', async () => {
+    let page = await read(null);
+    while (page.next) page = await read(follow(page.next));
+
+    const pages = [page];
+    while (pages[pages.length - 1].prev) {
+      pages.push(await read(follow(pages[pages.length - 1].prev)));
+    }
+    assert.deepEqual(pages.map(ids), [['t5'], ['t2', 't4'], ['t6', 't7'], ['t1', 't3']]);
+  });
+
+  test('next after prev comes back to the page it started from', async () => {
+    const first = await read(null);
+    const second = await read(follow(first.next));
+    const back = await read(follow(second.prev));
+    assert.deepEqual(ids(back), ids(first));
+    assert.equal(back.prev, null);
+    assert.deepEqual(ids(await read(follow(back.next))), ids(second));
+  });
+};
+
+describe('readPage over the memory repositories', () => {
+  const repos = createMemoryRepositories({ trades: TRADES.map((trade) => ({ ...trade })) });
+  pagingTests(() => repos.trades);
+});
+
+// The SQL repositories page with keysetCondition; SQLite runs the same queries as MySQL
+const hasSqlite = (() => {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+describe('readPage over the SQL repositories (keysetCondition)', { skip: !hasSqlite && 'needs node:sqlite (Node.js 22.5+)' }, () => {
+  let pool;
+  let repos;
+
+  before(async () => {
+    pool = require('../sqlite').createPool({ filename: ':memory:' });
+    await migrator.migrate(pool, { log: () => {} });
+    repos = createMysqlRepositories(pool);
+    for (const trade of TRADES) {
+      await repos.trades.create(trade);
+    }
+  });
+
+  after(() => pool.end());
+
+  pagingTests(() => repos.trades);
+});
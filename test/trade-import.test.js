@@ -0,0 +1,108 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImport, parseDateTime, MAX_IMPORT_ROWS } = require('../trade-import');
+
+const csv = (lines) => Buffer.from(lines.join('\n'));
+
+describe('parseImport: journal CSV', () => {
+  test('reads each row into trade fields, numbers as numbers', () => {
+    const { rows } = parseImport(csv([
+      'Symbol,Side,Entry Price,SL,TP,Exit,Lots,Date,Strategy',
+      'EURUSD,Buy,1.1000,1.0950,1.1100,1.1080,0.5,2024.03.15 14:30,"Breakout, retest"',
+    ]));
+    assert.deepEqual(rows, [{
+      line: 2,
+      ticket: null,
+      openedAt: '2024-03-15 14:30:00',
+      fields: { asset: 'EURUSD', direction: 'Buy', entry: 1.1, sl: 1.095, tp: 1.11, exit: 1.108, quantity: 0.5, strategy: 'Breakout, retest' },
+      profit: null,
+      errors: [],
+    }]);
+  });
+
+  test('semicolon files use a decimal comma', () => {
+    const { rows } = parseImport(csv(['asset;direction;entry;quantity', 'GER40;long;18.250,5;1,5']));
+    assert.deepEqual(rows[0].fields, { asset: 'GER40', direction: 'long', entry: 18250.5, quantity: 1.5 });
+  });
+
+  test('blank rows are dropped and rows that are not positions are skipped with a reason', () => {
+    const { rows } = parseImport(csv(['asset,direction,entry', 'EURUSD,deposit,', ',,', 'EURUSD,Sell,1.1']));
+    assert.deepEqual(rows.map((row) => [row.line, row.skip]), [[2, 'not a buy/sell position (deposit)'], [4, undefined]]);
+  });
+
+  test('unreadable values are reported on their row, with its line number', () => {
+    const { rows } = parseImport(csv(['asset,direction,entry,sl,date', 'USDJPY,Sell,abc,151,yesterday']));
+    assert.equal(rows[0].line, 2);
+    // Text where a number belongs is left for validation to reject
+    assert.equal(rows[0].fields.entry, 'abc');
+    assert.equal(rows[0].openedAt, null);
+    assert.deepEqual(rows[0].errors, [{ field: 'opened_at', code: 'format', message: 'open time "yesterday" is not a date' }]);
+  });
+});
+
+describe('parseImport: MetaTrader statements', () => {
+  const header = (close) => ['Ticket', 'Open Time', 'Type', 'Size', 'Item', 'Price', 'S / L', 'T / P', ...(close ? ['Close Time'] : []), 'Price', 'Commission', 'Taxes', 'Swap', 'Profit'];
+  const tr = (cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`;
+  const statement = [
+    '<table>',
+    '<tr><td colspan="14">Closed Transactions:</td></tr>',
+    tr(header(true)),
+    tr(['1001', '2024.03.15 14:30:00', 'buy', '0.10', 'eurusd.m', '1.10000', '0.00000', '1.11000', '2024.03.15 18:00:00', '1.10500', '-0.70', '-0.10', '0.00', '50.00']),
+    '<tr><td>1002</td><td>2024.03.16 10:00:00</td><td>balance</td><td colspan="10">Deposit</td><td>1 000.00</td></tr>',
+    '<tr><td colspan="14">Open Trades:</td></tr>',
+    tr(header(false)),
+    tr(['1003', '2024.03.17 09:00:00', 'sell', '0.20', 'usdjpy', '150.500', '151.000', '0.000', '150.200', '0.00', '0.00', '0.00', '40.00']),
+    '</table>',
+  ].join('\n');
+
+  test('MT4 closed and open trades, balance rows skipped', () => {
+    const { rows } = parseImport(Buffer.from(statement), { preset: 'mt4' });
+    assert.deepEqual(rows.map((row) => row.skip || row.ticket), ['1001', 'not a buy/sell position (balance)', '1003']);
+
+    const [closed, , open] = rows;
+    // 0 means no stop; taxes are added to the commission
+    assert.equal(closed.fields.sl, undefined);
+    assert.equal(closed.fields.exit, 1.105);
+    assert.equal(closed.fields.commission.toFixed(2), '-0.80');
+    assert.equal(closed.profit, 50);
+    assert.equal(closed.openedAt, '2024-03-15 14:30:00');
+    // Without a close time the second price is the market price, not an exit
+    assert.equal(open.fields.exit, undefined);
+    assert.equal(open.fields.tp, undefined);
+    assert.equal(open.profit, null);
+  });
+
+  test('a statement read as UTF-16 (how MetaTrader saves it)', () => {
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(statement, 'utf16le')]);
+    assert.deepEqual(parseImport(utf16, { preset: 'mt4' }), parseImport(Buffer.from(statement), { preset: 'mt4' }));
+  });
+});
+
+describe('parseImport: file errors', () => {
+  test('no header row names the columns the preset needs', () => {
+    assert.deepEqual(parseImport(csv(['foo,bar', '1,2'])), {
+      error: 'No header row found for the journal preset (needs columns: asset / symbol, direction / side / type, entry / entry_price / open_price)',
+    });
+  });
+
+  test('mapping entries must be field=Column for an importable field', () => {
+    const file = csv(['Pair,direction,entry', 'EURUSD,Buy,1.1']);
+    assert.equal(parseImport(file, { mapping: ['asset'] }).error, 'mapping entry "asset" must look like field=Column header');
+    assert.equal(parseImport(file, { mapping: ['pair=Pair'] }).error, 'mapping field "pair" is not an importable field');
+    assert.equal(parseImport(file, { mapping: ['asset=Pair'] }).rows[0].fields.asset, 'EURUSD');
+  });
+
+  test(`more than ${MAX_IMPORT_ROWS} rows is refused`, () => {
+    const lines = ['asset,direction,entry', ...Array(MAX_IMPORT_ROWS + 1).fill('EURUSD,Buy,1.1')];
+    assert.deepEqual(parseImport(csv(lines)), { error: `Import is limited to ${MAX_IMPORT_ROWS} rows per file` });
+  });
+});
+
+describe('parseDateTime', () => {
+  test('MetaTrader, ISO and date-only forms', () => {
+    assert.equal(parseDateTime('2024.03.15 14:30'), '2024-03-15 14:30:00');
+    assert.equal(parseDateTime('2024-03-15T14:30:05Z'), '2024-03-15 14:30:05');
+    assert.equal(parseDateTime('2024-03-15'), '2024-03-15 00:00:00');
+    assert.equal(parseDateTime('not a date'), null);
+  });
+});
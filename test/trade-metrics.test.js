@@ -0,0 +1,53 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeMetrics } = require('../trade-metrics');
+const { guessInstrument } = require('../instruments');
+
+describe('computeMetrics', () => {
+  test('long trade: R multiples and pips from entry, stop, target and exit', () => {
+    const metrics = computeMetrics({ asset: 'EURUSD', direction: 'Long', entry: 1.1, sl: 1.095, tp: 1.11, exit: 1.108 });
+    assert.deepEqual(metrics, { planned_r_calc: 2, actual_r_calc: 1.6, result_distance: 80 });
+  });
+
+  test('short trade: a move against it is a negative R and pips result', () => {
+    const metrics = computeMetrics({ asset: 'EURUSD', direction: 'Sell', entry: 1.1, sl: 1.105, tp: 1.09, exit: 1.103 });
+    assert.deepEqual(metrics, { planned_r_calc: 2, actual_r_calc: -0.6, result_distance: -30 });
+  });
+
+  test('JPY pairs count pips of 0.01', () => {
+    const metrics = computeMetrics({ asset: 'USDJPY', direction: 'Short', entry: 150.5, sl: 151, tp: 149.5, exit: 149.75 });
+    assert.deepEqual(metrics, { planned_r_calc: 2, actual_r_calc: 1.5, result_distance: 75 });
+  });
+
+  test('points use the tick size', () => {
+    const metrics = computeMetrics({ asset: 'USDJPY', direction: 'Buy', entry: 150, exit: 150.25, display_unit: 'points' });
+    assert.equal(metrics.result_distance, 250);
+  });
+
+  test('a catalog instrument overrides the guess from the symbol', () => {
+    const instrument = { ...guessInstrument('XAUUSD'), pip_size: 1 };
+    const metrics = computeMetrics({ asset: 'XAUUSD', direction: 'Long', entry: 2000, sl: 1990, exit: 2005 }, instrument);
+    assert.equal(metrics.result_distance, 5);
+    assert.equal(computeMetrics({ asset: 'XAUUSD', direction: 'Long', entry: 2000, exit: 2005 }).result_distance, 50);
+  });
+
+  test('an open trade (null or missing exit) has only a planned R', () => {
+    const trade = { asset: 'GBPUSD', direction: 'Long', entry: 1.25, sl: 1.245, tp: 1.26 };
+    const expected = { planned_r_calc: 2, actual_r_calc: null, result_distance: null };
+    assert.deepEqual(computeMetrics({ ...trade, exit: null }), expected);
+    assert.deepEqual(computeMetrics(trade), expected);
+    assert.deepEqual(computeMetrics({ ...trade, exit: '' }), expected);
+  });
+
+  test('no R without a stop, or with the stop at the entry', () => {
+    const trade = { asset: 'EURUSD', direction: 'Long', entry: 1.1, tp: 1.11, exit: 1.105 };
+    assert.deepEqual(computeMetrics(trade), { planned_r_calc: null, actual_r_calc: null, result_distance: 50 });
+    assert.deepEqual(computeMetrics({ ...trade, sl: 1.1 }), { planned_r_calc: null, actual_r_calc: null, result_distance: 50 });
+  });
+
+  test('nothing without an entry or a known direction', () => {
+    const empty = { planned_r_calc: null, actual_r_calc: null, result_distance: null };
+    assert.deepEqual(computeMetrics({ asset: 'EURUSD', direction: 'Long', sl: 1.09, exit: 1.1 }), empty);
+    assert.deepEqual(computeMetrics({ asset: 'EURUSD', direction: 'Hedge', entry: 1.1, sl: 1.09, exit: 1.11 }), empty);
+  });
+});
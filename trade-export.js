@@ -0,0 +1,150 @@
+// Trade export (GET /api/trades/export): the exported columns and the csv / json / xlsx writers.
+// The route feeds trades in batches and each batch is written straight to the response.
+// Column names are the trade columns, so the journal import preset (trade-import.js) reads a CSV
+// export back in.
+const analytics = require('./analytics');
+const xlsx = require('./xlsx');
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const BASE_COLUMNS = [
+  'id',
+  'broker_ticket',
+  'user_id',
+  'account_id',
+  'created_at',
+  'asset',
+  'direction',
+  'entry',
+  'sl',
+  'tp',
+  'exit',
+  'quantity',
+  'commission',
+  'swap',
+  'fx_rate',
+  'account_currency',
+  'display_unit',
+  'planned_r',
+  'actual_r',
+  'planned_r_calc',
+  'actual_r_calc',
+  'result_distance',
+  'gross_pnl',
+  'net_pnl',
+  'risk_amount',
+  'strategy',
+  'emotion',
+  'adherence_score',
+  'status',
+  'reviewed_by',
+  'reviewed_at',
+  'starred',
+  'updated_at',
+];
+
+// Optional: chart image references and coach feedback (the long text columns)
+const CHART_COLUMNS = ['chart_before_url', 'chart_after_url'];
+const FEEDBACK_COLUMNS = ['feedback'];
+
+const NUMERIC_COLUMNS = new Set([
+  'entry',
+  'sl',
+  'tp',
+  'exit',
+  'quantity',
+  'commission',
+  'swap',
+  'fx_rate',
+  'planned_r',
+  'actual_r',
+  'planned_r_calc',
+  'actual_r_calc',
+  'result_distance',
+  'gross_pnl',
+  'net_pnl',
+  'risk_amount',
+  'adherence_score',
+  'starred',
+]);
+const DATE_COLUMNS = new Set(['created_at', 'reviewed_at', 'updated_at']);
+
+const exportColumns = ({ charts = false, feedback = false } = {}) => [
+  ...BASE_COLUMNS,
+  ...(charts ? CHART_COLUMNS : []),
+  ...(feedback ? FEEDBACK_COLUMNS : []),
+];
+
+// MySQL returns DECIMAL as a string and DATETIME as a Date; exports use numbers and "YYYY-MM-DD HH:MM:SS"
+const exportValue = (trade, column) => {
+  const value = trade[column];
+  if (value === null || value === undefined) return null;
+  if (DATE_COLUMNS.has(column)) return value instanceof Date ? analytics.toDbDateTime(value) : String(value);
+  if (NUMERIC_COLUMNS.has(column)) return analytics.toNumber(value);
+  return value;
+};
+
+// Spreadsheet apps run a text cell starting with = + - @ as a formula, so such text gets a leading '
+const csvCell = (value) => {
+  if (value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Open a writer for format. write(chunk) must return a promise (backpressure).
+// Returns { writeRows(trades), end() }.
+const createExportWriter = async (format, columns, write) => {
+  const values = (trade) => columns.map((column) => exportValue(trade, column));
+
+  if (format === 'xlsx') {
+    const workbook = await xlsx.createWorkbookWriter(write, { sheet: 'Trades' });
+    await workbook.addRow(columns);
+    return {
+      async writeRows(trades) {
+        for (const trade of trades) await workbook.addRow(values(trade));
+      },
+      end: () => workbook.end(),
+    };
+  }
+
+  if (format === 'json') {
+    let first = true;
+    await write('[');
+    return {
+      async writeRows(trades) {
+        if (trades.length === 0) return;
+        const objects = trades.map((trade) => {
+          const row = values(trade);
+          return JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+        });
+        await write(`${first ? '' : ','}\n${objects.join(',\n')}`);
+        first = false;
+      },
+      end: () => write('\n]\n'),
+    };
+  }
+
+  // CSV with a byte order mark so Excel reads it as UTF-8 (Thai text in strategies, emotions, feedback)
+  await write(`\uFEFF${columns.join(',')}\r\n`);
+  return {
+    async writeRows(trades) {
+      if (trades.length === 0) return;
+      await write(trades.map((trade) => `${values(trade).map(csvCell).join(',')}\r\n`).join(''));
+    },
+    end: async () => {},
+  };
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: xlsx.CONTENT_TYPE,
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  exportColumns,
+  createExportWriter,
+};
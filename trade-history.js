@@ -0,0 +1,93 @@
+// Trade edit history (trade_versions): each change to a trade saves the row as it is afterwards as the
+// trade's next version, so a coach can see what was changed since their review, and the trade can be
+// put back to an earlier version.
+//
+// Trades are not versioned when they are logged or imported. The first change of a trade without a
+// history also saves the row as it was before that change, as version 1 ('original').
+//
+// A student may still edit a trade after a coach reviewed or flagged it, but the trade is marked
+// (edited_after_review_at) and so is the version (after_review), until a coach reviews it again or
+// changes its review status.
+const { toDbDateTime } = require('./analytics');
+const { diffRows } = require('./audit');
+
+// Restoring a version puts back what the trader entered and the R/P&L worked out from it. Review
+// state, feedback, stars, charts (replaced images are deleted) and the checklist stay as they are.
+const RESTORED_COLUMNS = [
+  'account_id',
+  'broker_ticket',
+  'asset',
+  'direction',
+  'entry',
+  'sl',
+  'tp',
+  'exit',
+  'strategy',
+  'emotion',
+  'planned_r',
+  'actual_r',
+  'planned_r_calc',
+  'actual_r_calc',
+  'planned_r_manual',
+  'actual_r_manual',
+  'result_distance',
+  'display_unit',
+  'quantity',
+  'commission',
+  'swap',
+  'fx_rate',
+  'account_currency',
+  'gross_pnl',
+  'net_pnl',
+  'risk_amount',
+];
+
+const REVIEWED_STATUSES = ['reviewed', 'flagged'];
+
+// Whether a change by user to the trade counts as an edit after review
+const isEditAfterReview = (trade, user) => user.role === 'student' && REVIEWED_STATUSES.includes(trade.status);
+
+// The row as stored in a version: dates as 'YYYY-MM-DD HH:MM:SS' in both database modes
+const tradeSnapshot = (trade) => Object.fromEntries(
+  Object.entries(trade).map(([column, value]) => [column, value instanceof Date ? toDbDateTime(value) : value])
+);
+
+// A trade_versions row. action is what caused it: original, update, review, star, checklist, restore,
+// rename (an admin renamed the trade's instrument) or retention (the image cleanup removed its charts);
+// actor is { userId, role } ({ userId: null, role: 'system' } for the cleanup), or null for the
+// original version.
+const buildVersion = ({ id, trade, version, action, actor = null, afterReview = false, restoredFrom = null, now }) => ({
+  id,
+  trade_id: trade.id,
+  version,
+  action,
+  snapshot: tradeSnapshot(trade),
+  changed_by: actor ? actor.userId : null,
+  changed_by_role: actor ? actor.role : null,
+  after_review: afterReview ? 1 : 0,
+  restored_from: restoredFrom,
+  created_at: now instanceof Date ? toDbDateTime(now) : now,
+});
+
+// The trade columns a restore of a version writes
+const restoredFields = (snapshot) => Object.fromEntries(
+  RESTORED_COLUMNS.filter((column) => column in snapshot).map((column) => [column, snapshot[column]])
+);
+
+// Versions (oldest first) for API responses, newest first, each with what changed since the one before
+const formatHistory = (versions) => versions
+  .map((version, index) => ({
+    ...version,
+    after_review: Boolean(version.after_review),
+    changes: index > 0 ? diffRows(versions[index - 1].snapshot, version.snapshot) : null,
+  }))
+  .reverse();
+
+module.exports = {
+  RESTORED_COLUMNS,
+  isEditAfterReview,
+  tradeSnapshot,
+  buildVersion,
+  restoredFields,
+  formatHistory,
+};
@@ -0,0 +1,350 @@
+// Trade import from CSV files and MetaTrader account-history exports (POST /api/trades/import).
+// parseImport() turns a file into one entry per trade row with the raw trade fields; the route runs
+// each through the same validation, catalog and account checks as POST /api/trades.
+//
+// A file is read as a table: CSV (comma, semicolon or tab separated) or the rows of an HTML
+// statement. A column mapping says which header holds each field; it can list several candidate
+// headers, and "Price#2" means the second column headed "Price" (MetaTrader repeats Time/Price
+// for the open and the close). Headers are compared without case, spaces or punctuation.
+//
+//   journal   our own column names (asset, direction, entry, sl, tp, exit, quantity, ...)
+//   mt4       MT4 "Detailed Statement" (Closed Transactions / Open Trades)
+//   mt5       MT5 "Report History" (Positions section)
+// HTML or CSV is told apart by the content, so a statement saved either way uses the same preset.
+//
+// HTML statements have several sections: a one-cell title row ("Open Trades:", "Orders") ends the
+// current one and the next header row starts another. Rows that aren't buy/sell positions
+// (balance, cancelled orders, totals) are skipped.
+
+const MAX_IMPORT_ROWS = 2000;
+
+const PRESETS = {
+  journal: {
+    ticket: ['broker_ticket', 'ticket'],
+    opened_at: ['created_at', 'date', 'open_time'],
+    asset: ['asset', 'symbol'],
+    direction: ['direction', 'side', 'type'],
+    entry: ['entry', 'entry_price', 'open_price'],
+    sl: ['sl', 'stop_loss'],
+    tp: ['tp', 'take_profit'],
+    exit: ['exit', 'exit_price', 'close_price'],
+    quantity: ['quantity', 'lots', 'volume'],
+    commission: ['commission'],
+    swap: ['swap'],
+    strategy: ['strategy'],
+    emotion: ['emotion'],
+    display_unit: ['display_unit'],
+  },
+  mt4: {
+    ticket: ['Ticket'],
+    opened_at: ['Open Time'],
+    direction: ['Type'],
+    quantity: ['Size'],
+    asset: ['Item'],
+    entry: ['Price'],
+    sl: ['S / L'],
+    tp: ['T / P'],
+    closed_at: ['Close Time'],
+    exit: ['Price#2'],
+    commission: ['Commission'],
+    taxes: ['Taxes'],
+    swap: ['Swap'],
+    profit: ['Profit'],
+  },
+  mt5: {
+    opened_at: ['Time'],
+    ticket: ['Position'],
+    asset: ['Symbol'],
+    direction: ['Type'],
+    quantity: ['Volume'],
+    entry: ['Price'],
+    sl: ['S / L'],
+    tp: ['T / P'],
+    closed_at: ['Time#2'],
+    exit: ['Price#2'],
+    commission: ['Commission'],
+    swap: ['Swap'],
+    profit: ['Profit'],
+  },
+};
+
+// A header row must have these; the other fields are optional. Broker statements also need the
+// ticket column, which tells the positions table apart from the orders and deals tables.
+const REQUIRED_COLUMNS = ['asset', 'direction', 'entry'];
+const STATEMENT_REQUIRED_COLUMNS = [...REQUIRED_COLUMNS, 'ticket'];
+
+// Fields passed on for schemas.createTrade; the rest (ticket, times, profit) are handled by the route
+const TRADE_INPUTS = ['asset', 'direction', 'entry', 'sl', 'tp', 'exit', 'quantity', 'commission', 'swap', 'strategy', 'emotion', 'display_unit'];
+
+// Every field a mapping can name
+const IMPORT_FIELDS = [...new Set(Object.values(PRESETS).flatMap(Object.keys))];
+
+const NUMERIC_INPUTS = ['entry', 'sl', 'tp', 'exit', 'quantity', 'commission', 'taxes', 'swap', 'profit'];
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9#]/g, '');
+
+// MetaTrader HTML reports are usually saved as UTF-16
+const decodeText = (buffer) => {
+  if (typeof buffer === 'string') return buffer.replace(/^\uFEFF/, '');
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.toString('utf16le', 2);
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+};
+
+const isHtml = (text) => /<table[\s>]/i.test(text);
+
+// ==================== CSV ====================
+// The delimiter is whichever of , ; or tab appears most in the first line
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t']
+    .map((delimiter) => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+// RFC 4180: quoted cells may hold delimiters, newlines and doubled quotes
+const parseCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.map((cells, index) => ({ line: index + 1, cells: cells.map((c) => c.trim()) }));
+};
+
+// ==================== HTML statements ====================
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+const htmlText = (html) => html
+  .replace(/<[^>]*>/g, '')
+  .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return code === 160 ? ' ' : String.fromCodePoint(code);
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  })
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Every <tr> of every table, in order. A colspan cell takes up that many columns (so later cells
+// stay under their headers); cells MetaTrader hides with class="hidden" are left out.
+const parseHtmlRows = (html) => {
+  const rows = [];
+  const rowPattern = /<tr[^>]*>([\s\S]*?)(?=<tr[\s>]|<\/table>|$)/gi;
+  let match;
+  while ((match = rowPattern.exec(html)) !== null) {
+    const cells = [];
+    const cellPattern = /<t([dh])([^>]*)>([\s\S]*?)(?=<t[dh][\s>]|<\/tr>|$)/gi;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(match[1])) !== null) {
+      const attributes = cellMatch[2];
+      if (/class\s*=\s*["']?[^"'>]*\bhidden\b/i.test(attributes)) continue;
+      const span = Number((/colspan\s*=\s*["']?(\d+)/i.exec(attributes) || [])[1] || 1);
+      cells.push(htmlText(cellMatch[3].replace(/<\/t[dh]>[\s\S]*$/i, '')));
+      for (let i = 1; i < span; i++) cells.push('');
+    }
+    if (cells.length > 0) rows.push({ line: rows.length + 1, cells });
+  }
+  return rows;
+};
+
+// ==================== Mapping ====================
+// "field=Header" entries from the request replace the preset's candidates for that field
+const parseMapping = (entries = []) => {
+  const mapping = {};
+  const errors = [];
+  entries.forEach((entry) => {
+    const [field, ...header] = entry.split('=');
+    const name = field.trim();
+    if (!header.length || !header.join('=').trim()) {
+      errors.push(`mapping entry "${entry}" must look like field=Column header`);
+    } else if (!IMPORT_FIELDS.includes(name)) {
+      errors.push(`mapping field "${name}" is not an importable field`);
+    } else {
+      mapping[name] = [header.join('=').trim()];
+    }
+  });
+  return { mapping, errors };
+};
+
+// Column index of each mapped field in a header row, or null when a required field is missing
+const matchHeader = (cells, mapping, required) => {
+  const positions = {};
+  cells.forEach((cell, index) => {
+    const name = normalizeHeader(cell);
+    if (!name) return;
+    let key = name;
+    for (let n = 2; positions[key] !== undefined; n++) key = `${name}#${n}`;
+    positions[key] = index;
+  });
+
+  const columns = {};
+  Object.entries(mapping).forEach(([field, candidates]) => {
+    const found = candidates.map(normalizeHeader).find((candidate) => positions[candidate] !== undefined);
+    if (found) columns[field] = positions[found];
+  });
+  return required.every((field) => columns[field] !== undefined) ? columns : null;
+};
+
+// ==================== Values ====================
+// Thousands separators (spaces, or commas before a decimal point) are dropped; "0.10 / 0.10" takes
+// the first number. Semicolon-separated files use a decimal comma ("1.234,5").
+// Returns undefined for an empty cell and NaN for text that isn't a number.
+const parseNumber = (value, decimalComma = false) => {
+  let text = String(value).split(' / ')[0].replace(/\s/g, '');
+  if (text === '') return undefined;
+  if (decimalComma && text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    text = text.replace(/,/g, '');
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+};
+
+// "2024.03.15 14:30", "2024-03-15T14:30:05Z" or "2024-03-15" → "2024-03-15 14:30:00"; null when unreadable
+const parseDateTime = (value) => {
+  const match = /^(\d{4})[.\-/](\d{2})[.\-/](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value).trim());
+  if (!match) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+  }
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+};
+
+// Broker symbols often carry an account-type suffix: EURUSD.m, XAUUSD-ECN, US30_i
+const stripSymbolSuffix = (symbol) => String(symbol || '').split(/[._-]/)[0];
+
+// One data row → { ticket, openedAt, fields, profit, errors } or { skip } for rows that aren't positions
+// (skip is null for blank and total rows, which aren't worth reporting). closed is false in sections
+// without a close-time column (MT4 "Open Trades"), where the second price is the market price.
+const readRow = (cells, columns, { closed, decimalComma }) => {
+  const raw = {};
+  Object.entries(columns).forEach(([field, index]) => {
+    if (cells[index] !== undefined && cells[index] !== '') raw[field] = cells[index];
+  });
+  if (!raw.asset && !raw.direction) return { skip: null };
+
+  const direction = String(raw.direction || '').toLowerCase();
+  if (!['buy', 'sell', 'long', 'short'].includes(direction)) {
+    return { skip: `not a buy/sell position (${raw.direction || 'no type'})` };
+  }
+
+  const fields = {};
+  TRADE_INPUTS.forEach((field) => {
+    if (raw[field] === undefined) return;
+    // Unreadable numbers stay as text so validation reports them
+    const number = NUMERIC_INPUTS.includes(field) ? parseNumber(raw[field], decimalComma) : undefined;
+    fields[field] = number === undefined || Number.isNaN(number) ? raw[field] : number;
+  });
+  if (!closed) delete fields.exit;
+  // MetaTrader writes 0 for "no stop" / "no target"
+  if (fields.sl === 0) delete fields.sl;
+  if (fields.tp === 0) delete fields.tp;
+
+  const taxes = parseNumber(raw.taxes ?? '', decimalComma);
+  if (taxes && (fields.commission === undefined || typeof fields.commission === 'number')) {
+    fields.commission = (fields.commission || 0) + taxes;
+  }
+
+  const errors = [];
+  const openedAt = raw.opened_at ? parseDateTime(raw.opened_at) : null;
+  if (raw.opened_at && !openedAt) {
+    errors.push({ field: 'opened_at', code: 'format', message: `open time "${raw.opened_at}" is not a date` });
+  }
+  const profit = parseNumber(raw.profit ?? '', decimalComma);
+  return {
+    ticket: raw.ticket ? String(raw.ticket) : null,
+    openedAt,
+    fields,
+    profit: closed && Number.isFinite(profit) ? profit : null,
+    errors,
+  };
+};
+
+// Parse an upload with a preset ('journal', 'mt4' or 'mt5'); mappingEntries override single fields.
+// Returns { rows } or { error }. Each row is { line, ticket, openedAt, fields, profit, errors }
+// or { line, skip } with the reason it was left out.
+const parseImport = (buffer, { preset = 'journal', mapping: mappingEntries } = {}) => {
+  const { mapping: overrides, errors } = parseMapping(mappingEntries);
+  if (errors.length > 0) return { error: errors.join('; ') };
+  const mapping = { ...PRESETS[preset], ...overrides };
+  const required = preset === 'journal' ? REQUIRED_COLUMNS : STATEMENT_REQUIRED_COLUMNS;
+
+  const text = decodeText(buffer);
+  const delimiter = isHtml(text) ? null : detectDelimiter(text);
+  const table = delimiter ? parseCsv(text, delimiter) : parseHtmlRows(text);
+  const decimalComma = delimiter === ';';
+
+  const rows = [];
+  let columns = null;
+  let closed = true;
+  let sawHeader = false;
+  for (const { line, cells } of table) {
+    const header = matchHeader(cells, mapping, required);
+    if (header) {
+      columns = header;
+      closed = mapping.closed_at === undefined || header.closed_at !== undefined;
+      sawHeader = true;
+      continue;
+    }
+    // A section title ends the current table
+    if (cells.filter(Boolean).length === 1) {
+      columns = null;
+      continue;
+    }
+    if (!columns) continue;
+
+    const row = readRow(cells, columns, { closed, decimalComma });
+    if (row.skip === null) continue;
+    rows.push({ line, ...row });
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return { error: `Import is limited to ${MAX_IMPORT_ROWS} rows per file` };
+    }
+  }
+
+  if (!sawHeader) {
+    const expected = required.map((field) => mapping[field].join(' / ')).join(', ');
+    return { error: `No header row found for the ${preset} preset (needs columns: ${expected})` };
+  }
+  return { rows };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  PRESETS,
+  parseImport,
+  parseDateTime,
+  stripSymbolSuffix,
+};
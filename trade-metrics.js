@@ -0,0 +1,144 @@
+// Server-side R-multiple and pip/point calculation for trades.
+// planned_r / actual_r hold the value used everywhere (stats, reports). They follow the computed
+// planned_r_calc / actual_r_calc unless the client sends a different number, which is kept as a
+// manual override (planned_r_manual / actual_r_manual) until it is cleared with null.
+// result_distance is the signed entry→exit move in the trade's display_unit, using the instrument's
+// pip/tick size from the catalog (see instruments.js).
+//
+// Money (in the trade's account_currency) needs a quantity in lots:
+//   gross_pnl    price move × quantity × contract size, converted from the quote currency
+//   net_pnl      gross_pnl + commission + swap (both signed as brokers report them: a cost is negative)
+//   risk_amount  entry→SL distance × quantity × contract size, converted the same way
+// Conversion uses fx_rate (quote → account currency) when given; otherwise it is only known when the
+// quote currency is the account currency, or the base currency is (e.g. USDJPY on a USD account).
+const { guessInstrument } = require('./instruments');
+
+// Price size of one display unit: pips use the instrument's pip size, points and ticks its tick size
+const unitSize = (instrument, displayUnit) => (
+  String(displayUnit || 'pips').toLowerCase() === 'pips' ? Number(instrument.pip_size) : Number(instrument.tick_size)
+);
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round = (value, places) => Number(value.toFixed(places));
+
+// +1 for long/Buy, -1 for short/Sell, null when unknown
+const directionSign = (direction) => {
+  const value = String(direction || '').toLowerCase();
+  if (value === 'long' || value === 'buy') return 1;
+  if (value === 'short' || value === 'sell') return -1;
+  return null;
+};
+
+// Compute the metrics from a trade's prices. Each value is null when the prices it needs are missing
+// (no TP → no planned R, no exit → no actual R / result) or the stop equals the entry.
+// instrument is the catalog entry for trade.asset; without one the sizes are guessed from the symbol.
+const computeMetrics = (trade, instrument = guessInstrument(trade.asset)) => {
+  const entry = toNumber(trade.entry);
+  const sl = toNumber(trade.sl);
+  const tp = toNumber(trade.tp);
+  const exit = toNumber(trade.exit);
+  const sign = directionSign(trade.direction);
+  const metrics = { planned_r_calc: null, actual_r_calc: null, result_distance: null };
+  if (entry === null || sign === null) return metrics;
+
+  const size = unitSize(instrument, trade.display_unit);
+  if (exit !== null && size > 0) {
+    metrics.result_distance = round((sign * (exit - entry)) / size, 1);
+  }
+
+  const risk = sl === null ? 0 : Math.abs(entry - sl);
+  if (risk === 0) return metrics;
+  // Planned R is a size, like the web app shows it; actual R is negative for a loss
+  if (tp !== null) metrics.planned_r_calc = round(Math.abs(tp - entry) / risk, 2);
+  if (exit !== null) metrics.actual_r_calc = round((sign * (exit - entry)) / risk, 2);
+  return metrics;
+};
+
+// Account currency per unit of quote currency at `price`, or null when it can't be worked out
+const conversionRate = (trade, instrument, price) => {
+  const fxRate = toNumber(trade.fx_rate);
+  if (fxRate !== null) return fxRate;
+  const account = String(trade.account_currency || 'USD').toUpperCase();
+  if (instrument.quote_currency === account) return 1;
+  if (instrument.asset_class === 'forex' && String(instrument.symbol).startsWith(account) && price) return 1 / price;
+  return null;
+};
+
+// Money columns for a trade; each is null when the quantity, prices or conversion are missing
+const computeMoney = (trade, instrument) => {
+  const entry = toNumber(trade.entry);
+  const sl = toNumber(trade.sl);
+  const exit = toNumber(trade.exit);
+  const quantity = toNumber(trade.quantity);
+  const sign = directionSign(trade.direction);
+  const money = { gross_pnl: null, net_pnl: null, risk_amount: null };
+  if (entry === null || sign === null || quantity === null) return money;
+
+  const units = quantity * Number(instrument.contract_size || 1);
+  const entryRate = conversionRate(trade, instrument, entry);
+  if (sl !== null && entryRate !== null) {
+    money.risk_amount = round(Math.abs(entry - sl) * units * entryRate, 2);
+  }
+
+  const exitRate = exit === null ? null : conversionRate(trade, instrument, exit);
+  if (exitRate !== null) {
+    money.gross_pnl = round(sign * (exit - entry) * units * exitRate, 2);
+    money.net_pnl = round(money.gross_pnl + (toNumber(trade.commission) || 0) + (toNumber(trade.swap) || 0), 2);
+  }
+  return money;
+};
+
+// Quote → account currency rate implied by a broker-reported gross profit, for trades the server can't
+// convert by itself (e.g. GER40 on a USD account); null when the prices don't allow it
+const impliedFxRate = (trade, instrument, profit) => {
+  const entry = toNumber(trade.entry);
+  const exit = toNumber(trade.exit);
+  const quantity = toNumber(trade.quantity);
+  const sign = directionSign(trade.direction);
+  if (entry === null || exit === null || quantity === null || sign === null || toNumber(profit) === null) return null;
+  const move = sign * (exit - entry) * quantity * Number(instrument.contract_size || 1);
+  if (move === 0) return null;
+  // A profit with the wrong sign for the move means the row doesn't add up; don't guess
+  const rate = round(toNumber(profit) / move, 6);
+  return rate > 0 ? rate : null;
+};
+
+const sameR = (a, b) => a !== null && b !== null && Math.abs(a - b) < 0.005 + 1e-9;
+
+// Work out the metric columns (R, result and money) to store for a create (existing = {}) or an update.
+// updates are the validated fields from the request; a planned_r / actual_r in it is a manual
+// value unless it matches the computed one, and null clears the override.
+const planMetrics = (existing, updates, instrument) => {
+  const trade = { ...existing, ...updates };
+  const metrics = computeMetrics(trade, instrument || undefined);
+  const changes = { ...metrics, ...computeMoney(trade, instrument || guessInstrument(trade.asset)) };
+
+  [['planned_r', 'planned_r_calc', 'planned_r_manual'], ['actual_r', 'actual_r_calc', 'actual_r_manual']].forEach(([field, calc, manual]) => {
+    const sent = updates[field] !== undefined;
+    const value = sent ? toNumber(updates[field]) : null;
+
+    if (sent && value !== null && !sameR(value, metrics[calc])) {
+      changes[field] = value;
+      changes[manual] = 1;
+    } else if (!sent && Number(existing[manual]) === 1) {
+      changes[field] = toNumber(existing[field]);
+    } else {
+      changes[field] = metrics[calc];
+      changes[manual] = 0;
+    }
+  });
+  return changes;
+};
+
+module.exports = {
+  unitSize,
+  computeMetrics,
+  computeMoney,
+  impliedFxRate,
+  planMetrics,
+};
@@ -0,0 +1,59 @@
+// Coach review workflow for trades: pending → reviewed / flagged.
+// Shared by PATCH /api/trades/:id and POST /api/trades/:id/review so both enforce the same rules.
+
+const TRADE_STATUSES = ['pending', 'reviewed', 'flagged'];
+
+// Allowed status changes (coaches/admins only)
+const REVIEW_TRANSITIONS = {
+  pending: ['reviewed', 'flagged'],
+  reviewed: ['flagged', 'pending'],
+  flagged: ['reviewed', 'pending'],
+};
+
+// Work out the review side effects of a status change.
+// Returns { error, httpStatus } when not allowed, otherwise { changes } to merge into the trade
+// (empty when the status is unchanged).
+const planStatusChange = (existing, nextStatus, user, now) => {
+  const currentStatus = existing.status || 'pending';
+  if (nextStatus === undefined || nextStatus === null || nextStatus === currentStatus) {
+    return { changes: {} };
+  }
+
+  if (!TRADE_STATUSES.includes(nextStatus)) {
+    return { httpStatus: 400, error: `Invalid status. Use: ${TRADE_STATUSES.join(', ')}` };
+  }
+  if (!['coach', 'admin'].includes(user.role)) {
+    return { httpStatus: 403, error: 'Only coaches can change the review status' };
+  }
+  if (!(REVIEW_TRANSITIONS[currentStatus] || TRADE_STATUSES).includes(nextStatus)) {
+    return { httpStatus: 409, error: `Cannot move trade from ${currentStatus} to ${nextStatus}` };
+  }
+
+  // Reopening a trade clears the reviewer; reviewing/flagging records who did it and when. Either way
+  // the owner's edits since the last review (see trade-history.js) have been seen.
+  if (nextStatus === 'pending') {
+    return { changes: { status: nextStatus, reviewed_by: null, reviewed_at: null, edited_after_review_at: null } };
+  }
+  return { changes: { status: nextStatus, reviewed_by: user.userId, reviewed_at: now, edited_after_review_at: null } };
+};
+
+// Reviewing a trade again in its current status, after its owner edited it. Returns the changes that
+// record the new review, or null when the trade has no edits since its review.
+const planReReview = (existing, user, now) => {
+  if (!existing.edited_after_review_at || (existing.status || 'pending') === 'pending') return null;
+  return { reviewed_by: user.userId, reviewed_at: now, edited_after_review_at: null };
+};
+
+// Shape a comment row for API responses
+const formatComment = (comment) => ({
+  ...comment,
+  edited: Boolean(comment.updated_at && comment.created_at && String(comment.updated_at) !== String(comment.created_at)),
+});
+
+module.exports = {
+  TRADE_STATUSES,
+  REVIEW_TRANSITIONS,
+  planStatusChange,
+  planReReview,
+  formatComment,
+};
@@ -0,0 +1,192 @@
+// Declarative request validation.
+// A schema lists the accepted fields and a rule for each one; validate() checks and normalizes a
+// request body or query string against it and reports every bad field at once.
+//
+// Rules:
+//   type        'string' | 'number' | 'integer' | 'boolean' | 'date' | 'email' | 'list'
+//               (numbers and booleans may arrive as strings, e.g. from query strings or form inputs;
+//               a list is an array of strings or one comma-separated string)
+//   required    must be present and not empty (ignored for partial updates)
+//   nullable    null or '' is accepted and stored as null
+//   default     used when the field is missing (not for partial updates)
+//   enum        allowed values; with ignoreCase any casing matches and the listed spelling is kept
+//   min, max    numeric bounds (exclusiveMin: must be greater than)
+//   maxItems    most entries in a list (minLength/maxLength apply to each entry)
+//   minLength, maxLength  string length after trimming
+//   aliases     other accepted keys (e.g. camelCase); the canonical key wins when both are sent
+//
+// schema(fields, { ignore, unknown }):
+//   ignore      keys clients may send but that are dropped (read-only or computed on the client)
+//   unknown     'reject' (default) reports any other key as an error, 'strip' drops it
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const NUMERIC = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const schema = (fields, { ignore = [], unknown = 'reject' } = {}) => ({ fields, ignore, unknown });
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// Convert one present, non-empty value. Returns { value } or { code, message }.
+const coerce = (name, rule, raw) => {
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' && NUMERIC.test(raw.trim()) ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { code: 'type', message: `${name} must be a number` };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return { code: 'type', message: `${name} must be a whole number` };
+      }
+      if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+        return { code: 'min', message: `${name} must be greater than ${rule.exclusiveMin}` };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { code: 'min', message: `${name} must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { code: 'max', message: `${name} must be at most ${rule.max}` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      if ([1, '1', 'true'].includes(raw)) return { value: true };
+      if ([0, '0', 'false'].includes(raw)) return { value: false };
+      return { code: 'type', message: `${name} must be true or false` };
+    }
+
+    case 'list': {
+      const items = typeof raw === 'string' ? raw.split(',') : raw;
+      if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+        return { code: 'type', message: `${name} must be a list of strings` };
+      }
+      const value = [...new Set(items.map((item) => item.trim()).filter(Boolean))];
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return { code: 'maxItems', message: `${name} can have at most ${rule.maxItems} entries` };
+      }
+      if (rule.minLength !== undefined && value.some((item) => item.length < rule.minLength)) {
+        return { code: 'minLength', message: `each ${name} entry must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && value.some((item) => item.length > rule.maxLength)) {
+        return { code: 'maxLength', message: `each ${name} entry must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+    }
+
+    default: {
+      if (typeof raw !== 'string') {
+        return { code: 'type', message: `${name} must be a string` };
+      }
+      let value = raw.trim();
+
+      if (rule.type === 'email' && !EMAIL.test(value)) {
+        return { code: 'format', message: `${name} must be an email address` };
+      }
+      if (rule.type === 'date' && !DATE_ONLY.test(value) && Number.isNaN(new Date(value).getTime())) {
+        return { code: 'format', message: `${name} must be a date (YYYY-MM-DD or ISO)` };
+      }
+      if (rule.enum) {
+        const match = rule.enum.find((option) => (rule.ignoreCase ? option.toLowerCase() === value.toLowerCase() : option === value));
+        if (match === undefined) {
+          return { code: 'enum', message: `${name} must be one of: ${rule.enum.join(', ')}` };
+        }
+        value = match;
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { code: 'minLength', message: `${name} must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { code: 'maxLength', message: `${name} must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+    }
+  }
+};
+
+// Check input against a schema. Returns { value, errors } where errors is a list of
+// { field, code, message } (empty when valid) and value holds the normalized fields that were sent.
+const validate = ({ fields, ignore, unknown }, input, { partial = false } = {}) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+  const known = new Set(ignore);
+
+  Object.entries(fields).forEach(([name, rule]) => {
+    const keys = [name, ...(rule.aliases || [])];
+    keys.forEach((key) => known.add(key));
+    const key = keys.find((k) => source[k] !== undefined);
+
+    if (key === undefined) {
+      if (partial) return;
+      if (rule.required) {
+        errors.push({ field: name, code: 'required', message: `${name} is required` });
+      } else if (rule.default !== undefined) {
+        value[name] = rule.default;
+      }
+      return;
+    }
+
+    const raw = source[key];
+    if (isEmpty(raw)) {
+      if (rule.required && !partial) {
+        errors.push({ field: name, code: 'required', message: `${name} is required` });
+      } else if (rule.nullable) {
+        value[name] = null;
+      } else if (partial) {
+        errors.push({ field: name, code: 'required', message: `${name} cannot be empty` });
+      }
+      return;
+    }
+
+    const result = coerce(name, rule, raw);
+    if (result.code) {
+      errors.push({ field: name, code: result.code, message: result.message });
+    } else {
+      value[name] = result.value;
+    }
+  });
+
+  if (unknown === 'reject') {
+    Object.keys(source)
+      .filter((key) => !known.has(key))
+      .forEach((key) => errors.push({ field: key, code: 'unknown', message: `${key} is not an accepted field` }));
+  }
+
+  return { value, errors };
+};
+
+// 400 body for a failed validation: a readable summary plus one entry per bad field
+const validationError = (errors) => ({
+  error: errors.map((e) => e.message).join('; '),
+  code: 'validation/failed',
+  fields: errors,
+});
+
+// Express middleware: validate req.body and/or req.query and replace them with the normalized values
+const validateRequest = ({ body, query, partial = false }) => (req, res, next) => {
+  const errors = [];
+  if (body) {
+    const result = validate(body, req.body, { partial });
+    errors.push(...result.errors);
+    req.body = result.value;
+  }
+  if (query) {
+    const result = validate(query, req.query);
+    errors.push(...result.errors);
+    req.query = result.value;
+  }
+  if (errors.length > 0) {
+    return res.status(400).json(validationError(errors));
+  }
+  next();
+};
+
+module.exports = {
+  schema,
+  validate,
+  validationError,
+  validateRequest,
+};
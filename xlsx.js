@@ -0,0 +1,196 @@
+// Minimal streaming .xlsx writer: one worksheet, written row by row so a large export never sits in
+// memory. An .xlsx file is a zip of XML parts; the worksheet is the only big one, so it is deflated
+// in chunks as rows arrive, with its CRC and sizes in a data descriptor after the data.
+// No styles or shared strings: strings are inline, numbers are plain numeric cells.
+// Classic zip limits apply (4 GB per file), far beyond what an export produces.
+const zlib = require('zlib');
+
+// ==================== Zip ====================
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Date and time in MS-DOS format, as zip headers store them
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Deflate without ending the stream, so chunks compressed separately join into one stream;
+// FINAL_BLOCK closes it (an empty final block with fixed Huffman codes)
+const deflateChunk = (buffer) => zlib.deflateRawSync(buffer, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+const FINAL_BLOCK = Buffer.from([0x03, 0x00]);
+
+const FLAG_DATA_DESCRIPTOR = 0x08;
+const FLAG_UTF8 = 0x800;
+const METHOD_DEFLATE = 8;
+
+// write(buffer) must return a promise (so the caller can apply backpressure)
+const createZipWriter = (write) => {
+  const entries = [];
+  const stamp = dosDateTime(new Date());
+  let offset = 0;
+  let current = null;
+
+  const emit = async (buffer) => {
+    offset += buffer.length;
+    await write(buffer);
+  };
+
+  const startEntry = async (name) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(stamp.time, 10);
+    header.writeUInt16LE(stamp.date, 12);
+    // CRC and sizes (14-25) stay 0 here and follow the data in the descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    current = { name: nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+    await emit(Buffer.concat([header, nameBuffer]));
+  };
+
+  const writeData = async (data) => {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    if (buffer.length === 0) return;
+    current.crc = crc32(buffer, current.crc);
+    current.size += buffer.length;
+    const compressed = deflateChunk(buffer);
+    current.compressedSize += compressed.length;
+    await emit(compressed);
+  };
+
+  const endEntry = async () => {
+    current.compressedSize += FINAL_BLOCK.length;
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(current.crc, 4);
+    descriptor.writeUInt32LE(current.compressedSize, 8);
+    descriptor.writeUInt32LE(current.size, 12);
+    await emit(Buffer.concat([FINAL_BLOCK, descriptor]));
+    entries.push(current);
+    current = null;
+  };
+
+  const addFile = async (name, contents) => {
+    await startEntry(name);
+    await writeData(contents);
+    await endEntry();
+  };
+
+  // Central directory and end record
+  const finish = async () => {
+    const start = offset;
+    const records = entries.map((entry) => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+      record.writeUInt16LE(METHOD_DEFLATE, 10);
+      record.writeUInt16LE(stamp.time, 12);
+      record.writeUInt16LE(stamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.name]);
+    });
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(Buffer.concat([directory, end]));
+  };
+
+  return { startEntry, writeData, endEntry, addFile, finish };
+};
+
+// ==================== Workbook ====================
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DOC_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="${REL_NS}">`
+  + `<Relationship Id="rId1" Type="${DOC_REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+  + '</Relationships>';
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="${REL_NS}">`
+  + `<Relationship Id="rId1" Type="${DOC_REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+  + '</Relationships>';
+
+// Characters XML 1.0 doesn't allow are dropped
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sheet names are at most 31 characters and can't contain : \ / ? * [ ]
+const sheetName = (name) => String(name).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet1';
+
+// null/undefined leave the cell empty; finite numbers are numeric cells, everything else text
+const cellXml = (value) => {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const rowXml = (values) => `<row>${values.map(cellXml).join('')}</row>`;
+
+// Open a workbook with one sheet. Returns { addRow(values), end() }; both return promises and rows
+// are buffered into chunks of roughly chunkSize bytes before they are compressed and written.
+const createWorkbookWriter = async (write, { sheet = 'Sheet1', chunkSize = 64 * 1024 } = {}) => {
+  const zip = createZipWriter(write);
+  await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+  await zip.addFile('_rels/.rels', ROOT_RELS);
+  await zip.addFile('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${DOC_REL_NS}">`
+    + `<sheets><sheet name="${escapeXml(sheetName(sheet))}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+  await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+
+  await zip.startEntry('xl/worksheets/sheet1.xml');
+  let pending = `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>`;
+
+  return {
+    async addRow(values) {
+      pending += rowXml(values);
+      if (pending.length >= chunkSize) {
+        await zip.writeData(pending);
+        pending = '';
+      }
+    },
+    async end() {
+      await zip.writeData(`${pending}</sheetData></worksheet>`);
+      await zip.endEntry();
+      await zip.finish();
+    },
+  };
+};
+
+module.exports = {
+  CONTENT_TYPE: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  createWorkbookWriter,
+};